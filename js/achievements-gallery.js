@@ -0,0 +1,51 @@
+/**
+ * @file achievements-gallery.js
+ * @game Stack Hero - Achievements
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Achievements gallery for the Stack Hero platform. Lists every
+ * achievement with its unlock date, or greyed out while still locked.
+ *
+ * @dependencies
+ * - achievements.js: Achievement definitions and unlocks
+ */
+
+/**
+ * Build the achievement cards and the unlocked summary
+ */
+function renderAchievementGallery() {
+    const grid = document.getElementById('achievementGrid');
+    if (!grid) return;
+    
+    const gallery = getAchievementGallery();
+    const unlockedCount = gallery.filter(entry => entry.unlocked).length;
+    const percent = Math.round((unlockedCount / gallery.length) * 100);
+    
+    document.getElementById('achievementSummary').textContent =
+        `${unlockedCount} of ${gallery.length} achievements unlocked`;
+    document.getElementById('achievementBarFill').style.width = `${percent}%`;
+    document.getElementById('achievementBar').setAttribute('aria-valuenow', percent);
+    
+    grid.innerHTML = gallery.map(entry => {
+        const achievement = entry.achievement;
+        const status = entry.unlocked
+            ? `Unlocked ${new Date(entry.date).toLocaleDateString()}`
+            : 'Locked';
+        
+        return `
+            <div class="achievement-card ${entry.unlocked ? 'unlocked' : 'locked'}">
+                <span class="achievement-icon">${entry.unlocked ? achievement.icon : '🔒'}</span>
+                <span class="achievement-name">${achievement.name}</span>
+                <span class="achievement-description">${achievement.description}</span>
+                <span class="achievement-date">${status}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Initialize the gallery when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', renderAchievementGallery);
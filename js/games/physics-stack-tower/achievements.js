@@ -0,0 +1,181 @@
+/**
+ * @file achievements.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Achievements for Stack Hero. Level and daily challenge achievements come
+ * from their rewards data; the rest reward feats like long combos. Each
+ * achievement listens for one kind of gameplay event and is unlocked the
+ * first time its condition holds.
+ *
+ * @dependencies
+ * - levels.js: Level and daily challenge rewards
+ * - storage.js: Unlocked achievement persistence
+ */
+
+/**
+ * Storage key for unlocked achievements
+ * @constant
+ * @type {string}
+ */
+const ACHIEVEMENTS_STORAGE_KEY = 'physicsStackTower_achievements';
+
+/**
+ * Tower instability (fraction of the collapse limit) at which the tower counts as wobbling
+ * @constant
+ * @type {number}
+ */
+const WOBBLE_THRESHOLD = 0.75;
+
+/**
+ * All achievements. `event` is the gameplay event an achievement listens
+ * for and `condition` decides from that event's details whether it is earned.
+ * @constant
+ * @type {Array}
+ */
+const ACHIEVEMENTS = [
+  ...LEVELS.map(level => ({
+    id: `level_${level.id}`,
+    name: level.rewards.achievement,
+    description: `Complete level ${level.id}: ${level.name}`,
+    icon: '🏅',
+    event: 'levelComplete',
+    condition: details => details.level === level.id
+  })),
+  {
+    id: 'combo_5',
+    name: 'On a Roll',
+    description: 'Make 5 perfect drops in a row',
+    icon: '✨',
+    event: 'perfectDrop',
+    condition: details => details.comboStreak >= 5
+  },
+  {
+    id: 'combo_10',
+    name: 'Combo King',
+    description: 'Make 10 perfect drops in a row',
+    icon: '👑',
+    event: 'perfectDrop',
+    condition: details => details.comboStreak >= 10
+  },
+  {
+    id: 'wobble',
+    name: 'Nerves of Steel',
+    description: 'Land a block on a wobbling tower and keep it standing',
+    icon: '🫨',
+    event: 'blockPlaced',
+    condition: details => details.instability >= WOBBLE_THRESHOLD && details.instability <= 1
+  },
+  {
+    id: 'blocks_50',
+    name: 'Skyscraper',
+    description: 'Place 50 blocks in one game',
+    icon: '🏙️',
+    event: 'blockPlaced',
+    condition: details => details.blocksPlaced >= 50
+  },
+  {
+    id: 'endless_milestone',
+    name: 'Beyond the Clouds',
+    description: 'Reach an endless mode milestone past level 8',
+    icon: '☁️',
+    event: 'milestoneReached',
+    condition: details => details.level > LEVELS.length
+  },
+  {
+    id: 'challenge_complete',
+    name: 'Challenger',
+    description: 'Complete a challenge mode',
+    icon: '🎯',
+    event: 'challengeEnded',
+    condition: details => details.challenge.type !== 'daily' && details.challenge.status === 'complete'
+  },
+  ...DAILY_CHALLENGES.map(challenge => {
+    const achievement = getDailyRewards(challenge).achievement;
+    return {
+      id: `daily_${challenge.name.toLowerCase().replace(/\s+/g, '_')}`,
+      name: achievement,
+      description: `Complete the "${challenge.name}" daily challenge`,
+      icon: '📅',
+      event: 'challengeEnded',
+      condition: details => details.challenge.type === 'daily' &&
+        details.challenge.status === 'complete' &&
+        details.challenge.name === achievement
+    };
+  })
+];
+
+/**
+ * Loads the unlocked achievements
+ * @returns {Object} Unlock dates (ISO strings) keyed by achievement id
+ */
+function loadUnlockedAchievements() {
+  return StorageManager.load(ACHIEVEMENTS_STORAGE_KEY, {});
+}
+
+/**
+ * Finds the achievements a gameplay event earns that are not unlocked yet
+ * @param {string} event - Gameplay event ('levelComplete', 'milestoneReached', 'perfectDrop', 'blockPlaced' or 'challengeEnded')
+ * @param {Object} details - Event details the achievement conditions read
+ * @param {Object} unlocked - Unlocked achievements keyed by id
+ * @returns {Array} Newly earned achievements
+ */
+function findEarnedAchievements(event, details, unlocked) {
+  return ACHIEVEMENTS.filter(achievement =>
+    achievement.event === event && !unlocked[achievement.id] && achievement.condition(details)
+  );
+}
+
+/**
+ * Unlocks and saves the achievements a gameplay event earns
+ * @param {string} event - Gameplay event
+ * @param {Object} details - Event details the achievement conditions read
+ * @returns {Array} Newly unlocked achievements
+ */
+function unlockAchievements(event, details) {
+  const unlocked = loadUnlockedAchievements();
+  const earned = findEarnedAchievements(event, details, unlocked);
+  if (earned.length === 0) return earned;
+  
+  const date = new Date().toISOString();
+  earned.forEach(achievement => {
+    unlocked[achievement.id] = date;
+  });
+  StorageManager.save(ACHIEVEMENTS_STORAGE_KEY, unlocked);
+  
+  return earned;
+}
+
+/**
+ * Lists every achievement with whether and when it was unlocked
+ * @param {Object} unlocked - Unlocked achievements keyed by id (default: saved achievements)
+ * @returns {Array} Entries ({ achievement, unlocked, date })
+ */
+function getAchievementGallery(unlocked = loadUnlockedAchievements()) {
+  return ACHIEVEMENTS.map(achievement => ({
+    achievement,
+    unlocked: Boolean(unlocked[achievement.id]),
+    date: unlocked[achievement.id] || null
+  }));
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ACHIEVEMENTS,
+    WOBBLE_THRESHOLD,
+    loadUnlockedAchievements,
+    findEarnedAchievements,
+    unlockAchievements,
+    getAchievementGallery
+  };
+} else {
+  window.ACHIEVEMENTS = ACHIEVEMENTS;
+  window.WOBBLE_THRESHOLD = WOBBLE_THRESHOLD;
+  window.loadUnlockedAchievements = loadUnlockedAchievements;
+  window.findEarnedAchievements = findEarnedAchievements;
+  window.unlockAchievements = unlockAchievements;
+  window.getAchievementGallery = getAchievementGallery;
+}
@@ -73,12 +73,21 @@ class AudioManager {
     // Tower collapse sound
     this.sounds.set('towerCollapse', this.createNoise(0.8));
     
+    // Overhang cut off sound
+    this.sounds.set('crunch', this.createNoise(0.15));
+    
+    // Tower close to toppling sound
+    this.sounds.set('stabilityWarning', this.createChord([220, 233.08], 0.4, 'square'));
+    
     // Button click sound
     this.sounds.set('buttonClick', this.createTone(800, 0.1, 'square'));
     
     // Score popup sound
     this.sounds.set('scorePopup', this.createTone(600, 0.15, 'sine'));
     
+    // Achievement unlocked sound
+    this.sounds.set('achievement', this.createMelody([523.25, 659.25, 783.99, 1046.50], 0.12));
+    
     // Background music
     this.backgroundMusic = this.createBackgroundMusic();
   }
@@ -0,0 +1,203 @@
+/**
+ * @file challenges.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Rules engine for Stack Hero's challenge modes. Turns the special rules
+ * from CHALLENGE_MODES into a running challenge that shapes new blocks,
+ * keeps the countdown and decides when the challenge is won or lost.
+ *
+ * @dependencies
+ * - levels.js: Challenge mode configurations
+ */
+
+/**
+ * A challenge being played, with its rules and outcome
+ * @class
+ */
+class ChallengeRun {
+  /**
+   * Create a new challenge run
+   * @param {string} type - Challenge type (key of CHALLENGE_MODES)
+   * @param {Object} config - Challenge configuration
+   */
+  constructor(type, config) {
+    const rules = config.specialRules || {};
+    
+    this.type = type;
+    this.name = config.name;
+    this.rules = {
+      timeLimit: rules.timeLimit ? rules.timeLimit * 1000 : null, // ms
+      blockQuota: rules.blocks || null,
+      perfectOnly: Boolean(rules.perfectOnly) || rules.allowMiss === false,
+      perfectThreshold: rules.perfectThreshold || null,
+      blockWidth: rules.blockWidth || null,
+      speedMultiplier: rules.speedMultiplier || 1
+    };
+    this.rewards = config.rewards || null;
+    this.elapsed = 0;
+    this.status = 'active';
+    this.reason = null;
+  }
+
+  /**
+   * Advances the challenge clock while a block is in play
+   * @param {number} deltaTime - Simulation time elapsed in ms
+   * @returns {boolean} Whether the challenge ended on this step
+   */
+  update(deltaTime) {
+    if (!this.isActive()) return false;
+    
+    this.elapsed += deltaTime;
+    if (this.rules.timeLimit && this.elapsed >= this.rules.timeLimit) {
+      this.elapsed = this.rules.timeLimit;
+      
+      // Without a quota the goal is to build as much as possible in time
+      if (this.rules.blockQuota) {
+        this.fail('Time ran out before the tower was finished');
+      } else {
+        this.complete("Time's up!");
+      }
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Applies the challenge's block rules to a newly generated block
+   * @param {Block} block - Block about to enter play
+   */
+  applyToBlock(block) {
+    if (this.rules.blockWidth) {
+      block.width = this.rules.blockWidth;
+      block.originalWidth = this.rules.blockWidth;
+    }
+    block.speed *= this.rules.speedMultiplier;
+  }
+
+  /**
+   * Checks a drop against the perfect-only rule
+   * @param {boolean} perfectAlignment - Whether the drop was perfect
+   * @returns {boolean} Whether the drop ended the challenge
+   */
+  checkAlignment(perfectAlignment) {
+    if (!this.isActive() || perfectAlignment || !this.rules.perfectOnly) return false;
+    
+    this.fail('Only perfect drops are allowed');
+    return true;
+  }
+
+  /**
+   * Checks whether the block quota has been reached
+   * @param {number} blocksPlaced - Blocks placed so far
+   * @returns {boolean} Whether the quota completed the challenge
+   */
+  checkQuota(blocksPlaced) {
+    if (!this.isActive() || !this.rules.blockQuota || blocksPlaced < this.rules.blockQuota) return false;
+    
+    this.complete(`All ${this.rules.blockQuota} blocks placed!`);
+    return true;
+  }
+
+  /**
+   * Marks the challenge as won
+   * @param {string} reason - Why the challenge ended
+   */
+  complete(reason) {
+    this.settle('complete', reason);
+  }
+
+  /**
+   * Marks the challenge as lost
+   * @param {string} reason - Why the challenge ended
+   */
+  fail(reason) {
+    this.settle('failed', reason);
+  }
+
+  /**
+   * Records the outcome, keeping the first one if already settled
+   * @param {string} status - 'complete' or 'failed'
+   * @param {string} reason - Why the challenge ended
+   */
+  settle(status, reason) {
+    if (!this.isActive()) return;
+    
+    this.status = status;
+    this.reason = reason;
+  }
+
+  /**
+   * Checks whether the challenge is still being played
+   * @returns {boolean} Whether the challenge is active
+   */
+  isActive() {
+    return this.status === 'active';
+  }
+
+  /**
+   * Gets the time left on the countdown
+   * @returns {number|null} Remaining time in ms, or null without a time limit
+   */
+  getTimeRemaining() {
+    return this.rules.timeLimit ? Math.max(0, this.rules.timeLimit - this.elapsed) : null;
+  }
+
+  /**
+   * Gets a serializable summary of the challenge for results and replays
+   * @returns {Object} Challenge summary
+   */
+  getSummary() {
+    return {
+      type: this.type,
+      name: this.name,
+      status: this.status,
+      reason: this.reason,
+      elapsed: Math.round(this.elapsed),
+      blockQuota: this.rules.blockQuota
+    };
+  }
+}
+
+/**
+ * Creates the challenge run for a game mode
+ * @param {string} mode - Game mode
+ * @param {number} seed - Seed of the run; picks the daily challenge in daily mode
+ * @returns {ChallengeRun|null} Challenge run, or null if the mode is not a challenge
+ */
+function createChallengeRun(mode, seed) {
+  if (mode === 'daily') {
+    return new ChallengeRun(mode, getDailyChallengeConfig(seed));
+  }
+  
+  const config = getChallengeConfig(mode);
+  return config ? new ChallengeRun(mode, config) : null;
+}
+
+/**
+ * Formats a duration as minutes and seconds
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted time (e.g. "1:05")
+ */
+function formatChallengeTime(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ChallengeRun,
+    createChallengeRun,
+    formatChallengeTime
+  };
+} else {
+  window.ChallengeRun = ChallengeRun;
+  window.createChallengeRun = createChallengeRun;
+  window.formatChallengeTime = formatChallengeTime;
+}
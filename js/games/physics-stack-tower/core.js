@@ -0,0 +1,1151 @@
+/**
+ * @file core.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * DOM-free game core for Stack Hero. Owns the game state, block
+ * generation, dropping, stability, scoring and level progression, and
+ * advances in fixed simulation ticks. Presentation (audio, popups,
+ * particles, HUD) is reported as gameplay events so the same core runs in
+ * the browser and headless in Node.
+ *
+ * @dependencies
+ * - levels.js: Level configurations
+ * - mechanics.js: Special mechanics levels combine
+ * - challenges.js: Challenge mode rules
+ * - physics.js: Tower stability and toppling simulation
+ * - random.js: Seeded random number generator
+ * - helpers.js: Random and math helpers
+ * - events.js: Event bus gameplay events are emitted on
+ */
+
+/**
+ * Game state object - stores all current game information
+ * @type {Object}
+ */
+const gameState = {
+  /** @type {Array} Current blocks in the tower */
+  tower: [],
+  
+  /** @type {Object} Current moving block */
+  currentBlock: null,
+  
+  /** @type {Array} Toppled tower sections still turning about their supporting edge */
+  fallingSections: [],
+  
+  /** @type {Array} Blocks tumbling freely: pieces of toppled sections and trimmed overhangs */
+  fallingBlocks: [],
+  
+  /** @type {Object} Tower stability measured on the last simulation step */
+  stability: { stability: 1, isStable: true, isWarning: false, tilt: 0 },
+  
+  /** @type {number} Current player score */
+  score: 0,
+  
+  /** @type {number} Current level number */
+  level: 1,
+  
+  /** @type {string} Game mode, used to key ghosts and leaderboards */
+  mode: 'classic',
+  
+  /** @type {ChallengeRun|null} Rules and outcome of the challenge being played */
+  challenge: null,
+  
+  /** @type {boolean} Whether game is currently active */
+  isActive: false,
+  
+  /** @type {boolean} Whether game is paused */
+  isPaused: false,
+  
+  /** @type {number} Number of blocks placed in current game */
+  blocksPlaced: 0,
+  
+  /** @type {number} Number of blocks placed in current level */
+  blocksInCurrentLevel: 0,
+  
+  /** @type {number} Current game speed multiplier */
+  speedMultiplier: 1,
+  
+  /** @type {number} Perfect alignment threshold (percentage) */
+  perfectThreshold: 0.8,
+  
+  /** @type {number} Combo streak counter */
+  comboStreak: 0,
+  
+  /** @type {number} Perfect drops made in the current game */
+  perfectDrops: 0,
+  
+  /** @type {number} Seed of the random sequence driving the current run */
+  seed: null,
+  
+  /** @type {number} Simulation steps run since the game started */
+  tick: 0,
+  
+  /** @type {number} Simulated game time in milliseconds */
+  time: 0,
+  
+  /** @type {number} Game time left before the next level's block starts moving */
+  levelTransitionRemaining: 0,
+  
+  /** @type {Object} Game configuration */
+  config: {
+    canvasWidth: 800,
+    canvasHeight: 900,
+    blockHeight: 30,
+    minBlockWidth: 40,
+    maxBlockWidth: 200,
+    initialBlockWidth: 150,
+    baseBlockSpeed: 0.8, // Much slower starting speed
+    speedIncrease: 0.05,
+    loweringSpeed: 0.3, // Speed blocks entering from the top are lowered in, px per ms
+    simulationStep: 1000 / 120, // Fixed 120 Hz simulation step in ms
+    maxFrameTime: 250, // Longest frame fed to the simulation after a stall
+    levelTransitionTime: 2300 // Game time the next level waits before blocks move
+  },
+
+};
+
+/**
+ * Gameplay events the core emits, each mapped to a description of its payload
+ * @constant
+ * @type {Object}
+ */
+const GAME_EVENTS = {
+  'game:started': '{ seed, level, mode } A new game has started',
+  'game:step': '{ tick } A simulation step has finished',
+  'block:spawned': '{ block, level } A new block is in play',
+  'block:dropped': '{ block, overlap, perfect, points } A dropped block was placed on the tower',
+  'block:perfect': '{ block, comboMultiplier, points } A block landed perfectly',
+  'block:trimmed': '{ block, debris, overlap } A block landed off-center and its overhang was cut off as debris',
+  'block:missed': '{ block } A block missed the tower',
+  'block:too-small': '{ block } A block was trimmed below the minimum width',
+  'combo:changed': '{ comboStreak, previous } The perfect drop streak grew or was broken',
+  'level:completed': '{ level, nextLevelConfig, isMilestone } A level was completed; nextLevelConfig is null after the final level',
+  'tower:unstable': '{ stability } Tower stability dropped below the warning threshold',
+  'tower:collapsed': '{ blocks, partial } A section of the tower toppled off; partial when play continues below it',
+  'challenge:ended': '{ challenge } The challenge was won, timed out or broke a rule',
+  'game:over': "{ reason, score, level } The run ended: 'missed', 'too-small', 'collapsed', 'completed' or 'challenge'",
+  'state:changed': 'null Score, level or combo changed'
+};
+
+/**
+ * Bus the core reports gameplay moments on. It never touches the DOM, so
+ * the same core runs headless; game.js and the renderer subscribe to it
+ * in the browser.
+ * @type {EventSystem}
+ */
+const gameEvents = new EventSystem({ events: GAME_EVENTS, dom: false });
+
+/**
+ * Updates the perfect drop streak, reporting the change
+ * @param {number} comboStreak - New streak
+ */
+function setComboStreak(comboStreak) {
+  const previous = gameState.comboStreak;
+  gameState.comboStreak = comboStreak;
+  if (comboStreak !== previous) {
+    gameEvents.emit('combo:changed', { comboStreak, previous });
+  }
+}
+
+/**
+ * Block class representing a game block
+ * @class
+ */
+class Block {
+  /**
+   * Create a new block
+   * @param {number} id - Unique identifier for the block
+   * @param {number} width - Width of the block
+   * @param {number} x - X position of the block
+   * @param {number} y - Y position of the block
+   * @param {number} speed - Movement speed of the block
+   * @param {boolean} isMoving - Whether the block is currently moving
+   */
+  constructor(id, width, x, y, speed = 0, isMoving = false) {
+    this.id = id;
+    this.width = width;
+    this.position = { x, y };
+    this.previousPosition = { x, y };
+    this.speed = speed;
+    this.isMoving = isMoving;
+    this.isPlaced = false;
+    this.originalWidth = width;
+    this.color = this.generateColor();
+  }
+
+  /**
+   * Generate a random color for the block
+   * @returns {string} CSS color value
+   */
+  generateColor() {
+    const colors = [
+      '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
+      '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
+    ];
+    return colors[Helpers.randomInt(0, colors.length - 1)];
+  }
+
+  /**
+   * Move the block to where it enters the play area and start it moving
+   * @param {string} direction - Side the block enters from: 'left', 'right' or 'top'
+   */
+  enter(direction) {
+    const { canvasWidth, blockHeight } = gameState.config;
+    const spawnY = getSpawnY();
+    
+    this.spawnDirection = direction;
+    this.speed = direction === 'right' ? -Math.abs(this.speed) : Math.abs(this.speed);
+    
+    if (direction === 'top') {
+      // Lowered in from above the spawn line, starting at the middle of its swing
+      this.swingPhase = 0;
+      this.position = { x: (canvasWidth - this.width) / 2, y: spawnY - 8 * blockHeight };
+    } else {
+      this.position = { x: direction === 'right' ? canvasWidth - this.width : 0, y: spawnY };
+    }
+    this.previousPosition = { ...this.position };
+  }
+
+  /**
+   * Update block position based on speed
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    if (!this.isMoving) return;
+    
+    // Remember where the step started so rendering can interpolate
+    this.previousPosition = { ...this.position };
+    
+    const mechanics = resolveMechanics(gameState.currentLevelConfig?.mechanics);
+    if (this.rope) {
+      this.swingOnRope(deltaTime);
+    } else if (this.spawnDirection === 'top') {
+      this.swing(deltaTime);
+    } else {
+      this.slide(deltaTime, mechanics);
+    }
+    
+    // Mechanics can act on the block once it has moved
+    mechanics.forEach(({ mechanic, settings }) => mechanic.onBlockUpdate?.(this, deltaTime, settings, gameState));
+  }
+
+  /**
+   * Slide a block entering from the side across the screen, bouncing off the edges
+   * @param {number} deltaTime - Time elapsed since last update
+   * @param {Array} mechanics - The level's resolved mechanics
+   */
+  slide(deltaTime, mechanics) {
+    // Mechanics such as wind push sliding blocks along
+    let currentSpeed = this.speed;
+    mechanics.forEach(({ mechanic, settings }) => {
+      currentSpeed += mechanic.driftSpeed?.(this, settings, gameState) || 0;
+    });
+    
+    this.position.x += currentSpeed * deltaTime;
+    
+    // Bounce off canvas edges
+    if (this.position.x <= 0 || this.position.x + this.width >= gameState.config.canvasWidth) {
+      this.speed = -this.speed;
+      this.position.x = Math.max(0, Math.min(this.position.x, gameState.config.canvasWidth - this.width));
+    }
+  }
+
+  /**
+   * Swing a block lowered in from the top from side to side like a crane
+   * pendulum, passing the middle at the block's speed
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  swing(deltaTime) {
+    const amplitude = (gameState.config.canvasWidth - this.width) / 2;
+    this.swingPhase += this.speed / amplitude * deltaTime;
+    this.position.x = amplitude + Math.sin(this.swingPhase) * amplitude;
+    
+    // Lower the block until it hangs at the spawn line
+    this.position.y = Math.min(this.position.y + gameState.config.loweringSpeed * deltaTime, getSpawnY());
+  }
+
+  /**
+   * Hang the block from a crane rope in place of sliding or swinging freely
+   * @param {Object} crane - Crane mechanic settings from the level
+   */
+  hangFromCrane(crane) {
+    const physics = getPhysicsEngine();
+    this.rope = physics.createRope(this, crane);
+    physics.hangFromRope(this);
+    this.previousPosition = { ...this.position };
+  }
+
+  /**
+   * Swing a block on a crane rope while the crane lowers it to the spawn line
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  swingOnRope(deltaTime) {
+    const anchorY = Math.min(
+      this.rope.anchor.y + gameState.config.loweringSpeed * deltaTime,
+      getSpawnY() - this.rope.length
+    );
+    getPhysicsEngine().updateRope(this, deltaTime, anchorY);
+  }
+
+  /**
+   * Let go of the block so it falls under gravity onto the tower
+   * @param {number} landingY - Y position the block comes to rest at
+   */
+  release(landingY) {
+    this.place();
+    this.landingX = this.position.x;
+    this.landingY = landingY;
+    this.velocity = { x: 0, y: 0 };
+    this.isLanding = this.position.y < landingY;
+    if (!this.isLanding) {
+      this.position.y = landingY;
+    }
+  }
+
+  /**
+   * Send a released block back to where it was let go, to fly with its
+   * momentum to the spot the drop was resolved at
+   * @param {Object} flight - Release velocity and sideways drift from getDropFlight
+   */
+  launch(flight) {
+    this.landingX = this.position.x;
+    if (!this.isLanding) return;
+    
+    this.position.x -= flight.drift;
+    this.previousPosition = { ...this.position };
+    this.velocity = { ...flight.velocity };
+  }
+
+  /**
+   * Move a released block on towards its landing spot
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  fall(deltaTime) {
+    if (!this.isLanding) return;
+    
+    this.previousPosition = { ...this.position };
+    this.velocity.y += getPhysicsEngine().getGravity() * deltaTime;
+    this.position.x += this.velocity.x * deltaTime;
+    this.position.y += this.velocity.y * deltaTime;
+    
+    if (this.position.y >= this.landingY) {
+      this.position = { x: this.landingX, y: this.landingY };
+      this.isLanding = false;
+    }
+  }
+
+  /**
+   * Place the block at current position
+   */
+  place() {
+    this.isMoving = false;
+    this.isPlaced = true;
+    this.speed = 0;
+  }
+
+  /**
+   * Shrink block width to specified value
+   * @param {number} newWidth - New width for the block
+   * @param {string} keepSide - Edge that stays in place: 'left' or 'right' (default: 'left')
+   */
+  shrink(newWidth, keepSide = 'left') {
+    const right = this.position.x + this.width;
+    
+    // Be more forgiving with minimum width
+    const minWidth = Math.max(gameState.config.minBlockWidth * 0.7, 20);
+    this.width = Math.max(newWidth, minWidth);
+    
+    if (keepSide === 'right') {
+      this.position.x = right - this.width;
+    }
+  }
+}
+
+/**
+ * Initializes a new game at the specified level
+ * @param {number} level - Level number to initialize (default: 1)
+ * @param {number} seed - Seed for the run's random sequence (default: fresh seed)
+ * @param {string} mode - Game mode: 'classic', 'endless' or a challenge type (default: current mode)
+ * @returns {Object} Updated game state
+ * @example
+ * initGame(2); // Initializes level 2
+ * initGame(1, 12345); // Replays the run seeded with 12345
+ * initGame(1, createSeed(), 'endless'); // Keeps generating levels past level 8
+ * initGame(1, createSeed(), 'perfect'); // Plays the perfect-drops challenge
+ */
+function initGame(level = 1, seed = createSeed(), mode = gameState.mode) {
+  // Seed the shared RNG before anything draws from it
+  gameState.seed = seed;
+  gameState.mode = mode;
+  gameState.challenge = createChallengeRun(mode, seed);
+  initRandom(seed);
+  
+  // Reset game state
+  gameState.tower = [];
+  gameState.fallingSections = [];
+  gameState.fallingBlocks = [];
+  gameState.score = 0;
+  gameState.level = level;
+  gameState.blocksPlaced = 0;
+  gameState.blocksInCurrentLevel = 0;
+  gameState.comboStreak = 0;
+  gameState.perfectDrops = 0;
+  gameState.tick = 0;
+  gameState.time = 0;
+  gameState.levelTransitionRemaining = 0;
+  gameState.isActive = true;
+  gameState.isPaused = false;
+  
+  // Get level configuration
+  const levelConfig = getLevelConfig(level);
+  const levelParams = calculateLevelParameters(level);
+  
+  // Apply level-specific settings
+  gameState.currentLevelConfig = levelConfig;
+  gameState.currentLevelParams = levelParams;
+  gameState.perfectThreshold = gameState.challenge?.rules.perfectThreshold || levelParams.perfectThreshold;
+  
+  // Create initial tower base
+  const baseBlock = new Block(
+    0,
+    gameState.config.initialBlockWidth,
+    (gameState.config.canvasWidth - gameState.config.initialBlockWidth) / 2,
+    gameState.config.canvasHeight - gameState.config.blockHeight,
+    0,
+    false
+  );
+  baseBlock.place();
+  gameState.tower.push(baseBlock);
+  gameState.stability = getPhysicsEngine().updateTowerStability(gameState.tower);
+  generateNewBlock();
+  
+  gameEvents.emit('game:started', { seed, level, mode });
+  gameEvents.emit('state:changed');
+  
+  return gameState;
+}
+
+/**
+ * Generates a new moving block for the player to drop
+ */
+function generateNewBlock() {
+  const blockId = gameState.blocksPlaced + 1;
+  
+  // Calculate block width and speed based on level parameters
+  const levelParams = gameState.currentLevelParams;
+  const spawn = {
+    width: Math.max(
+      gameState.config.minBlockWidth,
+      Helpers.random(levelParams.blockWidthRange.min, levelParams.blockWidthRange.max)
+    ),
+    speed: levelParams.blockSpeed
+  };
+  
+  // Apply the level's special mechanics in the order it lists them
+  const mechanics = resolveMechanics(gameState.currentLevelConfig?.mechanics);
+  mechanics.forEach(({ mechanic, settings }) => mechanic.shapeBlock?.(spawn, settings, gameState));
+  
+  gameState.currentBlock = new Block(
+    blockId,
+    spawn.width,
+    0,
+    getSpawnY(),
+    spawn.speed,
+    true
+  );
+  
+  // Challenges can fix the width or speed up every block
+  if (gameState.challenge) {
+    gameState.challenge.applyToBlock(gameState.currentBlock);
+  }
+  
+  // Enter once the width is final so right-hand and swinging blocks start in view
+  gameState.currentBlock.enter(getSpawnDirection(gameState.currentLevelConfig?.spawnPattern));
+  mechanics.forEach(({ mechanic, settings }) => mechanic.onBlockSpawn?.(gameState.currentBlock, settings, gameState));
+  
+  gameEvents.emit('block:spawned', { block: gameState.currentBlock, level: gameState.level });
+}
+
+/**
+ * Gets the height at which new blocks move, two blocks above the tower
+ * @returns {number} Y position of the top of a moving block
+ */
+function getSpawnY() {
+  return gameState.config.canvasHeight - (gameState.tower.length + 2) * gameState.config.blockHeight;
+}
+
+/**
+ * Picks the side the next block enters from under a level's spawn pattern
+ * @param {string} pattern - Spawn pattern from SPAWN_PATTERNS (default: 'slide')
+ * @returns {string} 'left', 'right' or 'top'
+ */
+function getSpawnDirection(pattern = 'slide') {
+  switch (pattern) {
+    case 'alternate':
+      return gameState.blocksPlaced % 2 === 0 ? 'left' : 'right';
+    case 'swing':
+      return 'top';
+    case 'scatter':
+      return ['left', 'right', 'top'][Helpers.randomInt(0, 2)];
+    default:
+      return 'left';
+  }
+}
+
+/**
+ * Works out how a block flies once let go. Sliding and swinging blocks drop
+ * straight down; a block on a crane rope keeps the velocity of its swing and
+ * drifts sideways as it falls.
+ * @param {Block} block - Block being dropped
+ * @param {number} landingY - Y position the block lands at
+ * @returns {Object} Release velocity and sideways drift before landing ({ velocity, drift })
+ */
+function getDropFlight(block, landingY) {
+  if (!block.rope) {
+    return { velocity: { x: 0, y: 0 }, drift: 0 };
+  }
+  
+  const physics = getPhysicsEngine();
+  const velocity = physics.getRopeVelocity(block.rope);
+  return { velocity, drift: physics.predictLanding(block, velocity, landingY).drift };
+}
+
+/**
+ * Drops the current moving block onto the tower
+ * @returns {Object} Result object with success status and score information
+ */
+function dropBlock() {
+  if (!gameState.currentBlock || !gameState.currentBlock.isMoving) {
+    return { success: false, message: "No block to drop" };
+  }
+  
+  if (gameState.levelTransitionRemaining > 0) {
+    return { success: false, message: "Next level is starting" };
+  }
+  
+  const currentBlock = gameState.currentBlock;
+  const topBlock = gameState.tower[gameState.tower.length - 1];
+  const dropSpeed = currentBlock.speed;
+  
+  // Drops are resolved against where the top block comes to rest, even while it is still falling
+  const lastTowerBlock = topBlock.isLanding
+    ? { width: topBlock.width, position: { x: topBlock.landingX, y: topBlock.landingY } }
+    : topBlock;
+  const landingY = lastTowerBlock.position.y - gameState.config.blockHeight;
+  
+  // A block on a crane rope keeps its momentum when let go, so it lands further along
+  const flight = getDropFlight(currentBlock, landingY);
+  const debrisSpeed = currentBlock.rope ? flight.velocity.x : dropSpeed;
+  currentBlock.position.x += flight.drift;
+  
+  // Calculate overlap with the block below
+  const overlap = calculateOverlap(currentBlock, lastTowerBlock);
+  
+  if (overlap <= 0) {
+    // Block missed - game over, and it tumbles down past the tower from where it was let go
+    const side = currentBlock.position.x < lastTowerBlock.position.x ? -1 : 1;
+    const left = currentBlock.position.x - flight.drift;
+    const missed = getPhysicsEngine().createDebris(currentBlock, left, left + currentBlock.width, debrisSpeed, side);
+    missed.velocity.y = flight.velocity.y;
+    currentBlock.isMoving = false;
+    gameState.fallingBlocks.push(missed);
+    
+    gameState.isActive = false;
+    gameState.challenge?.fail('The block missed the tower');
+    gameEvents.emit('block:missed', { block: currentBlock });
+    gameEvents.emit('game:over', { reason: 'missed', score: gameState.score, level: gameState.level });
+    
+    return { 
+      success: false, 
+      gameOver: true, 
+      message: "Block missed the tower!" 
+    };
+  }
+  
+  // Let go of the block to fall onto the top of the tower
+  currentBlock.release(landingY);
+  
+  // Check for perfect alignment - use the smaller of the two blocks for threshold
+  const thresholdBlock = currentBlock.width < lastTowerBlock.width ? currentBlock : lastTowerBlock;
+  const perfectAlignment = overlap >= (thresholdBlock.width * gameState.perfectThreshold);
+  
+  // Perfect-only challenges end on the first imperfect drop
+  if (gameState.challenge?.checkAlignment(perfectAlignment)) {
+    endChallenge();
+    
+    return {
+      success: false,
+      challengeEnded: true,
+      perfectAlignment,
+      overlap,
+      message: "Only perfect drops are allowed!"
+    };
+  }
+  
+  let bonusPoints = 0;
+  if (perfectAlignment) {
+    // Perfect drop - no width reduction, bonus points
+    setComboStreak(gameState.comboStreak + 1);
+    gameState.perfectDrops++;
+    
+    // Mechanics such as the precision challenge multiply the combo bonus
+    const comboMultiplier = resolveMechanics(gameState.currentLevelConfig?.mechanics)
+      .reduce((multiplier, { mechanic, settings }) => multiplier * (mechanic.comboMultiplier?.(settings) ?? 1), 1);
+    
+    bonusPoints = 100 * gameState.comboStreak * comboMultiplier;
+    
+    gameEvents.emit('block:perfect', { block: currentBlock, comboMultiplier, points: bonusPoints });
+  } else {
+    // Imperfect drop - trim the block to the part over the tower and reset combo
+    const left = currentBlock.position.x;
+    const right = left + currentBlock.width;
+    currentBlock.shrink(overlap, left < lastTowerBlock.position.x ? 'right' : 'left');
+    setComboStreak(0);
+    
+    // The cut-off overhang falls away as debris, flying in alongside the block
+    const debris = getPhysicsEngine().cutOverhang(currentBlock, left, right, debrisSpeed);
+    debris.forEach(piece => {
+      piece.position.x -= flight.drift;
+      piece.velocity.y = flight.velocity.y;
+    });
+    gameState.fallingBlocks.push(...debris);
+    
+    gameEvents.emit('block:trimmed', { block: currentBlock, debris, overlap });
+    
+    // Check if block is too small
+    const minWidth = Math.max(gameState.config.minBlockWidth * 0.7, 20);
+    if (currentBlock.width < minWidth) {
+      gameState.isActive = false;
+      gameState.challenge?.fail('The block became too small');
+      gameEvents.emit('block:too-small', { block: currentBlock });
+      gameEvents.emit('game:over', { reason: 'too-small', score: gameState.score, level: gameState.level });
+      
+      return { 
+        success: false, 
+        gameOver: true, 
+        message: "Block too small to continue!" 
+      };
+    }
+  }
+  
+  // Add block to tower, flying in from where it was let go
+  currentBlock.launch(flight);
+  gameState.tower.push(currentBlock);
+  gameState.blocksPlaced++;
+  gameState.blocksInCurrentLevel++;
+  
+  // Add base points and any perfect drop bonus, which mechanics can adjust
+  const mechanics = resolveMechanics(gameState.currentLevelConfig?.mechanics);
+  const basePoints = 10 + (gameState.level * 5);
+  const drop = { block: currentBlock, overlap, perfect: perfectAlignment };
+  const points = mechanics.reduce(
+    (total, { mechanic, settings }) => mechanic.onScore?.(total, drop, settings, gameState) ?? total,
+    basePoints + bonusPoints
+  );
+  gameState.score += points;
+  mechanics.forEach(({ mechanic, settings }) => mechanic.onDrop?.(currentBlock, { ...drop, points }, settings, gameState));
+  
+  gameEvents.emit('block:dropped', { block: currentBlock, overlap, perfect: perfectAlignment, points });
+  
+  // Challenges with a block quota are won as soon as it is met
+  if (gameState.challenge?.checkQuota(gameState.blocksPlaced)) {
+    endChallenge();
+    gameEvents.emit('state:changed');
+    
+    return {
+      success: true,
+      challengeEnded: true,
+      perfectAlignment,
+      overlap,
+      points
+    };
+  }
+  
+  // Check for level completion
+  const levelConfig = gameState.currentLevelConfig;
+  if (levelConfig.blocksToComplete && gameState.blocksInCurrentLevel >= levelConfig.blocksToComplete) {
+    // Completing a level pays out its reward bonus
+    gameState.score += levelConfig.rewards?.bonusPoints || 0;
+    
+    // Check if this is the final level (Level 8, or a level pack's last); endless and challenge modes keep going
+    if (gameState.mode === 'classic' && gameState.level === getActiveLevels().length) {
+      // Game completed! Show special completion popup
+      gameState.isActive = false;
+      gameEvents.emit('level:completed', { level: gameState.level, nextLevelConfig: null, isMilestone: false });
+      gameEvents.emit('game:over', { reason: 'completed', score: gameState.score, level: gameState.level });
+      return {
+        success: true,
+        gameCompleted: true,
+        perfectAlignment,
+        overlap,
+        points
+      };
+    }
+    
+    // Level completed - advance to next level
+    gameState.level++;
+    gameState.blocksInCurrentLevel = 0; // Reset counter for new level
+    
+    // Get new level configuration
+    const newLevelConfig = getLevelConfig(gameState.level);
+    const newLevelParams = calculateLevelParameters(gameState.level);
+    
+    gameState.currentLevelConfig = newLevelConfig;
+    gameState.currentLevelParams = newLevelParams;
+    gameState.perfectThreshold = gameState.challenge?.rules.perfectThreshold || newLevelParams.perfectThreshold;
+    
+    // Hold the next level's block still while the completion message shows
+    gameState.levelTransitionRemaining = gameState.config.levelTransitionTime;
+    
+    gameEvents.emit('level:completed', {
+      level: gameState.level - 1,
+      nextLevelConfig: newLevelConfig,
+      isMilestone: gameState.mode === 'endless' && isEndlessMilestone(gameState.level)
+    });
+  }
+  
+  generateNewBlock();
+  gameEvents.emit('state:changed');
+  
+  return {
+    success: true,
+    perfectAlignment,
+    overlap,
+    points
+  };
+}
+
+
+/**
+ * Stops the run once the challenge has been won or lost, paying out a won challenge's bonus
+ */
+function endChallenge() {
+  gameState.isActive = false;
+  if (gameState.challenge.status === 'complete') {
+    gameState.score += gameState.challenge.rewards?.bonusPoints || 0;
+  }
+  gameEvents.emit('challenge:ended', { challenge: gameState.challenge });
+  gameEvents.emit('game:over', { reason: 'challenge', score: gameState.score, level: gameState.level });
+}
+
+/**
+ * Calculates the overlap between two blocks
+ * @param {Block} block1 - First block
+ * @param {Block} block2 - Second block
+ * @returns {number} Overlap amount in pixels
+ */
+function calculateOverlap(block1, block2) {
+  const block1Left = block1.position.x;
+  const block1Right = block1.position.x + block1.width;
+  const block2Left = block2.position.x;
+  const block2Right = block2.position.x + block2.width;
+  
+  return Math.max(0, Math.min(block1Right, block2Right) - Math.max(block1Left, block2Left));
+}
+
+/**
+ * Updates the game state by one fixed simulation step
+ * @param {number} deltaTime - Length of the simulation step in ms
+ */
+function updateGame(deltaTime) {
+  if (gameState.isPaused) {
+    return;
+  }
+  
+  // Dropped and toppled blocks keep falling after the game has ended
+  gameState.tower.forEach(block => block.fall(deltaTime));
+  updateFallingBlocks(deltaTime);
+  
+  if (!gameState.isActive) {
+    return;
+  }
+  
+  gameState.tick++;
+  gameState.time += deltaTime;
+  
+  if (gameState.levelTransitionRemaining > 0) {
+    gameState.levelTransitionRemaining = Math.max(0, gameState.levelTransitionRemaining - deltaTime);
+  } else if (gameState.currentBlock && gameState.currentBlock.isMoving) {
+    gameState.currentBlock.update(deltaTime);
+    
+    // Challenge clocks only run while a block is in play
+    if (gameState.challenge?.update(deltaTime)) {
+      endChallenge();
+      return;
+    }
+  }
+  
+  // Topple any section of the tower that has lost its support, once dropped blocks have landed on it
+  if (!gameState.tower.some(block => block.isLanding)) {
+    checkTowerStability();
+    updateTowerStability();
+  }
+  
+  gameEvents.emit('game:step', { tick: gameState.tick });
+}
+
+// Wall-clock time not yet consumed by simulation steps
+let simulationAccumulator = 0;
+
+/**
+ * Advances the simulation in fixed steps for the elapsed frame time
+ * @param {number} frameTime - Wall-clock time since the previous frame in ms
+ * @param {Function} beforeStep - Optional callback run before each step (used by replays)
+ * @returns {number} Interpolation factor (0-1) between the last two steps
+ */
+function advanceSimulation(frameTime, beforeStep = null) {
+  const step = gameState.config.simulationStep;
+  
+  // Clamp long frames (tab throttling, breakpoints) so the simulation never spirals
+  simulationAccumulator += Math.min(Math.max(frameTime, 0), gameState.config.maxFrameTime);
+  
+  while (simulationAccumulator >= step) {
+    if (beforeStep) beforeStep();
+    updateGame(step);
+    simulationAccumulator -= step;
+  }
+  
+  return simulationAccumulator / step;
+}
+
+/**
+ * Moves toppled sections, tumbling blocks and debris on by one simulation step
+ * @param {number} deltaTime - Length of the simulation step in ms
+ */
+function updateFallingBlocks(deltaTime) {
+  const physics = getPhysicsEngine();
+  
+  gameState.fallingSections = gameState.fallingSections.filter(section => {
+    if (physics.updateFallingSection(section, deltaTime)) return true;
+    
+    // Past the breakaway angle the section comes apart and each block tumbles alone
+    gameState.fallingBlocks.push(...physics.breakFallingSection(section));
+    return false;
+  });
+  gameState.fallingBlocks = gameState.fallingBlocks.filter(block =>
+    physics.updateFallingBlock(block, deltaTime, gameState.tower)
+  );
+}
+
+/**
+ * Measures how close the tower is to toppling
+ * @returns {number} Worst center of mass offset over a block's support, as a fraction of half the support (topples above 1)
+ */
+function getTowerInstability() {
+  return getPhysicsEngine().analyzeTower(gameState.tower).instability;
+}
+
+/**
+ * Checks if any section of the tower has lost its support and topples it.
+ * Losing everything above the base collapses the tower; otherwise the top
+ * section falls away and play continues on what is left.
+ */
+function checkTowerStability() {
+  const physics = getPhysicsEngine();
+  const analysis = physics.analyzeTower(gameState.tower);
+  if (analysis.topplingIndex < 0) return;
+  
+  const joint = analysis.joints[analysis.topplingIndex];
+  const blocks = gameState.tower.splice(analysis.topplingIndex);
+  gameState.fallingSections.push(physics.createFallingSection(blocks, joint));
+  
+  if (gameState.tower.length === 1) {
+    gameState.isActive = false;
+    gameState.challenge?.fail('The tower collapsed');
+    gameEvents.emit('tower:collapsed', { blocks, partial: false });
+    gameEvents.emit('game:over', { reason: 'collapsed', score: gameState.score, level: gameState.level });
+    return;
+  }
+  
+  // Lower the moving block to sit above the shorter tower
+  setComboStreak(0);
+  if (gameState.currentBlock) {
+    gameState.currentBlock.position.y = getSpawnY();
+    gameState.currentBlock.previousPosition = { ...gameState.currentBlock.position };
+  }
+  
+  gameEvents.emit('tower:collapsed', { blocks, partial: true });
+  gameEvents.emit('state:changed');
+}
+
+/**
+ * Measures the stability of the standing tower, warning when it first drops below the threshold
+ */
+function updateTowerStability() {
+  const wasWarning = gameState.stability.isWarning;
+  gameState.stability = getPhysicsEngine().updateTowerStability(gameState.tower);
+  
+  if (gameState.stability.isWarning && !wasWarning) {
+    gameEvents.emit('tower:unstable', { stability: gameState.stability });
+  }
+}
+
+/**
+ * Version of the snapshots serializeState makes; restoreState turns away
+ * snapshots of any other version rather than misreading them
+ * @constant
+ * @type {number}
+ */
+const STATE_VERSION = 1;
+
+/**
+ * Creates a serializable snapshot of the game state, complete enough for
+ * restoreState to carry on the run exactly where it left off
+ * @returns {Object} Serializable game state
+ */
+function serializeState() {
+  return {
+    version: STATE_VERSION,
+    seed: gameState.seed,
+    random: getRandom().getState(),
+    mode: gameState.mode,
+    level: gameState.level,
+    currentLevelConfig: copyData(gameState.currentLevelConfig),
+    currentLevelParams: copyData(gameState.currentLevelParams),
+    perfectThreshold: gameState.perfectThreshold,
+    score: gameState.score,
+    blocksPlaced: gameState.blocksPlaced,
+    blocksInCurrentLevel: gameState.blocksInCurrentLevel,
+    comboStreak: gameState.comboStreak,
+    perfectDrops: gameState.perfectDrops,
+    stability: gameState.stability.stability,
+    speedMultiplier: gameState.speedMultiplier,
+    tick: gameState.tick,
+    time: gameState.time,
+    levelTransitionRemaining: gameState.levelTransitionRemaining,
+    isActive: gameState.isActive,
+    isPaused: gameState.isPaused,
+    // The summary rounds the challenge clock for display; resuming needs it exact
+    challenge: gameState.challenge ? { ...gameState.challenge.getSummary(), elapsed: gameState.challenge.elapsed } : null,
+    tower: gameState.tower.map(block => ({
+      id: block.id,
+      width: block.width,
+      // Blocks still falling onto the tower are saved where they land, with their flight to get there
+      position: block.isLanding ? { x: block.landingX, y: block.landingY } : { ...block.position },
+      flight: block.isLanding ? { position: { ...block.position }, velocity: { ...block.velocity } } : null,
+      color: block.color,
+      isPlaced: block.isPlaced
+    })),
+    currentBlock: gameState.currentBlock ? {
+      id: gameState.currentBlock.id,
+      width: gameState.currentBlock.width,
+      originalWidth: gameState.currentBlock.originalWidth,
+      position: { ...gameState.currentBlock.position },
+      previousPosition: { ...gameState.currentBlock.previousPosition },
+      speed: gameState.currentBlock.speed,
+      isMoving: gameState.currentBlock.isMoving,
+      spawnDirection: gameState.currentBlock.spawnDirection,
+      swingPhase: gameState.currentBlock.swingPhase,
+      rope: gameState.currentBlock.rope ? copyRope(gameState.currentBlock.rope) : null,
+      color: gameState.currentBlock.color
+    } : null
+  };
+}
+
+/**
+ * Copies plain data such as a level configuration so a snapshot doesn't share it with the live game
+ * @param {*} data - JSON-compatible data
+ * @returns {*} Deep copy of the data, or null if there is none
+ */
+function copyData(data) {
+  return data ? JSON.parse(JSON.stringify(data)) : null;
+}
+
+/**
+ * Copies a crane rope's state so a snapshot doesn't share it with the live block
+ * @param {Object} rope - Rope state
+ * @returns {Object} Copy of the rope state
+ */
+function copyRope(rope) {
+  return { ...rope, anchor: { ...rope.anchor }, previousAnchor: { ...rope.previousAnchor } };
+}
+
+/**
+ * Restores the game state from a snapshot made by serializeState. Older
+ * snapshots without the level settings, random state or simulation clock
+ * fall back to the level's defaults and a fresh random sequence.
+ * @param {Object} state - Saved game state
+ * @throws {Error} If the snapshot was made by another version of the game
+ */
+function restoreState(state) {
+  if (state.version !== undefined && state.version !== STATE_VERSION) {
+    throw new Error(`Unsupported save version ${state.version}; expected ${STATE_VERSION}`);
+  }
+  
+  gameState.seed = state.seed ?? gameState.seed;
+  gameState.mode = state.mode || 'classic';
+  gameState.level = state.level || 1;
+  gameState.score = state.score || 0;
+  gameState.blocksPlaced = state.blocksPlaced || 0;
+  gameState.blocksInCurrentLevel = state.blocksInCurrentLevel || 0;
+  gameState.comboStreak = state.comboStreak || 0;
+  gameState.perfectDrops = state.perfectDrops || 0;
+  gameState.speedMultiplier = state.speedMultiplier || 1;
+  gameState.tick = state.tick || 0;
+  gameState.time = state.time || 0;
+  gameState.levelTransitionRemaining = state.levelTransitionRemaining || 0;
+  gameState.isActive = state.isActive || false;
+  gameState.isPaused = state.isPaused || false;
+  
+  // Restore challenge progress
+  gameState.challenge = createChallengeRun(gameState.mode, gameState.seed);
+  if (gameState.challenge && state.challenge) {
+    gameState.challenge.elapsed = state.challenge.elapsed;
+    gameState.challenge.status = state.challenge.status;
+    gameState.challenge.reason = state.challenge.reason;
+  }
+  
+  // Restore the level being played; endless levels are generated, so the saved settings win
+  gameState.currentLevelConfig = copyData(state.currentLevelConfig) || getLevelConfig(gameState.level);
+  gameState.currentLevelParams = copyData(state.currentLevelParams) || calculateLevelParameters(gameState.level);
+  gameState.perfectThreshold = state.perfectThreshold
+    ?? (gameState.challenge?.rules.perfectThreshold || gameState.currentLevelParams.perfectThreshold);
+  
+  // Restore tower, with dropped blocks still flying in; toppled sections and debris are left out
+  gameState.fallingSections = [];
+  gameState.fallingBlocks = [];
+  gameState.tower = (state.tower || []).map(blockData => {
+    const block = new Block(
+      blockData.id,
+      blockData.width,
+      blockData.position.x,
+      blockData.position.y,
+      0,
+      false
+    );
+    block.color = blockData.color;
+    block.isPlaced = blockData.isPlaced;
+    if (blockData.flight) {
+      block.landingX = blockData.position.x;
+      block.landingY = blockData.position.y;
+      block.position = { ...blockData.flight.position };
+      block.previousPosition = { ...blockData.flight.position };
+      block.velocity = { ...blockData.flight.velocity };
+      block.isLanding = true;
+    }
+    return block;
+  });
+  gameState.stability = getPhysicsEngine().updateTowerStability(gameState.tower);
+  
+  // Restore current block
+  gameState.currentBlock = null;
+  if (state.currentBlock) {
+    gameState.currentBlock = new Block(
+      state.currentBlock.id,
+      state.currentBlock.width,
+      state.currentBlock.position.x,
+      state.currentBlock.position.y,
+      state.currentBlock.speed,
+      state.currentBlock.isMoving
+    );
+    gameState.currentBlock.color = state.currentBlock.color;
+    gameState.currentBlock.originalWidth = state.currentBlock.originalWidth || state.currentBlock.width;
+    gameState.currentBlock.previousPosition = { ...(state.currentBlock.previousPosition || state.currentBlock.position) };
+    gameState.currentBlock.spawnDirection = state.currentBlock.spawnDirection || 'left';
+    if (gameState.currentBlock.spawnDirection === 'top') {
+      gameState.currentBlock.swingPhase = state.currentBlock.swingPhase || 0;
+    }
+    if (state.currentBlock.rope) {
+      gameState.currentBlock.rope = copyRope(state.currentBlock.rope);
+    }
+  }
+  
+  // Carry on the run's random sequence from where it was saved, once rebuilding the blocks has drawn their colors
+  initRandom(gameState.seed ?? createSeed());
+  if (state.random !== undefined) {
+    getRandom().setState(state.random);
+  }
+  
+  gameEvents.emit('state:changed');
+}
+
+/**
+ * Tick-driven interface to the core, for headless runs such as tests and
+ * balance simulations
+ * @namespace
+ */
+const StackTowerCore = {
+  /**
+   * Start a new game
+   * @param {number} level - Starting level (default: 1)
+   * @param {number} seed - Seed for the run's random sequence (default: fresh seed)
+   * @param {string} mode - Game mode: 'classic', 'endless' or a challenge type (default: 'classic')
+   * @returns {Object} Serializable game state
+   */
+  start: function(level = 1, seed = createSeed(), mode = 'classic') {
+    initGame(level, seed, mode);
+    return serializeState();
+  },
+
+  /**
+   * Advance the simulation by a number of fixed steps
+   * @param {number} count - Number of steps to run (default: 1)
+   * @returns {number} Current simulation tick
+   */
+  tick: function(count = 1) {
+    for (let i = 0; i < count; i++) {
+      updateGame(gameState.config.simulationStep);
+    }
+    return gameState.tick;
+  },
+
+  /**
+   * Advance the simulation until a condition holds or the game ends
+   * @param {Function} predicate - Called with the live game state after each step
+   * @param {number} maxTicks - Safety limit on the number of steps (default: 100000)
+   * @returns {boolean} Whether the condition was met
+   */
+  tickUntil: function(predicate, maxTicks = 100000) {
+    for (let i = 0; i < maxTicks && gameState.isActive; i++) {
+      if (predicate(gameState)) return true;
+      updateGame(gameState.config.simulationStep);
+    }
+    return predicate(gameState);
+  },
+
+  /**
+   * Drop the current block
+   * @returns {Object} Result object from dropBlock
+   */
+  drop: function() {
+    return dropBlock();
+  },
+
+  /**
+   * Get the current game state
+   * @returns {Object} Serializable game state
+   */
+  getState: function() {
+    return serializeState();
+  }
+};
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    gameState,
+    Block,
+    GAME_EVENTS,
+    STATE_VERSION,
+    gameEvents,
+    initGame,
+    generateNewBlock,
+    dropBlock,
+    calculateOverlap,
+    updateGame,
+    advanceSimulation,
+    getTowerInstability,
+    checkTowerStability,
+    serializeState,
+    restoreState,
+    StackTowerCore
+  };
+} else {
+  window.GAME_EVENTS = GAME_EVENTS;
+  window.STATE_VERSION = STATE_VERSION;
+  window.gameEvents = gameEvents;
+  window.StackTowerCore = StackTowerCore;
+}
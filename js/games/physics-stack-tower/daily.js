@@ -0,0 +1,123 @@
+/**
+ * @file daily.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Daily challenge history for Stack Hero. Keeps the one official attempt
+ * allowed each day and works out consecutive-day streaks from it.
+ *
+ * @dependencies
+ * - levels.js: Date keys for daily challenges
+ * - storage.js: Daily result persistence
+ */
+
+/**
+ * Storage key for official daily challenge results
+ * @constant
+ * @type {string}
+ */
+const DAILY_STORAGE_KEY = 'physicsStackTower_daily';
+
+/**
+ * Loads official daily results keyed by date
+ * @returns {Object} Results by date key ({ status, score, blocksPlaced, challenge })
+ */
+function loadDailyResults() {
+  return StorageManager.load(DAILY_STORAGE_KEY, {});
+}
+
+/**
+ * Claims the official attempt for a day
+ * @param {string} dateKey - Day of the challenge (YYYY-MM-DD)
+ * @param {string} challengeName - Name of the day's challenge
+ * @returns {boolean} Whether this run is the official attempt; later runs are practice
+ */
+function startDailyAttempt(dateKey, challengeName) {
+  const results = loadDailyResults();
+  if (results[dateKey]) return false;
+  
+  // Saved up front so leaving mid-run still uses up the day's attempt
+  results[dateKey] = {
+    status: 'abandoned',
+    score: 0,
+    blocksPlaced: 0,
+    challenge: challengeName
+  };
+  return StorageManager.save(DAILY_STORAGE_KEY, results);
+}
+
+/**
+ * Records the outcome of a day's official attempt
+ * @param {string} dateKey - Day of the challenge (YYYY-MM-DD)
+ * @param {Object} stats - Run statistics including the challenge summary
+ * @returns {boolean} Success status
+ */
+function finishDailyAttempt(dateKey, stats) {
+  const results = loadDailyResults();
+  
+  results[dateKey] = {
+    status: stats.challenge ? stats.challenge.status : 'failed',
+    score: stats.score,
+    blocksPlaced: stats.blocksPlaced,
+    challenge: stats.challenge ? stats.challenge.name : results[dateKey]?.challenge
+  };
+  return StorageManager.save(DAILY_STORAGE_KEY, results);
+}
+
+/**
+ * Moves a date key by a number of days
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to move (negative for earlier)
+ * @returns {string} Shifted date key
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Works out daily streaks from official results
+ * A day counts towards a streak once its official attempt has been played.
+ * @param {Object} results - Results by date key
+ * @param {string} todayKey - Today's date key (default: today)
+ * @returns {Object} Streaks ({ current, best })
+ */
+function calculateDailyStreaks(results, todayKey = getDateKey()) {
+  // Today's attempt may still be to come, so a streak ending yesterday is still alive
+  let day = results[todayKey] ? todayKey : shiftDateKey(todayKey, -1);
+  let current = 0;
+  while (results[day]) {
+    current++;
+    day = shiftDateKey(day, -1);
+  }
+  
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const dateKey of Object.keys(results).sort()) {
+    run = previous && shiftDateKey(previous, 1) === dateKey ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = dateKey;
+  }
+  
+  return { current, best };
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    loadDailyResults,
+    startDailyAttempt,
+    finishDailyAttempt,
+    shiftDateKey,
+    calculateDailyStreaks
+  };
+} else {
+  window.loadDailyResults = loadDailyResults;
+  window.startDailyAttempt = startDailyAttempt;
+  window.finishDailyAttempt = finishDailyAttempt;
+  window.shiftDateKey = shiftDateKey;
+  window.calculateDailyStreaks = calculateDailyStreaks;
+}
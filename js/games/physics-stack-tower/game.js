@@ -5,13 +5,27 @@
  * @date May 16th - October 14th, 2025
  *
  * @description
- * Core game logic for the Stack Hero game. Handles block management,
- * physics simulation, scoring, and level progression.
+ * Browser shell for the Stack Hero game. Connects the game core to input,
+ * audio, rendering, overlays and persistence, and runs the frame loop.
  *
  * @dependencies
+ * - core.js: Game state, simulation and scoring
+ * - challenges.js: Challenge mode rules
+ * - daily.js: Daily challenge attempts and streaks
+ * - progress.js: Level progress and unlocks
+ * - pack-library.js: Imported level packs and their best scores
+ * - saved-game.js: The run in progress, continued from the main menu
+ * - profile.js: Experience points and player ranks
+ * - achievements.js: Achievement definitions and unlocks
  * - physics.js: Physics engine and collision detection
- * - levels.js: Level configurations
+ * - levels.js: Level configurations and level packs
+ * - mechanics.js: Special mechanics levels combine
  * - renderer.js: Game rendering system
+ * - replay.js: Replay recording and playback
+ * - ghost.js: Personal-best ghost runs
+ * - helpers.js: Escaping level pack text shown in popups
+ * - events.js: Page event bus overlays are reported on
+ * - event-inspector.js: Developer overlay logging event bus emissions
  */
 
 /**
@@ -150,608 +164,210 @@ function initGameLoader() {
   return gameLoader;
 }
 
-/**
- * Game state object - stores all current game information
- * @type {Object}
- */
-const gameState = {
-  /** @type {Array} Current blocks in the tower */
-  tower: [],
-  
-  /** @type {Object} Current moving block */
-  currentBlock: null,
-  
-  /** @type {number} Current player score */
-  score: 0,
-  
-  /** @type {number} Current level number */
-  level: 1,
-  
-  /** @type {boolean} Whether game is currently active */
-  isActive: false,
-  
-  /** @type {boolean} Whether game is paused */
-  isPaused: false,
-  
-  /** @type {number} Number of blocks placed in current game */
-  blocksPlaced: 0,
-  
-  /** @type {number} Number of blocks placed in current level */
-  blocksInCurrentLevel: 0,
-  
-  /** @type {number} Current game speed multiplier */
-  speedMultiplier: 1,
-  
-  /** @type {number} Perfect alignment threshold (percentage) */
-  perfectThreshold: 0.8,
-  
-  /** @type {number} Combo streak counter */
-  comboStreak: 0,
-  
-  /** @type {Object} Game configuration */
-  config: {
-    canvasWidth: 800,
-    canvasHeight: 900,
-    blockHeight: 30,
-    minBlockWidth: 40,
-    maxBlockWidth: 200,
-    initialBlockWidth: 150,
-    baseBlockSpeed: 0.8, // Much slower starting speed
-    speedIncrease: 0.05
-  },
-  
-};
-
-/**
- * Block class representing a game block
- * @class
- */
-class Block {
-  /**
-   * Create a new block
-   * @param {number} id - Unique identifier for the block
-   * @param {number} width - Width of the block
-   * @param {number} x - X position of the block
-   * @param {number} y - Y position of the block
-   * @param {number} speed - Movement speed of the block
-   * @param {boolean} isMoving - Whether the block is currently moving
-   */
-  constructor(id, width, x, y, speed = 0, isMoving = false) {
-    this.id = id;
-    this.width = width;
-    this.position = { x, y };
-    this.speed = speed;
-    this.isMoving = isMoving;
-    this.isPlaced = false;
-    this.originalWidth = width;
-    this.color = this.generateColor();
-  }
-
-  /**
-   * Generate a random color for the block
-   * @returns {string} CSS color value
-   */
-  generateColor() {
-    const colors = [
-      '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
-      '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
-    ];
-    return colors[Math.floor(Math.random() * colors.length)];
-  }
+// Follow the core's gameplay events with the browser's run bookkeeping, achievements, audio and HUD;
+// the renderer adds its own effects when it is created
 
-  /**
-   * Update block position based on speed
-   * @param {number} deltaTime - Time elapsed since last update
-   */
-  update(deltaTime) {
-    if (this.isMoving) {
-      // Apply wind effect if active
-      let currentSpeed = this.speed;
-      let verticalSpeed = this.verticalSpeed || 0;
-      
-      const specialMechanics = gameState.currentLevelConfig?.specialMechanics;
-      if (specialMechanics?.type === 'wind_effect') {
-        // Add noticeable wind sway effect
-        const windEffect = Math.sin(Date.now() * 0.005) * 0.5;
-        currentSpeed += windEffect;
-      }
-      
-      // Apply gravity shift effect
-      if (specialMechanics?.type === 'gravity_shift') {
-        // Add slight vertical movement variation for gravity shift
-        verticalSpeed += (Math.random() - 0.5) * 0.1;
-      }
-      
-      this.position.x += currentSpeed * deltaTime;
-      this.position.y += verticalSpeed * deltaTime;
-      
-      // Bounce off canvas edges
-      if (this.position.x <= 0 || this.position.x + this.width >= gameState.config.canvasWidth) {
-        this.speed = -this.speed;
-        this.position.x = Math.max(0, Math.min(this.position.x, gameState.config.canvasWidth - this.width));
-      }
-      
-      // Keep block within canvas bounds vertically - restrict to 1 block height deviation
-      const baseY = gameState.config.canvasHeight - (gameState.tower.length + 2) * gameState.config.blockHeight;
-      const maxDeviation = gameState.config.blockHeight; // 1 block height
-      const minY = baseY - maxDeviation;
-      const maxY = baseY + maxDeviation;
-      
-      if (this.position.y < minY) {
-        this.position.y = minY;
-        verticalSpeed = 0;
-      } else if (this.position.y > maxY) {
-        this.position.y = maxY;
-        verticalSpeed = 0;
-      }
-      
-      this.verticalSpeed = verticalSpeed;
-    }
+// Run bookkeeping: replays, ghosts and results
+gameEvents.on('game:started', ({ seed, level, mode }) => {
+  // Record live runs so they can be replayed later, racing the best one so far
+  if (getReplayPlayer()) {
+    setActiveGhost(null);
+  } else {
+    getReplayRecorder().start(seed, level, mode);
+    setActiveGhost(loadRunGhost(mode, level, seed));
+    
+    // There is one saved game, so a new run replaces it
+    clearSavedGame();
   }
+  levelStart = { score: 0, perfectDrops: 0 };
+  runExperience = { xp: 0, rank: null, rankUp: false };
+  bestCombo = 0;
+});
 
-  /**
-   * Place the block at current position
-   */
-  place() {
-    this.isMoving = false;
-    this.isPlaced = true;
-    this.speed = 0;
-  }
+gameEvents.on('game:step', () => {
+  getReplayRecorder().recordFrame();
+});
 
-  /**
-   * Shrink block width to specified value
-   * @param {number} newWidth - New width for the block
-   */
-  shrink(newWidth) {
-    // Be more forgiving with minimum width
-    const minWidth = Math.max(gameState.config.minBlockWidth * 0.7, 20);
-    this.width = Math.max(newWidth, minWidth);
-  }
-}
+gameEvents.on('combo:changed', ({ comboStreak }) => {
+  bestCombo = Math.max(bestCombo, comboStreak);
+});
 
-/**
- * Initializes a new game at the specified level
- * @param {number} level - Level number to initialize (default: 1)
- * @returns {Object} Updated game state
- * @example
- * initGame(2); // Initializes level 2
- */
-function initGame(level = 1) {
-  // Reset game state
-  gameState.tower = [];
-  gameState.score = 0;
-  gameState.level = level;
-  gameState.blocksPlaced = 0;
-  gameState.blocksInCurrentLevel = 0;
-  gameState.comboStreak = 0;
-  gameState.isActive = true;
-  gameState.isPaused = false;
-  
-  // Get level configuration
-  const levelConfig = getLevelConfig(level);
-  const levelParams = calculateLevelParameters(level);
-  
-  // Apply level-specific settings
-  gameState.currentLevelConfig = levelConfig;
-  gameState.currentLevelParams = levelParams;
-  gameState.perfectThreshold = levelParams.perfectThreshold;
-  
-  // Create initial tower base
-  const baseBlock = new Block(
-    0,
-    gameState.config.initialBlockWidth,
-    (gameState.config.canvasWidth - gameState.config.initialBlockWidth) / 2,
-    gameState.config.canvasHeight - gameState.config.blockHeight,
-    0,
-    false
-  );
-  baseBlock.place();
-  gameState.tower.push(baseBlock);
-  generateNewBlock();
-  updateUI();
-  
-  return gameState;
-}
+// Record the level before anything announces it, so popups show the experience it earned
+gameEvents.on('level:completed', ({ level }) => {
+  finishLevel(level, true);
+}, { priority: 10 });
 
-/**
- * Generates a new moving block for the player to drop
- */
-function generateNewBlock() {
-  const blockId = gameState.blocksPlaced + 1;
-  
-  // Calculate block width based on level parameters
-  const levelParams = gameState.currentLevelParams;
-  let blockWidth = Math.max(
-    gameState.config.minBlockWidth,
-    levelParams.blockWidthRange.min + 
-    Math.random() * (levelParams.blockWidthRange.max - levelParams.blockWidthRange.min)
-  );
-  
-  // Calculate block speed based on level parameters
-  let blockSpeed = levelParams.blockSpeed;
-  
-  // Apply special mechanics
-  const specialMechanics = gameState.currentLevelConfig?.specialMechanics;
-  if (specialMechanics) {
-    switch (specialMechanics.type) {
-      case 'tutorial':
-        // Tutorial level - slower speed, larger blocks (already handled by level config)
-        // Add visual indicator 
-        break;
-      case 'size_reduction':
-        // Blocks get smaller each drop - apply progressive size reduction
-        const sizeReduction = 1 - (gameState.blocksInCurrentLevel * 0.05); // 5% smaller each block
-        blockWidth *= Math.max(0.7, sizeReduction); // Minimum 70% of original size
-        break;
-      case 'speed_boost':
-        // Speed increases with every block in current level
-        if (gameState.blocksInCurrentLevel > 0) {
-          blockSpeed *= (1 + gameState.blocksInCurrentLevel * 0.1); // 10% increase per block
-        }
-        break;
-      case 'wind_effect':
-        // Add noticeable random movement to block speed
-        blockSpeed += (Math.random() - 0.5) * 0.4;
-        break;
-      case 'gravity_shift':
-        // Vary the starting position and add slight speed variation
-        blockSpeed += (Math.random() - 0.5) * 0.3;
-        // Add initial vertical speed variation for gravity shift effect
-        gameState.gravityShiftVerticalSpeed = (Math.random() - 0.5) * 0.2;
-        break;
-      case 'ultimate_challenge':
-        // Combine all previous mechanics
-        // Size reduction
-        const ultimateSizeReduction = 1 - (gameState.blocksInCurrentLevel * 0.03);
-        blockWidth *= Math.max(0.8, ultimateSizeReduction);
-        // Speed boost
-        if (gameState.blocksInCurrentLevel > 0) {
-          blockSpeed *= (1 + gameState.blocksInCurrentLevel * 0.05); // 5% increase per block
-        }
-        // Wind effect
-        blockSpeed += (Math.random() - 0.5) * 0.2;
-        // Gravity shift
-        blockSpeed += (Math.random() - 0.5) * 0.2;
-        gameState.gravityShiftVerticalSpeed = (Math.random() - 0.5) * 0.15;
-        break;
-    }
+gameEvents.on('game:over', ({ reason }) => {
+  // A finished run can't be continued
+  if (!getReplayPlayer()) {
+    clearSavedGame();
   }
   
-  gameState.currentBlock = new Block(
-    blockId,
-    blockWidth,
-    0, // Start from left edge
-    gameState.config.canvasHeight - (gameState.tower.length + 2) * gameState.config.blockHeight,
-    blockSpeed,
-    true
-  );
-  
-  // Apply gravity shift vertical speed if active
-  if ((specialMechanics?.type === 'gravity_shift' || specialMechanics?.type === 'ultimate_challenge') && gameState.gravityShiftVerticalSpeed) {
-    gameState.currentBlock.verticalSpeed = gameState.gravityShiftVerticalSpeed;
+  if (reason === 'completed') {
+    showGameCompleted();
+    return;
   }
   
-  // Apply visual effects for special mechanics
-  if (specialMechanics) {
-    switch (specialMechanics.type) {
-      case 'tutorial':
-        // Add visual indicator for tutorial
-        gameState.currentBlock.tutorial = true;
-        break;
-      case 'size_reduction':
-        // Add visual indicator for size reduction
-        gameState.currentBlock.sizeReduction = true;
-        break;
-      case 'precision_challenge':
-        // Add visual indicator for precision challenge
-        gameState.currentBlock.precisionChallenge = true;
-        break;
-      case 'wind_effect':
-        // Add a slight color tint to indicate wind effect
-        gameState.currentBlock.windEffect = true;
-        break;
-      case 'gravity_shift':
-        // Add a slight color tint to indicate gravity shift
-        gameState.currentBlock.gravityShift = true;
-        break;
-      case 'ultimate_challenge':
-        // Add visual indicator for ultimate challenge
-        gameState.currentBlock.ultimateChallenge = true;
-        break;
+  // Let the last drop settle, or the toppled blocks tumble down, before showing the results
+  setTimeout(() => {
+    if (!gameState.isActive) {
+      showGameOver();
     }
+  }, reason === 'collapsed' ? 1500 : 500);
+});
+
+// Achievements
+gameEvents.on('block:dropped', () => {
+  checkAchievements('blockPlaced', {
+    blocksPlaced: gameState.blocksPlaced,
+    instability: getTowerInstability()
+  });
+});
+
+gameEvents.on('block:perfect', () => {
+  checkAchievements('perfectDrop', { comboStreak: gameState.comboStreak });
+});
+
+gameEvents.on('level:completed', ({ level, isMilestone }) => {
+  checkAchievements('levelComplete', { level, mode: gameState.mode });
+  if (isMilestone) {
+    checkAchievements('milestoneReached', { level: level + 1, mode: gameState.mode });
   }
-}
+});
 
-/**
- * Drops the current moving block onto the tower
- * @returns {Object} Result object with success status and score information
- */
-function dropBlock() {
-  if (!gameState.currentBlock || !gameState.currentBlock.isMoving) {
-    return { success: false, message: "No block to drop" };
+gameEvents.on('challenge:ended', ({ challenge }) => {
+  checkAchievements('challengeEnded', { challenge: challenge.getSummary() });
+});
+
+// Audio
+gameEvents.on('block:perfect', () => playGameSound('perfectDrop'));
+
+gameEvents.on('block:trimmed', ({ debris }) => {
+  playGameSound('blockDrop');
+  if (debris.length > 0) {
+    playGameSound('crunch');
   }
-  
-  const currentBlock = gameState.currentBlock;
-  const lastTowerBlock = gameState.tower[gameState.tower.length - 1];
-  
-  // Calculate overlap with the block below
-  const overlap = calculateOverlap(currentBlock, lastTowerBlock);
-  
-  if (overlap <= 0) {
-    // Block missed - game over
-    gameState.isActive = false;
-    
-    // Play miss sound
-    const audioManager = getAudioManager();
-    if (audioManager) {
-      audioManager.playSound('blockMiss');
-    }
-    
-    // Add failure animations
-    addFailureAnimations(currentBlock, 'miss');
-    
-    return { 
-      success: false, 
-      gameOver: true, 
-      message: "Block missed the tower!" 
-    };
+});
+
+gameEvents.on('block:missed', () => playGameSound('blockMiss'));
+gameEvents.on('block:too-small', () => playGameSound('towerCollapse'));
+gameEvents.on('tower:collapsed', () => playGameSound('towerCollapse'));
+gameEvents.on('tower:unstable', () => playGameSound('stabilityWarning'));
+
+gameEvents.on('level:completed', ({ nextLevelConfig }) => {
+  // The game completed popup plays its own fanfare
+  if (nextLevelConfig) {
+    playGameSound('levelComplete');
   }
-  
-  // Place the block
-  currentBlock.place();
-  // Reset Y position to proper tower position (ignore gravity shift vertical movement)
-  currentBlock.position.y = lastTowerBlock.position.y - gameState.config.blockHeight;
-  // Clear any vertical speed from gravity shift
-  currentBlock.verticalSpeed = 0;
-  
-  // Check for perfect alignment - use the smaller of the two blocks for threshold
-  const thresholdBlock = currentBlock.width < lastTowerBlock.width ? currentBlock : lastTowerBlock;
-  const perfectAlignment = overlap >= (thresholdBlock.width * gameState.perfectThreshold);
-  
-  
-  if (perfectAlignment) {
-    // Perfect drop - no width reduction, bonus points
-    gameState.comboStreak++;
-    
-    // Apply special mechanics for combo multipliers
-    let comboMultiplier = 1;
-    const specialMechanics = gameState.currentLevelConfig?.specialMechanics;
-    if (specialMechanics?.type === 'precision_challenge') {
-      comboMultiplier = 2; // Double combo multiplier for precision challenge
-      // Add visual feedback for precision challenge
-      showScorePopup(`PRECISION x${comboMultiplier}!`, true);
-    }
-    
-    const bonusPoints = 100 * gameState.comboStreak * comboMultiplier;
-    gameState.score += bonusPoints;
-    
-    // Add perfect drop animation
-    currentBlock.perfectDrop = true;
-    currentBlock.perfectTime = Date.now();
-    
-    // Clear the perfect drop effect after animation
-    setTimeout(() => {
-      if (currentBlock) {
-        currentBlock.perfectDrop = false;
-      }
-    }, 1000);
-    
-    // Create particle explosion for perfect drop
-    createParticleExplosion(currentBlock.position.x + currentBlock.width / 2, currentBlock.position.y, 'perfect');
-    
-    // Play perfect drop sound
-    const audioManager = getAudioManager();
-    if (audioManager) {
-      audioManager.playSound('perfectDrop');
-    }
-  } else {
-    // Imperfect drop - shrink block and reset combo
-    currentBlock.shrink(overlap);
-    gameState.comboStreak = 0;
-    
-    // Play regular drop sound
-    const audioManager = getAudioManager();
-    if (audioManager) {
-      audioManager.playSound('blockDrop');
-    }
-    
-    // Check if block is too small
-    const minWidth = Math.max(gameState.config.minBlockWidth * 0.7, 20);
-    if (currentBlock.width < minWidth) {
-      gameState.isActive = false;
-      
-      // Play collapse sound
-      if (audioManager) {
-        audioManager.playSound('towerCollapse');
-      }
-      
-      // Add failure animations
-      addFailureAnimations(currentBlock, 'collapse');
-      
-      return { 
-        success: false, 
-        gameOver: true, 
-        message: "Block too small to continue!" 
-      };
-    }
+});
+
+gameEvents.on('challenge:ended', ({ challenge }) => {
+  playGameSound(challenge.status === 'complete' ? 'levelComplete' : 'towerCollapse');
+});
+
+// HUD
+gameEvents.on('state:changed', () => updateUI());
+
+gameEvents.on('block:dropped', ({ points, perfect }) => {
+  showScorePopup(points, perfect);
+});
+
+gameEvents.on('block:perfect', ({ comboMultiplier }) => {
+  // Add visual feedback for precision challenge
+  if (comboMultiplier > 1) {
+    showScorePopup(`PRECISION x${comboMultiplier}!`, true);
   }
-  
-  // Add block to tower
-  gameState.tower.push(currentBlock);
-  gameState.blocksPlaced++;
-  gameState.blocksInCurrentLevel++;
-  
-  // Add base points
-  const basePoints = 10 + (gameState.level * 5);
-  gameState.score += basePoints;
-  
-  // Check for level completion
-  const levelConfig = gameState.currentLevelConfig;
-  if (levelConfig.blocksToComplete && gameState.blocksInCurrentLevel >= levelConfig.blocksToComplete) {
-    // Check if this is the final level (Level 7)
-    if (gameState.level === 7) {
-      // Game completed! Show special completion popup
-      showGameCompleted();
-      return;
-    }
-    
-    // Level completed - advance to next level
-    gameState.level++;
-    gameState.blocksInCurrentLevel = 0; // Reset counter for new level
-    
-    // Get new level configuration
-    const newLevelConfig = getLevelConfig(gameState.level);
-    const newLevelParams = calculateLevelParameters(gameState.level);
-    
-    gameState.currentLevelConfig = newLevelConfig;
-    gameState.currentLevelParams = newLevelParams;
-    gameState.perfectThreshold = newLevelParams.perfectThreshold;
-    
-    // Play level complete sound
-    const audioManager = getAudioManager();
-    if (audioManager) {
-      audioManager.playSound('levelComplete');
-    }
-    
-    // Show level completion message
-    showLevelComplete(newLevelConfig);
+});
+
+gameEvents.on('block:missed', ({ block }) => addFailureAnimations(block, 'miss'));
+gameEvents.on('block:too-small', ({ block }) => addFailureAnimations(block, 'collapse'));
+gameEvents.on('tower:collapsed', () => addFailureAnimations(null, 'collapse'));
+
+gameEvents.on('level:completed', ({ nextLevelConfig, isMilestone }) => {
+  if (nextLevelConfig) {
+    showLevelComplete(nextLevelConfig, isMilestone);
   }
-  
-  generateNewBlock();
-  updateUI();
-  
-  return {
-    success: true,
-    perfectAlignment,
-    overlap,
-    points: basePoints + (perfectAlignment ? 100 * gameState.comboStreak : 0)
-  };
-}
+});
 
-/**
- * Calculates the overlap between two blocks
- * @param {Block} block1 - First block
- * @param {Block} block2 - Second block
- * @returns {number} Overlap amount in pixels
- */
-function calculateOverlap(block1, block2) {
-  const block1Left = block1.position.x;
-  const block1Right = block1.position.x + block1.width;
-  const block2Left = block2.position.x;
-  const block2Right = block2.position.x + block2.width;
-  
-  return Math.max(0, Math.min(block1Right, block2Right) - Math.max(block1Left, block2Left));
-}
+// Log every event on both buses for the event inspector (` key); simulation steps would crowd out the rest
+const eventInspector = new EventInspector({
+  ignore: ['game:step'],
+  context: () => ({ tick: gameState.tick, paused: gameState.isPaused, active: gameState.isActive })
+});
+eventInspector.attach(gameEvents, 'game');
+eventInspector.attach(eventSystem, 'page');
+
+// Overlay showing the event inspector's log, created once the page has loaded
+let eventInspectorOverlay = null;
 
 /**
- * Updates the game state (called every frame)
- * @param {number} deltaTime - Time elapsed since last update
+ * Unlocks the achievements a gameplay event earns in a live run and announces them
+ * @param {string} event - Gameplay event
+ * @param {Object} details - Event details the achievement conditions read
  */
-function updateGame(deltaTime) {
-  if (!gameState.isActive || gameState.isPaused) {
-    return;
-  }
+function checkAchievements(event, details) {
+  // Achievements belong to the built-in levels, so level packs don't earn them
+  if (getReplayPlayer() || getActiveLevelPack()) return;
   
-  if (gameState.currentBlock && gameState.currentBlock.isMoving) {
-    gameState.currentBlock.update(deltaTime);
-  }
-  
-  // Check for tower stability (simple physics check)
-  checkTowerStability();
+  unlockAchievements(event, details).forEach(showAchievementToast);
 }
 
 /**
- * Checks if the tower is stable or if it should collapse
+ * Shows a toast announcing an unlocked achievement
+ * @param {Object} achievement - Unlocked achievement
  */
-function checkTowerStability() {
-  if (gameState.tower.length < 3) return; // Need at least 3 blocks for stability check
-  
-  let totalOffset = 0;
-  for (let i = 1; i < gameState.tower.length; i++) {
-    const currentBlock = gameState.tower[i];
-    const previousBlock = gameState.tower[i - 1];
-    
-    // Calculate center offset
-    const currentCenter = currentBlock.position.x + currentBlock.width / 2;
-    const previousCenter = previousBlock.position.x + previousBlock.width / 2;
-    const offset = Math.abs(currentCenter - previousCenter);
-    
-    totalOffset += offset;
-  }
-  
-  // If total offset is too large, tower collapses
-  const baseMaxOffset = gameState.config.canvasWidth * 0.6;
-  const levelMultiplier = Math.max(0.8, 1 - (gameState.level - 1) * 0.02);
-  const maxOffset = baseMaxOffset * levelMultiplier;
+function showAchievementToast(achievement) {
+  const container = document.getElementById('achievementToasts');
+  if (!container) return;
+  
+  const toast = document.createElement('div');
+  toast.className = 'achievement-toast';
+  toast.innerHTML = `
+    <span class="achievement-toast-icon">${achievement.icon}</span>
+    <span class="achievement-toast-text">
+      <span class="achievement-toast-label">Achievement unlocked!</span>
+      <span class="achievement-toast-name">${achievement.name}</span>
+      <span class="achievement-toast-description">${achievement.description}</span>
+    </span>
+  `;
+  container.appendChild(toast);
+  playGameSound('achievement');
   
-  if (totalOffset > maxOffset) {
-    gameState.isActive = false;
-    // Trigger collapse animation
-    triggerTowerCollapse();
-  }
+  // Slide the toast out before removing it
+  setTimeout(() => {
+    toast.classList.add('achievement-toast-hide');
+    setTimeout(() => toast.remove(), 400);
+  }, 4000);
 }
 
 /**
- * Triggers tower collapse animation and game over
+ * Plays a sound effect if audio is available
+ * @param {string} soundName - Name of the sound to play
  */
-function triggerTowerCollapse() {
-  // Add collapse animation to all blocks
-  gameState.tower.forEach(block => {
-    block.collapsing = true;
-  });
-  
-  // Create explosion particles for each block
-  gameState.tower.forEach(block => {
-    createParticleExplosion(block.position.x + block.width / 2, block.position.y, 'collapse');
-  });
-  
-  // Play collapse sound
+function playGameSound(soundName) {
   const audioManager = getAudioManager();
   if (audioManager) {
-    audioManager.playSound('towerCollapse');
+    audioManager.playSound(soundName);
   }
-  
-  // Add screen flash animation
-  addFailureAnimations(null, 'collapse');
-  
-  // Show game over after animation
-  setTimeout(() => {
-    showGameOver();
-  }, 1000);
 }
 
 /**
- * Creates particle explosion effect
- * @param {number} x - X position
- * @param {number} y - Y position
- * @param {string} type - Type of explosion ('perfect', 'drop', 'collapse')
+ * Drops the current block, records it for replays and shows feedback
+ * @returns {Object} Result object from dropBlock
  */
-function createParticleExplosion(x, y, type = 'drop') {
-  const renderer = getRenderer();
-  if (!renderer) return;
+function performDrop() {
+  const tick = gameState.tick;
+  const result = dropBlock();
   
-  const particleCount = type === 'perfect' ? 15 : type === 'collapse' ? 25 : 8;
-  const colors = {
-    perfect: ['#28a745', '#20c997', '#17a2b8', '#ffc107'],
-    drop: ['#6c757d', '#495057', '#343a40'],
-    collapse: ['#dc3545', '#fd7e14', '#6f42c1']
-  };
+  if (!result.success && !result.gameOver && !result.challengeEnded) {
+    return result;
+  }
   
-  for (let i = 0; i < particleCount; i++) {
-    const particle = {
-      x: x,
-      y: y,
-      vx: (Math.random() - 0.5) * 8,
-      vy: (Math.random() - 0.5) * 8 - 2,
-      life: 1.0,
-      decay: 0.02 + Math.random() * 0.02,
-      size: 2 + Math.random() * 4,
-      color: colors[type][Math.floor(Math.random() * colors[type].length)],
-      type: type
-    };
-    
-    renderer.addParticle(particle);
+  if (!getReplayPlayer()) {
+    getReplayRecorder().recordDrop(tick, result);
   }
+  
+  return result;
 }
 
 /**
@@ -808,23 +424,28 @@ function addFailureAnimations(block, failureType) {
 /**
  * Shows level completion message
  * @param {Object} newLevelConfig - Configuration for the new level
+ * @param {boolean} isMilestone - Whether the new level is an endless mode milestone
  */
-function showLevelComplete(newLevelConfig) {
-  // Pause the game during level transition
-  gameState.isPaused = true;
+function showLevelComplete(newLevelConfig, isMilestone = false) {
+  // The core holds the next block still for the transition, so play continues
+  
+  const header = isMilestone
+    ? `<h2>🏆 Milestone: Level ${gameState.level}! 🏆</h2>
+        <div class="level-badge">Endless Tower · ${gameState.blocksPlaced} blocks high</div>`
+    : `<h2>🎉 Level ${gameState.level - 1} Complete! 🎉</h2>
+        <div class="level-badge">Level ${gameState.level - 1} → ${gameState.level}</div>`;
   
-  // Create level completion popup
+  // Create level completion popup; levels can come from other players' packs, so their text is escaped
   const popup = document.createElement('div');
   popup.className = 'level-complete-popup';
   popup.innerHTML = `
     <div class="level-complete-content">
       <div class="level-complete-header">
-        <h2>🎉 Level ${gameState.level - 1} Complete! 🎉</h2>
-        <div class="level-badge">Level ${gameState.level - 1} → ${gameState.level}</div>
+        ${header}
       </div>
       <div class="level-info">
-        <h3>${newLevelConfig.name}</h3>
-        <p>${newLevelConfig.description}</p>
+        <h3>${Helpers.escapeHtml(newLevelConfig.name)}</h3>
+        <p>${Helpers.escapeHtml(newLevelConfig.description || '')}</p>
       </div>
       <div class="level-stats">
         <div class="stat">
@@ -839,6 +460,10 @@ function showLevelComplete(newLevelConfig) {
           <span class="stat-label">Combo</span>
           <span class="stat-value">${gameState.comboStreak}</span>
         </div>
+        <div class="stat">
+          <span class="stat-label">Bonus</span>
+          <span class="stat-value">+${getLevelConfig(gameState.level - 1).rewards?.bonusPoints || 0}</span>
+        </div>
       </div>
       <div class="level-preview">
         <div class="difficulty-indicator">
@@ -893,17 +518,17 @@ function showLevelComplete(newLevelConfig) {
   `;
   
   document.body.appendChild(popup);
+  eventSystem.emit('overlay:shown', { overlay: 'levelComplete' });
   
-  // Auto-remove after 2 seconds and resume game
+  // Auto-remove after 2 seconds
   setTimeout(() => {
     if (document.body.contains(popup)) {
       popup.style.animation = 'levelCompleteSlideOut 0.3s ease-in';
       setTimeout(() => {
         if (document.body.contains(popup)) {
           document.body.removeChild(popup);
+          eventSystem.emit('overlay:hidden', { overlay: 'levelComplete' });
         }
-        // Resume the game
-        gameState.isPaused = false;
       }, 300);
     }
   }, 2000);
@@ -928,7 +553,7 @@ function showGameCompleted() {
       </div>
       <div class="completion-info">
         <h3>🏆 You've mastered Stack Hero!</h3>
-        <p>You've successfully completed all 7 levels and conquered every challenge!</p>
+        <p>You've successfully completed all ${getActiveLevels().length} levels and conquered every challenge!</p>
       </div>
       <div class="final-stats">
         <div class="stat">
@@ -941,11 +566,15 @@ function showGameCompleted() {
         </div>
         <div class="stat">
           <span class="stat-label">Levels Completed:</span>
-          <span class="stat-value">7/7</span>
+          <span class="stat-value">${getActiveLevels().length}/${getActiveLevels().length}</span>
         </div>
         <div class="stat">
           <span class="stat-label">Best Combo:</span>
-          <span class="stat-value">${gameState.comboStreak}</span>
+          <span class="stat-value">${bestCombo}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Experience:</span>
+          <span class="stat-value">+${runExperience.xp} XP</span>
         </div>
       </div>
       <div class="completion-actions">
@@ -974,10 +603,12 @@ function showGameCompleted() {
   `;
   
   document.body.appendChild(popup);
+  eventSystem.emit('overlay:shown', { overlay: 'gameCompleted' });
   
   // Add event listeners for buttons
   document.getElementById('playAgainBtn').addEventListener('click', () => {
     document.body.removeChild(popup);
+    eventSystem.emit('overlay:hidden', { overlay: 'gameCompleted' });
     resetGame();
   });
   
@@ -991,27 +622,152 @@ function showGameCompleted() {
     audioManager.playSound('levelComplete');
   }
   
+  finishReplayRecording();
+  
   // Save final score
-  saveGameState();
+  saveHighScore(gameState.score);
 }
 
 /**
  * Shows the game over screen
  */
 function showGameOver() {
+  // Replays re-show a finished run, so only live games are saved
+  const stats = getRunStats();
+  if (!getReplayPlayer()) {
+    finishReplayRecording();
+    saveHighScore(gameState.score);
+    finishLevel(gameState.level, false);
+    stats.experience = runExperience;
+    
+    if (dailyAttempt && dailyAttempt.isOfficial) {
+      finishDailyAttempt(dailyAttempt.dateKey, stats);
+      dailyAttempt.isOfficial = false;
+      dailyAttempt.wasOfficial = true;
+    }
+  }
+  
+  displayGameOverOverlay(stats);
+}
+
+/**
+ * Collects the statistics shown at the end of a run and kept with its replay
+ * @returns {Object} Run statistics (score, blocksPlaced, level, endTick, challenge)
+ */
+function getRunStats() {
+  return {
+    score: gameState.score,
+    blocksPlaced: gameState.blocksPlaced,
+    level: gameState.level,
+    endTick: gameState.tick,
+    challenge: gameState.challenge ? gameState.challenge.getSummary() : null
+  };
+}
+
+/**
+ * Fills in and shows the game over overlay, or the results screen for challenges
+ * @param {Object} stats - Run statistics (score, blocksPlaced, level, challenge, experience)
+ */
+function displayGameOverOverlay(stats) {
+  if (stats.challenge) {
+    displayChallengeResults(stats);
+    return;
+  }
+  
   const overlay = document.getElementById('gameOverOverlay');
   const finalScore = document.getElementById('finalScore');
   const finalBlocks = document.getElementById('finalBlocks');
   const finalLevel = document.getElementById('finalLevel');
+  const watchReplayBtn = document.getElementById('watchReplayBtn');
+  const exportReplayBtn = document.getElementById('exportReplayBtn');
+  
+  finalScore.textContent = stats.score;
+  finalBlocks.textContent = stats.blocksPlaced;
+  finalLevel.textContent = stats.level;
+  showRunExperience(document.getElementById('finalXp'), stats.experience);
   
-  finalScore.textContent = gameState.score;
-  finalBlocks.textContent = gameState.blocksPlaced;
-  finalLevel.textContent = gameState.level;
+  const hasReplay = Boolean(getReplayRecorder().lastReplay);
+  if (watchReplayBtn) watchReplayBtn.disabled = !hasReplay;
+  if (exportReplayBtn) exportReplayBtn.disabled = !hasReplay;
   
   overlay.style.display = 'flex';
+  eventSystem.emit('overlay:shown', { overlay: 'gameOver' });
+}
+
+/**
+ * Fills in and shows the challenge results screen
+ * @param {Object} stats - Run statistics including the challenge summary
+ */
+function displayChallengeResults(stats) {
+  const overlay = document.getElementById('challengeResultsOverlay');
+  const title = document.getElementById('challengeResultTitle');
+  const reason = document.getElementById('challengeResultReason');
+  const resultScore = document.getElementById('challengeResultScore');
+  const resultBlocks = document.getElementById('challengeResultBlocks');
+  const resultTime = document.getElementById('challengeResultTime');
+  const resultBest = document.getElementById('challengeResultBest');
+  const replayBtn = document.getElementById('challengeReplayBtn');
+  const note = document.getElementById('challengeResultNote');
+  
+  const challenge = stats.challenge;
+  const isComplete = challenge.status === 'complete';
+  const bestScores = loadHighScores(challenge.type);
+  
+  title.textContent = `${challenge.name} ${isComplete ? 'Complete!' : 'Failed'}`;
+  reason.textContent = challenge.reason || 'The run ended early';
+  resultScore.textContent = stats.score;
+  resultBlocks.textContent = challenge.blockQuota ? `${stats.blocksPlaced} / ${challenge.blockQuota}` : stats.blocksPlaced;
+  resultTime.textContent = formatChallengeTime(challenge.elapsed);
+  resultBest.textContent = bestScores.length > 0 ? bestScores[0].score : stats.score;
+  showRunExperience(document.getElementById('challengeResultXp'), stats.experience);
+  
+  if (replayBtn) replayBtn.disabled = !getReplayRecorder().lastReplay;
+  
+  // Daily challenges allow one official attempt; the rest are practice
+  if (note) {
+    note.hidden = challenge.type !== 'daily' || !dailyAttempt;
+    if (!note.hidden) {
+      const streaks = calculateDailyStreaks(loadDailyResults(), dailyAttempt.dateKey);
+      note.textContent = dailyAttempt.wasOfficial
+        ? `Official result recorded · 🔥 ${streaks.current} day streak`
+        : 'Practice run · only your first attempt each day counts';
+    }
+  }
   
-  // Save high score
-  saveHighScore(gameState.score);
+  overlay.classList.toggle('failed', !isComplete);
+  overlay.style.display = 'flex';
+  eventSystem.emit('overlay:shown', { overlay: 'challengeResults' });
+}
+
+/**
+ * Shows the experience earned in a run and the player's rank
+ * @param {HTMLElement} element - Element to fill in
+ * @param {Object} experience - Experience earned ({ xp, rank, rankUp }); absent for replays
+ */
+function showRunExperience(element, experience) {
+  if (!element) return;
+  
+  element.hidden = !experience;
+  if (!experience) return;
+  
+  const rank = experience.rank || getPlayerRank(loadPlayerProfile().xp);
+  element.textContent = experience.rankUp
+    ? `+${experience.xp} XP · Rank up: ${rank.icon} ${rank.name}!`
+    : `+${experience.xp} XP · ${rank.icon} ${rank.name}`;
+  element.classList.toggle('rank-up', experience.rankUp);
+}
+
+/**
+ * Stops recording the live run and saves its replay
+ */
+function finishReplayRecording() {
+  const replay = getReplayRecorder().finish(getRunStats());
+  
+  // Replays record the level number only, so level pack runs can be watched but not kept
+  if (replay && !getActiveLevelPack()) {
+    saveReplay(replay);
+    saveGhostIfBest(replay);
+  }
 }
 
 /**
@@ -1031,20 +787,73 @@ function updateUI() {
   if (comboElement) comboElement.textContent = gameState.comboStreak;
   
   if (gameState.currentLevelConfig) {
-    if (levelNameElement) levelNameElement.textContent = gameState.currentLevelConfig.name;
+    if (levelNameElement) {
+      let modeLabel = gameState.mode === 'endless' ? ' · Endless' : '';
+      if (gameState.challenge) modeLabel = ` · ${gameState.challenge.name}`;
+      levelNameElement.textContent = gameState.currentLevelConfig.name + modeLabel;
+    }
     if (levelDescriptionElement) {
       let description = gameState.currentLevelConfig.description;
       // Add special mechanics info
-      if (gameState.currentLevelConfig.specialMechanics) {
-        description += ` | ${gameState.currentLevelConfig.specialMechanics.description}`;
+      const mechanicsDescription = describeMechanics(gameState.currentLevelConfig);
+      if (mechanicsDescription) {
+        description += ` | ${mechanicsDescription}`;
       }
       levelDescriptionElement.textContent = description;
     }
   }
   
+  updateGhostDelta();
+  updateChallengeHud();
   updateAccessibilityAnnouncements();
 }
 
+/**
+ * Shows how far ahead of or behind the personal-best ghost the player is
+ */
+function updateGhostDelta() {
+  const deltaElement = document.getElementById('ghostDelta');
+  if (!deltaElement) return;
+  
+  const ghost = getActiveGhost();
+  if (!ghost) {
+    deltaElement.textContent = '';
+    return;
+  }
+  
+  const delta = gameState.score - ghost.getScoreAt(gameState.tick);
+  const text = delta >= 0 ? `+${delta}` : `${delta}`;
+  if (deltaElement.textContent !== text) {
+    deltaElement.textContent = text;
+    deltaElement.classList.toggle('behind', delta < 0);
+  }
+}
+
+/**
+ * Shows the challenge countdown, block quota and rules in the header
+ */
+function updateChallengeHud() {
+  const challengeStat = document.getElementById('challengeStat');
+  const progressElement = document.getElementById('challengeProgress');
+  if (!challengeStat || !progressElement) return;
+  
+  const challenge = gameState.challenge;
+  challengeStat.hidden = !challenge;
+  if (!challenge) return;
+  
+  const parts = [];
+  const remaining = challenge.getTimeRemaining();
+  if (remaining !== null) parts.push(`⏱ ${formatChallengeTime(remaining)}`);
+  if (challenge.rules.blockQuota) parts.push(`${gameState.blocksPlaced}/${challenge.rules.blockQuota}`);
+  if (challenge.rules.perfectOnly) parts.push('Perfect only');
+  
+  const text = parts.join(' · ');
+  if (progressElement.textContent !== text) {
+    progressElement.textContent = text;
+    challengeStat.classList.toggle('urgent', remaining !== null && remaining <= 10000);
+  }
+}
+
 /**
  * Updates accessibility announcements for screen readers
  */
@@ -1070,7 +879,16 @@ function updateAccessibilityAnnouncements() {
  * @param {number} score - Score to save
  */
 function saveHighScore(score) {
-  const highScores = JSON.parse(localStorage.getItem('physicsStackTower_highScores') || '[]');
+  // Level pack scores would crowd out the built-in levels' leaderboard; library packs keep their own best
+  if (getActiveLevelPack()) {
+    if (launchLibraryPackId && gameState.mode === 'classic') {
+      recordPackScore(launchLibraryPackId, score);
+    }
+    return;
+  }
+  
+  const highScoreKey = getHighScoreKey(gameState.mode);
+  const highScores = JSON.parse(localStorage.getItem(highScoreKey) || '[]');
   highScores.push({
     score: score,
     level: gameState.level,
@@ -1082,7 +900,7 @@ function saveHighScore(score) {
   highScores.sort((a, b) => b.score - a.score);
   highScores.splice(10);
   
-  localStorage.setItem('physicsStackTower_highScores', JSON.stringify(highScores));
+  localStorage.setItem(highScoreKey, JSON.stringify(highScores));
   
   // Track games played
   const gamesPlayed = parseInt(localStorage.getItem('physicsStackTower_gamesPlayed') || '0');
@@ -1091,19 +909,221 @@ function saveHighScore(score) {
 
 /**
  * Loads high scores from localStorage
+ * @param {string} mode - Game mode whose leaderboard to load (default: current mode)
  * @returns {Array} Array of high score objects
  */
-function loadHighScores() {
-  return JSON.parse(localStorage.getItem('physicsStackTower_highScores') || '[]');
+function loadHighScores(mode = gameState.mode) {
+  return JSON.parse(localStorage.getItem(getHighScoreKey(mode)) || '[]');
 }
 
 /**
- * Pauses the game
+ * Gets the storage key of a game mode's leaderboard
+ * @param {string} mode - Game mode
+ * @returns {string} Storage key
+ */
+function getHighScoreKey(mode) {
+  return mode === 'classic' ? 'physicsStackTower_highScores' : `physicsStackTower_${mode}HighScores`;
+}
+
+// Score and perfect drops when the current level began, for per-level results
+let levelStart = { score: 0, perfectDrops: 0 };
+
+// Experience earned so far in the live run and the rank it left the player at
+let runExperience = { xp: 0, rank: null, rankUp: false };
+
+// Longest perfect drop streak in the run
+let bestCombo = 0;
+
+/**
+ * Records the player's result on a level of a live run and awards its experience
+ * @param {number} levelNumber - Level that was played
+ * @param {boolean} completed - Whether the level was completed
+ */
+function finishLevel(levelNumber, completed) {
+  if (getReplayPlayer()) return;
+  
+  const levelScore = gameState.score - levelStart.score;
+  const levelPerfectDrops = gameState.perfectDrops - levelStart.perfectDrops;
+  
+  // Challenges and level packs change the rules, so only regular runs unlock levels
+  if ((gameState.mode === 'classic' || gameState.mode === 'endless') && !getActiveLevelPack()) {
+    recordLevelResult(levelNumber, levelScore, completed);
+  } else if (gameState.mode === 'classic' && launchLibraryPackId) {
+    recordPackLevelResult(launchLibraryPackId, levelNumber, levelScore, completed);
+  }
+  
+  const award = awardExperience(calculateExperience(levelNumber, levelScore, levelPerfectDrops));
+  runExperience.xp += award.xp;
+  runExperience.rank = award.rank;
+  runExperience.rankUp = runExperience.rankUp || award.rankUp;
+  
+  levelStart = { score: gameState.score, perfectDrops: gameState.perfectDrops };
+}
+
+// Day and status of the daily challenge being played, if any
+let dailyAttempt = null;
+
+/**
+ * Starts a new game in the mode picked on the main menu
+ */
+function startLaunchGame() {
+  const mode = getLaunchMode();
+  
+  if (mode !== 'daily') {
+    dailyAttempt = null;
+    initGame(mode === 'classic' ? getLaunchLevel() : 1, createSeed(), mode);
+    return;
+  }
+  
+  // Everyone plays the same seeded blocks on the same day
+  const daily = generateDailyChallenge();
+  dailyAttempt = {
+    dateKey: daily.dateKey,
+    isOfficial: startDailyAttempt(daily.dateKey, daily.name),
+    wasOfficial: false
+  };
+  initGame(1, daily.seed, mode);
+}
+
+/**
+ * Reads the game mode chosen on the main menu from the page URL
+ * @returns {string} Game mode ('classic', 'endless', 'daily' or a challenge type)
+ */
+function getLaunchMode() {
+  const mode = new URLSearchParams(window.location.search).get('mode');
+  if (mode === 'endless' || getChallengeConfig(mode)) {
+    return mode;
+  }
+  return 'classic';
+}
+
+/**
+ * Reads the starting level chosen on the level select screen from the page URL
+ * @returns {number} Starting level, or 1 if none was chosen or it is still locked
+ */
+function getLaunchLevel() {
+  const level = parseInt(new URLSearchParams(window.location.search).get('level'), 10);
+  
+  // Every level of a level pack is open, so designers can try any of them
+  const isUnlocked = getActiveLevelPack() || isLevelUnlocked(level, loadLevelProgress().highestCompleted);
+  if (getActiveLevels().some(entry => entry.id === level) && isUnlocked) {
+    return level;
+  }
+  return 1;
+}
+
+// Library id of the level pack being played, if it was started from the pack library
+let launchLibraryPackId = null;
+
+/**
+ * Loads the level pack named in the page URL, a file (?pack=path/to/pack.json)
+ * or a pack from the player's library (?library=id), and plays it in place of
+ * the built-in levels
+ */
+async function loadLaunchPack() {
+  const params = new URLSearchParams(window.location.search);
+  const source = params.get('pack');
+  const libraryId = params.get('library');
+  if (!source && !libraryId) return;
+  
+  try {
+    const pack = libraryId ? getLibraryPack(libraryId) : await loadLevelPack(source);
+    if (!pack) {
+      throw new Error('The pack is no longer in your library.');
+    }
+    setActiveLevelPack(pack);
+    launchLibraryPackId = libraryId;
+  } catch (error) {
+    console.error('Failed to load level pack:', error);
+    alert(`Could not load level pack, playing the built-in levels instead.\n\n${error.message}`);
+  }
+}
+
+/**
+ * Gets the page URL query the run was started from, without the request to continue it
+ * @returns {string} URL query, such as '?mode=endless'
+ */
+function getLaunchQuery() {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('continue');
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Saves the live run so it can be continued from the main menu
+ */
+function saveGameState() {
+  // Replays and finished runs have nothing to continue
+  if (getReplayPlayer() || !gameState.isActive) return;
+  
+  storeSavedGame(createSavedGame(serializeState(), {
+    launch: getLaunchQuery(),
+    levelPack: getActiveLevelPack(),
+    replay: getReplayRecorder().replay,
+    progress: { levelStart, runExperience, bestCombo, dailyAttempt }
+  }));
+}
+
+/**
+ * Continues the saved game when the main menu's Continue button opened the page
+ * @returns {boolean} Whether a saved game was continued
+ */
+function continueSavedGame() {
+  if (!new URLSearchParams(window.location.search).has('continue')) return false;
+  
+  const savedGame = loadSavedGame();
+  if (!savedGame) return false;
+  
+  try {
+    // The run keeps the copy of its level pack it was saved with, even if the file or library has changed since
+    const levelPack = savedGame.levelPack ? parseLevelPack(JSON.stringify(savedGame.levelPack)) : null;
+    setActiveLevelPack(levelPack);
+    restoreState(savedGame.state);
+  } catch (error) {
+    console.error('Failed to continue saved game:', error);
+    alert(`Could not continue the saved game, starting a new one instead.\n\n${error.message}`);
+    clearSavedGame();
+    return false;
+  }
+  
+  ({ levelStart, runExperience, bestCombo, dailyAttempt } = savedGame.progress);
+  
+  // Keep recording the run so it can still be replayed, racing the ghost it started against
+  if (savedGame.replay) {
+    getReplayRecorder().resume(savedGame.replay);
+    setActiveGhost(loadRunGhost(savedGame.replay.mode, savedGame.replay.level, savedGame.replay.seed));
+  } else {
+    getReplayRecorder().cancel();
+    setActiveGhost(null);
+  }
+  
+  // Open paused so the player can get ready before the block moves again
+  pauseGame();
+  updateUI();
+  
+  // A game saved between levels still holds the next block for the transition, so say why once play resumes
+  if (gameState.levelTransitionRemaining > 0) {
+    const isMilestone = gameState.mode === 'endless' && isEndlessMilestone(gameState.level);
+    const stopWaiting = eventSystem.on('overlay:hidden', ({ overlay }) => {
+      stopWaiting();
+      if (overlay === 'pause') {
+        showLevelComplete(gameState.currentLevelConfig, isMilestone);
+      }
+    });
+  }
+  return true;
+}
+
+/**
+ * Pauses the game and saves it, so it can be continued if the player leaves
  */
 function pauseGame() {
   gameState.isPaused = true;
   const overlay = document.getElementById('pauseOverlay');
   overlay.style.display = 'flex';
+  eventSystem.emit('overlay:shown', { overlay: 'pause' });
+  saveGameState();
 }
 
 /**
@@ -1113,17 +1133,19 @@ function resumeGame() {
   gameState.isPaused = false;
   const overlay = document.getElementById('pauseOverlay');
   overlay.style.display = 'none';
+  eventSystem.emit('overlay:hidden', { overlay: 'pause' });
 }
 
 /**
  * Resets the game to initial state
  */
 function resetGame() {
-  // Hide all overlays first
+  // Leave replay playback and hide all overlays first
+  exitReplay();
   hideAllOverlays();
   
   // Initialize the game
-  initGame(1);
+  startLaunchGame();
   
   // Ensure the game is active and not paused
   gameState.isActive = true;
@@ -1136,6 +1158,48 @@ function resetGame() {
   }
 }
 
+/**
+ * Starts playing back a replay with the replay controls shown
+ * @param {Object} replay - Replay to play
+ */
+function playReplay(replay) {
+  const player = startReplayPlayback(replay);
+  
+  const controls = document.getElementById('replayControls');
+  const scrubber = document.getElementById('replayScrubber');
+  const speedSelect = document.getElementById('replaySpeed');
+  const pauseBtn = document.getElementById('replayPauseBtn');
+  
+  if (scrubber) {
+    scrubber.max = player.getDuration();
+    scrubber.value = 0;
+  }
+  if (speedSelect) speedSelect.value = '1';
+  if (pauseBtn) pauseBtn.textContent = '⏸';
+  if (controls) controls.style.display = 'flex';
+}
+
+/**
+ * Stops replay playback and hides the replay controls
+ */
+function exitReplay() {
+  stopReplayPlayback();
+  
+  const controls = document.getElementById('replayControls');
+  if (controls) controls.style.display = 'none';
+}
+
+/**
+ * Keeps the replay scrubber in step with playback
+ */
+function updateReplayControls() {
+  const player = getReplayPlayer();
+  const scrubber = document.getElementById('replayScrubber');
+  if (!player || !scrubber || scrubber.dataset.dragging === 'true') return;
+  
+  scrubber.value = Math.min(gameState.tick, player.getDuration());
+}
+
 /**
  * Hides all game overlays
  */
@@ -1144,6 +1208,7 @@ function hideAllOverlays() {
   overlays.forEach(overlay => {
     overlay.style.display = 'none';
   });
+  eventSystem.emit('overlay:hidden', { overlay: 'all' });
 }
 
 // Game Interface Implementation
@@ -1167,8 +1232,10 @@ const PhysicsStackTowerGame = {
     // Set up event listeners
     setupEventListeners();
     
-    // Initialize game
-    initGame(1);
+    // Continue the saved game, or start one in the mode picked on the main menu
+    if (!continueSavedGame()) {
+      startLaunchGame();
+    }
     
     return true;
   },
@@ -1219,31 +1286,7 @@ const PhysicsStackTowerGame = {
    * @returns {Object} Serializable game state
    */
   getState: function() {
-    return {
-      level: gameState.level,
-      score: gameState.score,
-      blocksPlaced: gameState.blocksPlaced,
-      blocksInCurrentLevel: gameState.blocksInCurrentLevel,
-      comboStreak: gameState.comboStreak,
-      speedMultiplier: gameState.speedMultiplier,
-      isActive: gameState.isActive,
-      isPaused: gameState.isPaused,
-      tower: gameState.tower.map(block => ({
-        id: block.id,
-        width: block.width,
-        position: { ...block.position },
-        color: block.color,
-        isPlaced: block.isPlaced
-      })),
-      currentBlock: gameState.currentBlock ? {
-        id: gameState.currentBlock.id,
-        width: gameState.currentBlock.width,
-        position: { ...gameState.currentBlock.position },
-        speed: gameState.currentBlock.speed,
-        isMoving: gameState.currentBlock.isMoving,
-        color: gameState.currentBlock.color
-      } : null
-    };
+    return serializeState();
   },
 
   /**
@@ -1252,44 +1295,29 @@ const PhysicsStackTowerGame = {
    * @returns {boolean} Success status
    */
   setState: function(state) {
-    gameState.level = state.level || 1;
-    gameState.score = state.score || 0;
-    gameState.blocksPlaced = state.blocksPlaced || 0;
-    gameState.blocksInCurrentLevel = state.blocksInCurrentLevel || 0;
-    gameState.comboStreak = state.comboStreak || 0;
-    gameState.speedMultiplier = state.speedMultiplier || 1;
-    gameState.isActive = state.isActive || false;
-    gameState.isPaused = state.isPaused || false;
-    
-    // Restore tower
-    gameState.tower = (state.tower || []).map(blockData => {
-      const block = new Block(
-        blockData.id,
-        blockData.width,
-        blockData.position.x,
-        blockData.position.y,
-        0,
-        false
-      );
-      block.color = blockData.color;
-      block.isPlaced = blockData.isPlaced;
-      return block;
-    });
-    
-    // Restore current block
-    if (state.currentBlock) {
-      gameState.currentBlock = new Block(
-        state.currentBlock.id,
-        state.currentBlock.width,
-        state.currentBlock.position.x,
-        state.currentBlock.position.y,
-        state.currentBlock.speed,
-        state.currentBlock.isMoving
-      );
-      gameState.currentBlock.color = state.currentBlock.color;
-    }
-    
-    updateUI();
+    restoreState(state);
+    return true;
+  },
+
+  /**
+   * Play back a recorded replay
+   * @param {Object} replay - Replay recorded by the replay system
+   * @returns {boolean} Success status
+   */
+  playReplay: function(replay) {
+    playReplay(replay);
+    return true;
+  },
+
+  /**
+   * Register a special mechanic plugin that levels and level packs can then use
+   * @param {string} name - Mechanic type levels name in their mechanics list
+   * @param {Object} plugin - Mechanic with its description, settings and hooks (see MECHANICS in mechanics.js)
+   * @returns {boolean} Success status
+   * @throws {Error} If the name is taken or the plugin is malformed
+   */
+  registerMechanic: function(name, plugin) {
+    registerMechanic(name, plugin);
     return true;
   },
 
@@ -1357,6 +1385,91 @@ function setupEventListeners() {
   if (restartFromPauseBtn) restartFromPauseBtn.addEventListener('click', () => PhysicsStackTowerGame.reset());
   if (mainMenuFromPauseBtn) mainMenuFromPauseBtn.addEventListener('click', () => window.location.href = '../../index.html');
   
+  // Replay controls
+  const watchReplayBtn = document.getElementById('watchReplayBtn');
+  const exportReplayBtn = document.getElementById('exportReplayBtn');
+  const loadReplayBtn = document.getElementById('loadReplayBtn');
+  const replayFileInput = document.getElementById('replayFileInput');
+  const replayPauseBtn = document.getElementById('replayPauseBtn');
+  const replayScrubber = document.getElementById('replayScrubber');
+  const replaySpeed = document.getElementById('replaySpeed');
+  const replayExitBtn = document.getElementById('replayExitBtn');
+  const challengeRetryBtn = document.getElementById('challengeRetryBtn');
+  const challengeReplayBtn = document.getElementById('challengeReplayBtn');
+  const challengeMenuBtn = document.getElementById('challengeMenuBtn');
+  
+  if (watchReplayBtn) {
+    watchReplayBtn.addEventListener('click', () => {
+      const replay = getReplayRecorder().lastReplay;
+      if (replay) playReplay(replay);
+    });
+  }
+  if (exportReplayBtn) {
+    exportReplayBtn.addEventListener('click', () => {
+      const replay = getReplayRecorder().lastReplay;
+      if (replay) exportReplay(replay);
+    });
+  }
+  if (loadReplayBtn && replayFileInput) {
+    loadReplayBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', async () => {
+      const file = replayFileInput.files[0];
+      replayFileInput.value = '';
+      if (!file) return;
+      
+      try {
+        playReplay(parseReplay(await file.text()));
+      } catch (error) {
+        console.error('Failed to load replay:', error);
+        alert(`Could not load replay: ${error.message}`);
+      }
+    });
+  }
+  if (replayPauseBtn) {
+    replayPauseBtn.addEventListener('click', () => {
+      const player = getReplayPlayer();
+      if (player) {
+        replayPauseBtn.textContent = player.togglePause() ? '▶' : '⏸';
+      }
+    });
+  }
+  if (replayScrubber) {
+    replayScrubber.addEventListener('pointerdown', () => {
+      replayScrubber.dataset.dragging = 'true';
+    });
+    replayScrubber.addEventListener('change', () => {
+      replayScrubber.dataset.dragging = 'false';
+      const player = getReplayPlayer();
+      if (player) player.seek(parseInt(replayScrubber.value, 10));
+    });
+  }
+  if (replaySpeed) {
+    replaySpeed.addEventListener('change', () => {
+      const player = getReplayPlayer();
+      if (player) player.setSpeed(parseFloat(replaySpeed.value));
+    });
+  }
+  if (replayExitBtn) {
+    replayExitBtn.addEventListener('click', () => {
+      const player = getReplayPlayer();
+      if (!player) return;
+      
+      exitReplay();
+      gameState.isActive = false;
+      displayGameOverOverlay(player.replay.result || getRunStats());
+    });
+  }
+  
+  // Challenge results
+  if (challengeRetryBtn) challengeRetryBtn.addEventListener('click', () => PhysicsStackTowerGame.reset());
+  if (challengeMenuBtn) challengeMenuBtn.addEventListener('click', () => window.location.href = '../../index.html');
+  if (challengeReplayBtn) {
+    challengeReplayBtn.addEventListener('click', () => {
+      const replay = getReplayRecorder().lastReplay;
+      if (replay) playReplay(replay);
+    });
+  }
+  
   // Sound toggle
   if (soundToggle) {
     soundToggle.addEventListener('click', () => {
@@ -1378,6 +1491,7 @@ function setupEventListeners() {
   // Window events
   window.addEventListener('resize', handleWindowResize);
   window.addEventListener('beforeunload', handleBeforeUnload);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
 }
 
 /**
@@ -1394,6 +1508,7 @@ function cleanupEventListeners() {
   document.removeEventListener('keyup', handleKeyUp);
   window.removeEventListener('resize', handleWindowResize);
   window.removeEventListener('beforeunload', handleBeforeUnload);
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
 }
 
 /**
@@ -1401,18 +1516,9 @@ function cleanupEventListeners() {
  * @param {Event} event - Click event
  */
 function handleCanvasClick(event) {
-  if (!gameState.isActive || gameState.isPaused) return;
+  if (!gameState.isActive || gameState.isPaused || getReplayPlayer()) return;
   
-  const result = dropBlock();
-  if (result.success) {
-    // Add visual feedback
-    showScorePopup(result.points, result.isPerfect);
-  } else if (result.gameOver) {
-    // Handle game over
-    setTimeout(() => {
-      showGameOver();
-    }, 500); // Small delay to allow animations to play
-  }
+  performDrop();
 }
 
 /**
@@ -1429,19 +1535,19 @@ function handleCanvasTouch(event) {
  * @param {KeyboardEvent} event - Keyboard event
  */
 function handleKeyDown(event) {
+  // Space toggles playback while watching a replay instead of dropping
+  if (getReplayPlayer() && event.code === 'Space') {
+    event.preventDefault();
+    const replayPauseBtn = document.getElementById('replayPauseBtn');
+    if (replayPauseBtn) replayPauseBtn.click();
+    return;
+  }
+  
   switch (event.code) {
     case 'Space':
       event.preventDefault();
       if (gameState.isActive && !gameState.isPaused) {
-        const result = dropBlock();
-        if (result.success) {
-          showScorePopup(result.points, result.isPerfect);
-        } else if (result.gameOver) {
-          // Handle game over
-          setTimeout(() => {
-            showGameOver();
-          }, 500); // Small delay to allow animations to play
-        }
+        performDrop();
       }
       break;
       
@@ -1490,10 +1596,15 @@ function handleWindowResize() {
  * Handles before unload events (save game state)
  */
 function handleBeforeUnload() {
-  if (gameState.isActive && !gameState.isPaused) {
-    // Save current game state
-    const saveManager = window.saveManager || StorageManager;
-    saveManager.save('physicsStackTower_currentGame', PhysicsStackTowerGame.getState());
+  saveGameState();
+}
+
+/**
+ * Saves the game when the page is hidden, since a closed tab or app may never unload cleanly
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    saveGameState();
   }
 }
 
@@ -1542,6 +1653,9 @@ function showScorePopup(points, isPerfect) {
 
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', async function() {
+  // The event inspector's overlay stays hidden until its key is pressed
+  eventInspectorOverlay = new EventInspectorOverlay(eventInspector);
+  
   // Initialize the game loader
   const loader = initGameLoader();
   
@@ -1549,7 +1663,7 @@ document.addEventListener('DOMContentLoaded', async function() {
   await loader.startLoading();
   
   // Set up callback for when loading completes
-  window.onGameLoaderComplete = function() {
+  window.onGameLoaderComplete = async function() {
     // Initialize audio manager
     initAudioManager({
       masterVolume: 0.7,
@@ -1576,7 +1690,8 @@ document.addEventListener('DOMContentLoaded', async function() {
       });
     }
     
-    // Initialize game
+    // Initialize game, with the level pack named in the URL if there is one
+    await loadLaunchPack();
     PhysicsStackTowerGame.init(document.body);
     
     // Start background music only after user interaction
@@ -1586,18 +1701,20 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
     
     // Start game loop
-    let lastTime = 0;
+    let lastTime = performance.now();
     function gameLoop(currentTime) {
-      const deltaTime = currentTime - lastTime;
+      const frameTime = currentTime - lastTime;
       lastTime = currentTime;
       
-      // Cap deltaTime to prevent large jumps
-      const cappedDeltaTime = Math.min(deltaTime, 1000 / 30); // Max 30 FPS
-      
-      updateGame(cappedDeltaTime);
+      // Simulate in fixed steps, then render between the last two of them
+      const replayPlayer = getReplayPlayer();
+      const alpha = replayPlayer ? replayPlayer.advance(frameTime) : advanceSimulation(frameTime);
+      updateReplayControls();
+      updateGhostDelta();
+      updateChallengeHud();
       const renderer = getRenderer();
       if (renderer) {
-        renderer.render(currentTime);
+        renderer.render(currentTime, alpha);
       }
       
       // Continue loop
@@ -0,0 +1,188 @@
+/**
+ * @file ghost.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Personal-best ghost for Stack Hero. Keeps the best replay for each mode,
+ * starting level and daily challenge, and answers where the ghost's tower, moving block
+ * and score were at any simulation tick.
+ *
+ * @dependencies
+ * - replay.js: Replays with recorded ghost tracks
+ * - levels.js: The level pack being played
+ * - storage.js: Ghost persistence
+ */
+
+/**
+ * Storage key for personal-best ghost replays
+ * @constant
+ * @type {string}
+ */
+const GHOST_STORAGE_KEY = 'physicsStackTower_ghosts';
+
+/**
+ * A personal-best run that can be raced against
+ * @class
+ */
+class GhostRun {
+  /**
+   * Create a new ghost from a replay with a recorded track
+   * @param {Object} replay - Replay containing a ghost track
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.placements = replay.track.placements;
+    this.samples = replay.track.samples;
+  }
+
+  /**
+   * Gets the ghost tower blocks placed by a tick
+   * @param {number} tick - Simulation tick
+   * @returns {Array} Placed blocks ({ tick, x, y, width, color, score })
+   */
+  getTowerAt(tick) {
+    return this.placements.filter(placement => placement.tick <= tick);
+  }
+
+  /**
+   * Gets the ghost's moving block position at a tick
+   * @param {number} tick - Simulation tick
+   * @returns {Object|null} Block position ({ x, y, width }) or null once the run is over
+   */
+  getBlockAt(tick) {
+    const samples = this.samples;
+    if (samples.length === 0 || tick > samples[samples.length - 1][0]) return null;
+    
+    // Find the samples either side of the tick and interpolate between them
+    let next = samples.findIndex(sample => sample[0] >= tick);
+    if (next <= 0) next = 1;
+    const before = samples[Math.max(0, next - 1)];
+    const after = samples[Math.min(samples.length - 1, next)];
+    const span = after[0] - before[0];
+    let factor = span > 0 ? Helpers.clamp((tick - before[0]) / span, 0, 1) : 0;
+    
+    // A drop between the samples swaps in a new block, so snap rather than slide
+    const drop = this.placements.find(placement => placement.tick > before[0] && placement.tick <= after[0]);
+    if (drop) {
+      factor = tick < drop.tick ? 0 : 1;
+    }
+    
+    return {
+      x: Helpers.lerp(before[1], after[1], factor),
+      y: Helpers.lerp(before[2], after[2], factor),
+      width: after[3]
+    };
+  }
+
+  /**
+   * Gets the ghost's score at a tick
+   * @param {number} tick - Simulation tick
+   * @returns {number} Ghost score
+   */
+  getScoreAt(tick) {
+    let score = 0;
+    for (const placement of this.placements) {
+      if (placement.tick > tick) break;
+      score = placement.score;
+    }
+    return score;
+  }
+}
+
+/**
+ * Builds the storage key for a mode and starting level. Every day has its own
+ * daily challenge, so daily ghosts are also keyed by the challenge's seed.
+ * @param {string} mode - Game mode
+ * @param {number} level - Starting level
+ * @param {number} seed - Seed of the run
+ * @returns {string} Ghost key
+ */
+function getGhostKey(mode, level, seed) {
+  return mode === 'daily' ? `${mode}:${seed}:${level}` : `${mode}:${level}`;
+}
+
+/**
+ * Loads the personal-best ghost for a mode and starting level
+ * @param {string} mode - Game mode
+ * @param {number} level - Starting level
+ * @param {number} seed - Seed of the run, telling daily challenges apart
+ * @returns {GhostRun|null} Ghost, or null if there is no best run yet
+ */
+function loadGhost(mode, level, seed) {
+  const ghosts = StorageManager.load(GHOST_STORAGE_KEY, {});
+  const replay = ghosts[getGhostKey(mode, level, seed)];
+  return replay && replay.track ? new GhostRun(replay) : null;
+}
+
+/**
+ * Loads the ghost a live run races. Ghosts are only kept for the built-in
+ * levels, so a run on a level pack races none.
+ * @param {string} mode - Game mode
+ * @param {number} level - Starting level
+ * @param {number} seed - Seed of the run
+ * @returns {GhostRun|null} Ghost, or null if there is none to race
+ */
+function loadRunGhost(mode, level, seed) {
+  return getActiveLevelPack() ? null : loadGhost(mode, level, seed);
+}
+
+/**
+ * Stores a finished replay as the ghost if it beats the current best
+ * @param {Object} replay - Finished replay with a track and result
+ * @returns {boolean} Whether the replay became the new ghost
+ */
+function saveGhostIfBest(replay) {
+  if (!replay.track || !replay.result) return false;
+  
+  const ghosts = StorageManager.load(GHOST_STORAGE_KEY, {});
+  const key = getGhostKey(replay.mode, replay.level, replay.seed);
+  const best = ghosts[key];
+  
+  if (best && best.result && best.result.score >= replay.result.score) {
+    return false;
+  }
+  
+  ghosts[key] = replay;
+  return StorageManager.save(GHOST_STORAGE_KEY, ghosts);
+}
+
+// Ghost being raced in the current run
+let activeGhost = null;
+
+/**
+ * Sets the ghost to race against
+ * @param {GhostRun|null} ghost - Ghost, or null to race alone
+ */
+function setActiveGhost(ghost) {
+  activeGhost = ghost;
+}
+
+/**
+ * Gets the ghost being raced in the current run
+ * @returns {GhostRun|null} Active ghost
+ */
+function getActiveGhost() {
+  return activeGhost;
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GhostRun,
+    getGhostKey,
+    loadGhost,
+    loadRunGhost,
+    saveGhostIfBest,
+    setActiveGhost,
+    getActiveGhost
+  };
+} else {
+  window.GhostRun = GhostRun;
+  window.loadGhost = loadGhost;
+  window.loadRunGhost = loadRunGhost;
+  window.saveGhostIfBest = saveGhostIfBest;
+  window.setActiveGhost = setActiveGhost;
+  window.getActiveGhost = getActiveGhost;
+}
@@ -0,0 +1,47 @@
+/**
+ * @file headless.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Node entry point for running the Stack Hero core without a browser.
+ * The browser shares scripts through globals, so this loader exposes the
+ * core's dependencies the same way before loading it.
+ *
+ * @example
+ * const { StackTowerCore } = require('./js/games/physics-stack-tower/headless.js');
+ * StackTowerCore.start(1, 12345);
+ * StackTowerCore.tick(120);
+ * StackTowerCore.drop();
+ *
+ * @dependencies
+ * - core.js: Game state, simulation and scoring
+ * - physics.js: Physics engine and collision detection
+ * - levels.js: Level configurations
+ * - mechanics.js: Special mechanics levels combine
+ * - challenges.js: Challenge mode rules
+ * - random.js: Seeded random number generator
+ * - helpers.js: Random and math helpers
+ * - events.js: Event bus the core emits gameplay events on
+ */
+
+// Mirror the script tags in index.html: dependencies first, then the core
+Object.assign(globalThis, require('../../utils/random.js'));
+globalThis.Helpers = require('../../utils/helpers.js');
+Object.assign(globalThis, require('../../utils/events.js'));
+Object.assign(globalThis, require('./mechanics.js'));
+Object.assign(globalThis, require('./levels.js'));
+Object.assign(globalThis, require('./challenges.js'));
+
+const core = require('./core.js');
+
+// The physics engine and the core use each other through globals, as they do in the page
+globalThis.gameState = core.gameState;
+const physics = require('./physics.js');
+Object.assign(globalThis, physics);
+
+module.exports = {
+  ...core,
+  ...physics
+};
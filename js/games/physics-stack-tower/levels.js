@@ -7,12 +7,19 @@
  * @description
  * Level definitions and difficulty progression for Stack Hero.
  * Defines game parameters for each level including speed, block sizes,
- * and special challenges.
+ * and special challenges, the schema level definitions follow, and the
+ * loader that reads level packs written to that schema from JSON files.
  *
  * @dependencies
  * - game.js: Core game logic
+ * - mechanics.js: Special mechanics levels combine
  */
 
+// Mechanics registry (window globals in the browser, required in Node)
+const MechanicRegistry = (typeof module !== 'undefined' && module.exports)
+  ? require('./mechanics.js')
+  : window;
+
 /**
  * Base game configuration
  * @constant
@@ -26,7 +33,20 @@ const BASE_CONFIG = {
 };
 
 /**
- * Array of level definitions with increasing difficulty
+ * Ways a level's blocks can enter the play area, keyed by a level's spawnPattern
+ * @constant
+ * @type {Object}
+ */
+const SPAWN_PATTERNS = {
+  slide: "Blocks slide in from the left edge",
+  alternate: "Blocks enter from the left and right edges in turn",
+  swing: "Blocks are lowered in from the top and swing like a crane pendulum",
+  scatter: "Each block enters from the left, the right or the top at random"
+};
+
+/**
+ * Array of level definitions with increasing difficulty, the built-in level pack.
+ * Each follows LEVEL_SCHEMA.
  * @constant
  * @type {Array}
  */
@@ -35,15 +55,16 @@ const LEVELS = [
     id: 1,
     name: "Foundation Builder",
     description: "🏗️ Learn the basics of block stacking. Take your time and build a solid foundation!",
+    difficulty: 1,
     blocksToComplete: 3,
     blockSpeed: 0.4,
     blockWidthRange: { min: 140, max: 180 },
     perfectThreshold: 0.4,
     speedIncrease: 0.01,
-    specialMechanics: {
-      type: "tutorial",
-      description: "Large blocks, slow speed - perfect for learning!"
-    },
+    spawnPattern: "slide",
+    mechanics: [
+      { type: "tutorial", description: "Large blocks, slow speed - perfect for learning!" }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 0,
@@ -54,15 +75,16 @@ const LEVELS = [
     id: 2,
     name: "Confidence Climber",
     description: "🎯 Build your first small tower. Blocks are slightly smaller now!",
+    difficulty: 1,
     blocksToComplete: 3,
     blockSpeed: 0.6,
     blockWidthRange: { min: 120, max: 160 },
     perfectThreshold: 0.5,
     speedIncrease: 0.02,
-    specialMechanics: {
-      type: "size_reduction",
-      description: "Blocks get 5% smaller each drop"
-    },
+    spawnPattern: "slide",
+    mechanics: [
+      { type: "size_reduction", description: "Blocks get 5% smaller each drop", perBlock: 0.05, minScale: 0.7 }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 50,
@@ -73,15 +95,16 @@ const LEVELS = [
     id: 3,
     name: "Speed Demon",
     description: "⚡ Blocks are getting faster! Your reflexes will be tested.",
+    difficulty: 2,
     blocksToComplete: 3,
     blockSpeed: 0.8,
     blockWidthRange: { min: 100, max: 140 },
     perfectThreshold: 0.55,
     speedIncrease: 0.03,
-    specialMechanics: {
-      type: "speed_boost",
-      description: "Speed increases by 2% every 3 blocks"
-    },
+    spawnPattern: "alternate",
+    mechanics: [
+      { type: "speed_boost", description: "Speed increases by 10% with every block", perBlock: 0.1 }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 100,
@@ -92,15 +115,16 @@ const LEVELS = [
     id: 4,
     name: "Precision Master",
     description: "🎪 Perfect alignment is crucial! Small blocks require steady hands.",
+    difficulty: 3,
     blocksToComplete: 3,
     blockSpeed: 1.0,
     blockWidthRange: { min: 80, max: 120 },
     perfectThreshold: 0.65,
     speedIncrease: 0.04,
-    specialMechanics: {
-      type: "precision_challenge",
-      description: "Perfect drops give 2x combo multiplier"
-    },
+    spawnPattern: "swing",
+    mechanics: [
+      { type: "precision_challenge", description: "Perfect drops give 2x combo multiplier", comboMultiplier: 2 }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 150,
@@ -111,15 +135,16 @@ const LEVELS = [
     id: 5,
     name: "Wind Walker",
     description: "🌪️ Blocks now sway in the wind! Timing is everything.",
+    difficulty: 3,
     blocksToComplete: 3,
     blockSpeed: 1.0,
     blockWidthRange: { min: 80, max: 120 },
     perfectThreshold: 0.6,
     speedIncrease: 0.04,
-    specialMechanics: {
-      type: "wind_effect",
-      description: "Blocks have slight random movement"
-    },
+    spawnPattern: "alternate",
+    mechanics: [
+      { type: "wind_effect", description: "Blocks have slight random movement", jitter: 0.2, sway: 0.5, frequency: 0.005 }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 200,
@@ -130,15 +155,16 @@ const LEVELS = [
     id: 6,
     name: "Gravity Shift",
     description: "🔄 Gravity changes direction! Adapt to the new physics.",
+    difficulty: 4,
     blocksToComplete: 3,
     blockSpeed: 1.4,
     blockWidthRange: { min: 60, max: 100 },
     perfectThreshold: 0.65,
     speedIncrease: 0.06,
-    specialMechanics: {
-      type: "gravity_shift",
-      description: "Blocks fall from different directions"
-    },
+    spawnPattern: "scatter",
+    mechanics: [
+      { type: "gravity_shift", description: "Blocks fall from different directions", jitter: 0.15 }
+    ],
     rewards: {
       unlockNext: true,
       bonusPoints: 300,
@@ -149,23 +175,125 @@ const LEVELS = [
     id: 7,
     name: "Tower Master",
     description: "👑 The ultimate challenge! All mechanics combined in perfect harmony.",
+    difficulty: 5,
     blocksToComplete: 3,
     blockSpeed: 1.6,
     blockWidthRange: { min: 50, max: 90 },
     perfectThreshold: 0.7,
     speedIncrease: 0.08,
-    specialMechanics: {
-      type: "ultimate_challenge",
-      description: "All previous mechanics combined!"
-    },
+    spawnPattern: "scatter",
+    mechanicsDescription: "All previous mechanics combined!",
+    mechanics: [
+      { type: "size_reduction", perBlock: 0.03, minScale: 0.8 },
+      { type: "speed_boost", perBlock: 0.05 },
+      { type: "wind_effect", jitter: 0.1, sway: 0 },
+      { type: "gravity_shift", jitter: 0.1 }
+    ],
     rewards: {
-      unlockNext: false,
+      unlockNext: true,
       bonusPoints: 500,
       achievement: "Tower Master"
     }
+  },
+  {
+    id: 8,
+    name: "Crane Operator",
+    description: "🏗️ The crane takes over! Let go of the swinging block at just the right moment.",
+    difficulty: 5,
+    blocksToComplete: 3,
+    blockSpeed: 1.2,
+    blockWidthRange: { min: 60, max: 100 },
+    perfectThreshold: 0.65,
+    speedIncrease: 0.06,
+    spawnPattern: "swing",
+    mechanics: [
+      {
+        type: "crane",
+        description: "Blocks swing from a crane rope and keep their momentum when released",
+        ropeLength: 200,
+        swingAngle: 0.6,
+        damping: 0.0003,
+        trolleySpeed: 0.25
+      }
+    ],
+    rewards: {
+      unlockNext: false,
+      bonusPoints: 750,
+      achievement: "Crane Operator"
+    }
   }
 ];
 
+/**
+ * Endless mode settings for the levels generated past the last level
+ * @constant
+ * @type {Object}
+ */
+const ENDLESS_MODE = {
+  blocksPerLevel: 4, // Blocks needed to clear each generated level
+  milestoneInterval: 5 // Levels between milestone celebrations
+};
+
+/**
+ * Version of the level pack format read by parseLevelPack
+ * @constant
+ * @type {number}
+ */
+const LEVEL_PACK_VERSION = 1;
+
+/**
+ * Schema of a level definition. Each field gives its type, the range or
+ * values it may take and whether a level has to declare it; `mechanics`
+ * entries are checked against the settings of the mechanic they name.
+ * @constant
+ * @type {Object}
+ */
+const LEVEL_SCHEMA = {
+  id: { type: "integer", min: 1 }, // Optional in packs, where it must match the level's position
+  name: { type: "string", required: true },
+  description: { type: "string" },
+  difficulty: { type: "integer", min: 1, max: 5 },
+  blocksToComplete: { type: "integer", min: 1, max: 100, required: true },
+  blockSpeed: { type: "number", min: 0.05, max: 5, required: true },
+  blockWidthRange: {
+    type: "object",
+    required: true,
+    fields: {
+      min: { type: "number", min: BASE_CONFIG.minBlockWidth, max: BASE_CONFIG.maxBlockWidth, required: true },
+      max: { type: "number", min: BASE_CONFIG.minBlockWidth, max: BASE_CONFIG.maxBlockWidth, required: true }
+    }
+  },
+  perfectThreshold: { type: "number", min: 0.05, max: 1, required: true },
+  speedIncrease: { type: "number", min: 0, max: 1 },
+  spawnPattern: { type: "string", oneOf: Object.keys(SPAWN_PATTERNS) },
+  mechanicsDescription: { type: "string" },
+  mechanics: { type: "array" },
+  rewards: {
+    type: "object",
+    fields: {
+      unlockNext: { type: "boolean" },
+      bonusPoints: { type: "integer", min: 0 },
+      achievement: { type: "string" }
+    }
+  }
+};
+
+/**
+ * Schema of a level pack file
+ * @constant
+ * @type {Object}
+ */
+const LEVEL_PACK_SCHEMA = {
+  version: { type: "integer", oneOf: [LEVEL_PACK_VERSION], required: true },
+  name: { type: "string", required: true },
+  author: { type: "string" },
+  description: { type: "string" },
+  levels: { type: "array", required: true }
+};
+
+// Level pack being played in place of the built-in levels, or null for the built-in levels
+let activeLevelPack = null;
+
 /**
  * Challenge mode configurations
  * @constant
@@ -223,18 +351,20 @@ const CHALLENGE_MODES = {
  * const level1 = getLevelConfig(1);
  */
 function getLevelConfig(levelNumber) {
-  const level = LEVELS.find(l => l.id === levelNumber);
+  const level = getActiveLevels().find(l => l.id === levelNumber);
   if (!level) {
     // Return default level for endless mode
     return {
       id: levelNumber,
       name: `Level ${levelNumber}`,
       description: "Endless mode - keep building!",
-      blocksToComplete: null,
+      blocksToComplete: ENDLESS_MODE.blocksPerLevel,
       blockSpeed: 1.5,
       blockWidthRange: { min: 50, max: 90 },
       perfectThreshold: 0.8,
       speedIncrease: 0.08,
+      spawnPattern: "scatter",
+      ...getEndlessMechanics(levelNumber),
       rewards: {
         unlockNext: true,
         bonusPoints: levelNumber * 10
@@ -244,6 +374,35 @@ function getLevelConfig(levelNumber) {
   return level;
 }
 
+/**
+ * Picks the special mechanics for a generated endless level, rotating
+ * through the mechanics of the levels being played
+ * @param {number} levelNumber - Level number past the last level
+ * @returns {Object} Mechanics list and description ({ mechanics, mechanicsDescription })
+ */
+function getEndlessMechanics(levelNumber) {
+  // The tutorial mechanic does nothing, so the rotation skips levels with nothing else
+  const levels = getActiveLevels();
+  const sources = levels.filter(level => level.mechanics.some(entry => entry.type !== 'tutorial'));
+  if (sources.length === 0) {
+    return { mechanics: [] };
+  }
+  
+  const source = sources[(levelNumber - levels.length - 1) % sources.length];
+  return {
+    mechanics: source.mechanics,
+    mechanicsDescription: source.mechanicsDescription
+  };
+}
+
+/**
+ * Checks whether reaching a level is an endless mode milestone
+ * @param {number} levelNumber - Level just reached
+ * @returns {boolean} Whether the level is a milestone
+ */
+function isEndlessMilestone(levelNumber) {
+  return levelNumber % ENDLESS_MODE.milestoneInterval === 0;
+}
 
 /**
  * Calculates level-specific game parameters
@@ -268,8 +427,8 @@ function calculateLevelParameters(levelNumber) {
     params = applySpecialRules(params, level.specialRules, levelNumber);
   }
   
-  // Apply endless mode scaling for levels beyond 7
-  if (levelNumber > 7) {
+  // Apply endless mode scaling for levels beyond the last one
+  if (levelNumber > getActiveLevels().length) {
     params = applyEndlessScaling(params, levelNumber);
   }
   
@@ -325,26 +484,317 @@ function applySpecialRules(params, specialRules, levelNumber) {
 }
 
 /**
- * Applies endless mode scaling for levels beyond 10
+ * Applies endless mode scaling for levels beyond the last one
  * @param {Object} params - Base parameters
  * @param {number} levelNumber - Current level number
  * @returns {Object} Scaled parameters
  */
 function applyEndlessScaling(params, levelNumber) {
-  const scaleFactor = 1 + (levelNumber - 10) * 0.1;
+  // Count from the first generated level so difficulty only ever rises
+  const endlessLevel = Math.max(0, levelNumber - getActiveLevels().length);
+  const scaleFactor = 1 + endlessLevel * 0.1;
   
   return {
     ...params,
     blockSpeed: params.blockSpeed * scaleFactor,
     blockWidthRange: {
-      min: Math.max(30, params.blockWidthRange.min * (1 - (levelNumber - 10) * 0.02)),
-      max: Math.max(60, params.blockWidthRange.max * (1 - (levelNumber - 10) * 0.02))
+      min: Math.max(30, params.blockWidthRange.min * (1 - endlessLevel * 0.02)),
+      max: Math.max(60, params.blockWidthRange.max * (1 - endlessLevel * 0.02))
     },
-    perfectThreshold: Math.min(0.99, params.perfectThreshold + (levelNumber - 10) * 0.01),
+    perfectThreshold: Math.min(0.99, params.perfectThreshold + endlessLevel * 0.01),
     pointsPerBlock: Math.floor(params.pointsPerBlock * scaleFactor)
   };
 }
 
+/**
+ * Describes the values a schema field accepts, for error messages
+ * @param {Object} rule - Schema field
+ * @returns {string} Description such as "a number from 0.05 to 5"
+ */
+function describeRule(rule) {
+  if (rule.oneOf) {
+    return `one of ${rule.oneOf.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  
+  const kind = {
+    integer: 'a whole number',
+    number: 'a number',
+    string: 'text',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list'
+  }[rule.type];
+  
+  if (rule.min !== undefined && rule.max !== undefined) return `${kind} from ${rule.min} to ${rule.max}`;
+  if (rule.min !== undefined) return `${kind} of at least ${rule.min}`;
+  return kind;
+}
+
+/**
+ * Checks a value against a schema field
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema field
+ * @param {string} path - Where the value sits in the pack, for error messages
+ * @param {Array} errors - Error messages, added to in place
+ */
+function checkSchemaField(value, rule, path, errors) {
+  if (value === undefined) {
+    if (rule.required) errors.push(`${path} is missing; it must be ${describeRule(rule)}`);
+    return;
+  }
+  
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  const hasType = {
+    integer: Number.isInteger(value),
+    number: isNumber,
+    string: typeof value === 'string',
+    boolean: typeof value === 'boolean',
+    object: Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+    array: Array.isArray(value)
+  }[rule.type];
+  
+  const isOutOfRange = isNumber && (value < rule.min || value > rule.max);
+  if (!hasType || isOutOfRange || (rule.oneOf && !rule.oneOf.includes(value))) {
+    errors.push(`${path} must be ${describeRule(rule)}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  
+  if (rule.fields) {
+    checkSchemaFields(value, rule.fields, path, errors);
+  }
+}
+
+/**
+ * Checks every field of an object against a schema, including fields the schema doesn't know
+ * @param {Object} object - Object to check
+ * @param {Object} fields - Schema fields of the object
+ * @param {string} path - Where the object sits in the pack, for error messages ('' for the pack itself)
+ * @param {Array} errors - Error messages, added to in place
+ */
+function checkSchemaFields(object, fields, path, errors) {
+  const fieldPath = name => (path ? `${path}.${name}` : name);
+  
+  Object.entries(fields).forEach(([name, rule]) => {
+    checkSchemaField(object[name], rule, fieldPath(name), errors);
+  });
+  
+  // Misspelt fields would otherwise be silently ignored
+  Object.keys(object)
+    .filter(name => !fields[name])
+    .forEach(name => errors.push(`${fieldPath(name)} is not a known field`));
+}
+
+/**
+ * Checks one entry of a level's mechanics list against the mechanic it names
+ * @param {*} entry - Mechanics entry ({ type, description, ...settings })
+ * @param {string} path - Where the entry sits in the pack, for error messages
+ * @param {Array} errors - Error messages, added to in place
+ */
+function checkMechanic(entry, path, errors) {
+  const { MECHANICS } = MechanicRegistry;
+  const types = Object.keys(MECHANICS);
+  
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${path} must be an object naming a mechanic type, got ${JSON.stringify(entry)}`);
+    return;
+  }
+  if (!MECHANICS[entry.type]) {
+    errors.push(`${path}.type must be one of ${types.map(type => JSON.stringify(type)).join(', ')}, got ${JSON.stringify(entry.type)}`);
+    return;
+  }
+  
+  const fields = {
+    type: { type: "string" },
+    description: { type: "string" }
+  };
+  Object.entries(MECHANICS[entry.type].settings).forEach(([name, setting]) => {
+    fields[name] = { type: "number", min: setting.min, max: setting.max };
+  });
+  checkSchemaFields(entry, fields, path, errors);
+}
+
+/**
+ * Validates a level definition against LEVEL_SCHEMA
+ * @param {*} level - Level definition
+ * @param {string} path - Where the level sits, for error messages (default: 'level')
+ * @returns {Array} Error messages, empty if the level is valid
+ */
+function validateLevel(level, path = 'level') {
+  const errors = [];
+  if (!level || typeof level !== 'object' || Array.isArray(level)) {
+    return [`${path} must be an object, got ${JSON.stringify(level)}`];
+  }
+  
+  checkSchemaFields(level, LEVEL_SCHEMA, path, errors);
+  
+  const range = level.blockWidthRange;
+  if (range && range.min > range.max) {
+    errors.push(`${path}.blockWidthRange.min (${range.min}) must not be larger than its max (${range.max})`);
+  }
+  if (Array.isArray(level.mechanics)) {
+    level.mechanics.forEach((entry, i) => checkMechanic(entry, `${path}.mechanics[${i}]`, errors));
+  }
+  
+  return errors;
+}
+
+/**
+ * Validates a level pack against LEVEL_PACK_SCHEMA and each of its levels against LEVEL_SCHEMA
+ * @param {*} pack - Level pack
+ * @returns {Array} Error messages, empty if the pack is valid
+ */
+function validateLevelPack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return [`A level pack must be an object, got ${JSON.stringify(pack)}`];
+  }
+  
+  checkSchemaFields(pack, LEVEL_PACK_SCHEMA, '', errors);
+  if (!Array.isArray(pack.levels)) return errors;
+  
+  if (pack.levels.length === 0) {
+    errors.push('levels must list at least one level');
+  }
+  pack.levels.forEach((level, i) => {
+    const path = `levels[${i}]`;
+    errors.push(...validateLevel(level, path));
+    
+    // Levels are numbered by their position, so an id may only confirm it
+    if (Number.isInteger(level?.id) && level.id !== i + 1) {
+      errors.push(`${path}.id must be ${i + 1}, its position in the pack, got ${level.id}`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Fills in the optional fields of a valid level definition
+ * @param {Object} level - Level definition
+ * @param {number} id - Level number, the level's position in its pack
+ * @returns {Object} Level configuration in the shape of the LEVELS entries
+ */
+function normalizeLevel(level, id) {
+  return {
+    description: "",
+    difficulty: 1,
+    speedIncrease: 0,
+    spawnPattern: "slide",
+    ...level,
+    id,
+    blockWidthRange: { ...level.blockWidthRange },
+    mechanics: (level.mechanics || []).map(entry => ({
+      ...entry,
+      ...MechanicRegistry.getMechanicSettings(entry)
+    })),
+    rewards: {
+      unlockNext: true,
+      bonusPoints: 0,
+      ...level.rewards
+    }
+  };
+}
+
+/**
+ * Parses and validates level pack JSON
+ * @param {string} text - Level pack JSON text
+ * @returns {Object} Level pack ({ version, name, author, description, levels }) with complete levels
+ * @throws {Error} If the text is not JSON or does not follow the level pack schema, listing every problem
+ */
+function parseLevelPack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Level pack is not valid JSON: ${error.message}`);
+  }
+  
+  const errors = validateLevelPack(pack);
+  if (errors.length > 0) {
+    throw new Error(`Invalid level pack:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  
+  return {
+    ...pack,
+    levels: pack.levels.map((level, i) => normalizeLevel(level, i + 1))
+  };
+}
+
+/**
+ * Loads a level pack from a JSON file
+ * @param {string|Blob} source - URL of the pack file, or a file the player picked
+ * @returns {Promise<Object>} Validated level pack
+ * @throws {Error} If the file cannot be read or is not a valid level pack
+ */
+async function loadLevelPack(source) {
+  if (typeof source !== 'string') {
+    return parseLevelPack(await source.text());
+  }
+  
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Could not load level pack ${source}: ${response.status} ${response.statusText}`);
+  }
+  return parseLevelPack(await response.text());
+}
+
+/**
+ * Encodes a level pack as a share code short enough for a URL fragment:
+ * its JSON, compressed and written in URL-safe base64
+ * @param {Object} pack - Level pack
+ * @returns {Promise<string>} Share code
+ */
+async function encodeLevelPack(pack) {
+  const compressed = new Blob([JSON.stringify(pack)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(compressed).arrayBuffer());
+  
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes and validates a level pack share code from encodeLevelPack
+ * @param {string} code - Share code
+ * @returns {Promise<Object>} Validated level pack
+ * @throws {Error} If the code is damaged or the pack it holds is not valid
+ */
+async function decodeLevelPack(code) {
+  let text;
+  try {
+    const bytes = Uint8Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+    const decompressed = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    text = await new Response(decompressed).text();
+  } catch (error) {
+    throw new Error('Level pack link is damaged; ask for the link again, or for the .stackpack file');
+  }
+  
+  return parseLevelPack(text);
+}
+
+/**
+ * Plays a level pack in place of the built-in levels
+ * @param {Object|null} pack - Level pack from parseLevelPack, or null to go back to the built-in levels
+ */
+function setActiveLevelPack(pack) {
+  activeLevelPack = pack || null;
+}
+
+/**
+ * Gets the level pack being played in place of the built-in levels
+ * @returns {Object|null} Active level pack, or null while the built-in levels are played
+ */
+function getActiveLevelPack() {
+  return activeLevelPack;
+}
+
+/**
+ * Gets the levels being played: the active level pack's, or the built-in LEVELS
+ * @returns {Array} Level configurations
+ */
+function getActiveLevels() {
+  return activeLevelPack ? activeLevelPack.levels : LEVELS;
+}
+
 /**
  * Gets challenge mode configuration
  * @param {string} challengeType - Type of challenge
@@ -355,73 +805,140 @@ function getChallengeConfig(challengeType) {
 }
 
 /**
- * Generates a random challenge for daily mode
- * @returns {Object} Random daily challenge configuration
+ * Challenges the daily challenge is drawn from
+ * @constant
+ * @type {Array}
  */
-function generateDailyChallenge() {
-  const today = new Date().toDateString();
-  const seed = today.split('').reduce((a, b) => a + b.charCodeAt(0), 0);
+const DAILY_CHALLENGES = [
+  {
+    name: "Speed Builder",
+    description: "Place 25 blocks in 3 minutes with faster blocks",
+    blocks: 25,
+    timeLimit: 180,
+    speedMultiplier: 1.3
+  },
+  {
+    name: "Precision Master",
+    description: "Place 20 blocks with near-perfect drops only",
+    blocks: 20,
+    perfectThreshold: 0.9,
+    allowMiss: false
+  },
+  {
+    name: "Tiny Tower",
+    description: "Place 30 tiny blocks",
+    blocks: 30,
+    blockWidth: 45,
+    speedMultiplier: 1.1
+  },
+  {
+    name: "Lightning Round",
+    description: "Place 15 double-speed blocks in one minute",
+    blocks: 15,
+    timeLimit: 60,
+    speedMultiplier: 2.0
+  }
+];
+
+/**
+ * Builds the key of a calendar day in local time
+ * @param {Date} date - Day to build the key for (default: today)
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function getDateKey(date = new Date()) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Gets the seed everyone shares for a day's challenge
+ * @param {Date} date - Day of the challenge (default: today)
+ * @returns {number} Seed, the date written as YYYYMMDD so no two days share one
+ */
+function getDailySeed(date = new Date()) {
+  return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+/**
+ * Picks the daily challenge for a daily seed
+ * @param {number} seed - Daily seed from getDailySeed
+ * @returns {Object} Daily challenge definition
+ */
+function pickDailyChallenge(seed) {
+  // Scramble the date so neighbouring days get unrelated challenges
+  let hash = Math.imul(seed ^ (seed >>> 16), 0x45d9f3b);
+  hash = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b);
+  hash = (hash ^ (hash >>> 16)) >>> 0;
   
-  // Use seed for consistent daily challenges
-  const random = (seed * 9301 + 49297) % 233280 / 233280;
+  return DAILY_CHALLENGES[hash % DAILY_CHALLENGES.length];
+}
+
+/**
+ * Gets the challenge configuration of a daily challenge, in the same shape as CHALLENGE_MODES
+ * @param {number} seed - Daily seed from getDailySeed
+ * @returns {Object} Challenge configuration
+ */
+function getDailyChallengeConfig(seed) {
+  const challenge = pickDailyChallenge(seed);
+  const { name, description, ...rules } = challenge;
   
-  const challenges = [
-    {
-      name: "Speed Builder",
-      blocks: 25,
-      timeLimit: 180,
-      speedMultiplier: 1.3
-    },
-    {
-      name: "Precision Master",
-      blocks: 20,
-      perfectThreshold: 0.9,
-      allowMiss: false
-    },
-    {
-      name: "Tiny Tower",
-      blocks: 30,
-      blockWidth: 45,
-      speedMultiplier: 1.1
+  return {
+    name: `Daily: ${name}`,
+    description,
+    specialRules: {
+      type: "daily",
+      ...rules
     },
-    {
-      name: "Lightning Round",
-      blocks: 15,
-      timeLimit: 60,
-      speedMultiplier: 2.0
-    }
-  ];
-  
-  const selectedChallenge = challenges[Math.floor(random * challenges.length)];
+    rewards: getDailyRewards(challenge)
+  };
+}
+
+/**
+ * Gets the rewards for completing a daily challenge
+ * @param {Object} challenge - Daily challenge definition
+ * @returns {Object} Rewards ({ bonusPoints, achievement })
+ */
+function getDailyRewards(challenge) {
+  return {
+    bonusPoints: challenge.blocks * 20,
+    achievement: `Daily: ${challenge.name}`
+  };
+}
+
+/**
+ * Generates the daily challenge for a day
+ * @param {Date} date - Day to generate the challenge for (default: today)
+ * @returns {Object} Daily challenge configuration
+ */
+function generateDailyChallenge(date = new Date()) {
+  const seed = getDailySeed(date);
+  const selectedChallenge = pickDailyChallenge(seed);
   
   return {
-    date: today,
+    date: date.toDateString(),
+    dateKey: getDateKey(date),
+    seed,
     ...selectedChallenge,
-    rewards: {
-      bonusPoints: selectedChallenge.blocks * 20,
-      achievement: `Daily: ${selectedChallenge.name}`
-    }
+    rewards: getDailyRewards(selectedChallenge)
   };
 }
 
 /**
  * Checks if a level is unlocked
  * @param {number} levelNumber - Level to check
- * @param {number} currentProgress - Current player progress
+ * @param {number} currentProgress - Highest level the player has completed
  * @returns {boolean} Whether level is unlocked
  */
 function isLevelUnlocked(levelNumber, currentProgress) {
   if (levelNumber === 1) return true;
   
-  const previousLevel = getLevelConfig(levelNumber - 1);
-  if (!previousLevel) return true;
-  
-  return currentProgress >= (levelNumber - 1) * 5; // Unlock every 5 blocks placed
+  return currentProgress >= levelNumber - 1; // Completing a level unlocks the next
 }
 
 /**
  * Gets available levels for player
- * @param {number} currentProgress - Current player progress
+ * @param {number} currentProgress - Highest level the player has completed
  * @returns {Array} Array of available level numbers
  */
 function getAvailableLevels(currentProgress) {
@@ -449,10 +966,30 @@ function calculateExperience(levelNumber, score, perfectDrops) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     LEVELS,
+    SPAWN_PATTERNS,
+    LEVEL_PACK_VERSION,
+    LEVEL_SCHEMA,
     CHALLENGE_MODES,
+    ENDLESS_MODE,
+    DAILY_CHALLENGES,
     getLevelConfig,
+    isEndlessMilestone,
     calculateLevelParameters,
+    applyEndlessScaling,
+    validateLevel,
+    validateLevelPack,
+    parseLevelPack,
+    loadLevelPack,
+    encodeLevelPack,
+    decodeLevelPack,
+    setActiveLevelPack,
+    getActiveLevelPack,
+    getActiveLevels,
     getChallengeConfig,
+    getDateKey,
+    getDailySeed,
+    getDailyChallengeConfig,
+    getDailyRewards,
     generateDailyChallenge,
     isLevelUnlocked,
     getAvailableLevels,
@@ -461,10 +998,30 @@ if (typeof module !== 'undefined' && module.exports) {
 } else {
   window.LevelManager = {
     LEVELS,
+    SPAWN_PATTERNS,
+    LEVEL_PACK_VERSION,
+    LEVEL_SCHEMA,
     CHALLENGE_MODES,
+    ENDLESS_MODE,
+    DAILY_CHALLENGES,
     getLevelConfig,
+    isEndlessMilestone,
     calculateLevelParameters,
+    applyEndlessScaling,
+    validateLevel,
+    validateLevelPack,
+    parseLevelPack,
+    loadLevelPack,
+    encodeLevelPack,
+    decodeLevelPack,
+    setActiveLevelPack,
+    getActiveLevelPack,
+    getActiveLevels,
     getChallengeConfig,
+    getDateKey,
+    getDailySeed,
+    getDailyChallengeConfig,
+    getDailyRewards,
     generateDailyChallenge,
     isLevelUnlocked,
     getAvailableLevels,
@@ -0,0 +1,275 @@
+/**
+ * @file mechanics.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Special mechanics that levels combine in their `mechanics` list. Each
+ * mechanic declares its settings with defaults and allowed ranges, which
+ * the level pack validator checks, and the hooks the core and renderer
+ * call while the level is played. Plugins add mechanics of their own
+ * through registerMechanic, without editing the core.
+ *
+ * @dependencies
+ * - helpers.js: Random and math helpers
+ */
+
+/**
+ * Registered mechanics, keyed by the `type` a level's mechanics entry names.
+ * Every hook is optional:
+ * - shapeBlock(spawn, settings, state): adjusts the width and speed of a new block before it is created
+ * - onBlockSpawn(block, settings, state): prepares a new block once it has entered the play area
+ * - driftSpeed(block, settings, state): extra horizontal speed of a sliding block in px per ms
+ * - onBlockUpdate(block, deltaTime, settings, state): acts on the moving block after each simulation step moves it
+ * - comboMultiplier(settings): multiplier of the bonus for a perfect drop
+ * - onScore(points, drop, settings, state): returns the points a block placed on the tower earns ({ block, overlap, perfect })
+ * - onDrop(block, drop, settings, state): a dropped block was placed on the tower ({ overlap, perfect, points })
+ * - onRender(ctx, settings, state, alpha): draws in world coordinates behind the moving block
+ * @constant
+ * @type {Object}
+ */
+const MECHANICS = {
+  tutorial: {
+    description: "Large blocks, slow speed - perfect for learning!",
+    settings: {}
+  },
+  
+  size_reduction: {
+    description: "Blocks get smaller with each drop",
+    settings: {
+      perBlock: { default: 0.05, min: 0, max: 0.5 }, // Fraction of the width lost per block placed in the level
+      minScale: { default: 0.7, min: 0.1, max: 1 } // Smallest fraction of its width a block shrinks to
+    },
+    shapeBlock(spawn, settings, state) {
+      spawn.width *= Math.max(settings.minScale, 1 - state.blocksInCurrentLevel * settings.perBlock);
+    }
+  },
+  
+  speed_boost: {
+    description: "Blocks speed up with each drop",
+    settings: {
+      perBlock: { default: 0.1, min: 0, max: 1 } // Fraction of the speed gained per block placed in the level
+    },
+    shapeBlock(spawn, settings, state) {
+      spawn.speed *= 1 + state.blocksInCurrentLevel * settings.perBlock;
+    }
+  },
+  
+  precision_challenge: {
+    description: "Perfect drops give a bigger combo bonus",
+    settings: {
+      comboMultiplier: { default: 2, min: 1, max: 10 } // Multiplier of the perfect drop combo bonus
+    },
+    comboMultiplier(settings) {
+      return settings.comboMultiplier;
+    }
+  },
+  
+  wind_effect: {
+    description: "Blocks sway in the wind",
+    settings: {
+      jitter: { default: 0.2, min: 0, max: 1 }, // Largest random change to each block's speed, px per ms
+      sway: { default: 0.5, min: 0, max: 2 }, // Strength of the gusts pushing sliding blocks, px per ms
+      frequency: { default: 0.005, min: 0, max: 0.1 } // How quickly the gusts change direction, radians per ms
+    },
+    shapeBlock(spawn, settings) {
+      spawn.speed += Helpers.random(-settings.jitter, settings.jitter);
+    },
+    driftSpeed(block, settings, state) {
+      return Math.sin(state.time * settings.frequency) * settings.sway;
+    }
+  },
+  
+  gravity_shift: {
+    description: "Block speeds shift unpredictably",
+    settings: {
+      jitter: { default: 0.15, min: 0, max: 1 } // Largest random change to each block's speed, px per ms
+    },
+    shapeBlock(spawn, settings) {
+      // Only the speed varies; the level's spawn pattern varies the direction
+      spawn.speed += Helpers.random(-settings.jitter, settings.jitter);
+    }
+  },
+  
+  crane: {
+    description: "Blocks swing from a crane rope and keep their momentum when released",
+    settings: {
+      ropeLength: { default: 200, min: 50, max: 400 }, // Pixels from the trolley to the top of the block
+      swingAngle: { default: 0.6, min: 0, max: 1.2 }, // Radians the block is swung out when it arrives
+      damping: { default: 0.0003, min: 0, max: 0.01 }, // Fraction of the swing's angular velocity lost per ms
+      trolleySpeed: { default: 0.25, min: 0, max: 1 } // Trolley speed as a fraction of the block speed
+    },
+    onBlockSpawn(block, settings) {
+      block.hangFromCrane(settings);
+    },
+    onRender(ctx, settings, state, alpha) {
+      // The rope the moving block hangs from, with the trolley it runs from and the rail the trolley rides along
+      const block = state.currentBlock;
+      if (!block || !block.isMoving || !block.rope) return;
+      
+      const rope = block.rope;
+      const anchorX = Helpers.lerp(rope.previousAnchor.x, rope.anchor.x, alpha);
+      const anchorY = Helpers.lerp(rope.previousAnchor.y, rope.anchor.y, alpha);
+      const hookX = Helpers.lerp(block.previousPosition.x, block.position.x, alpha) + block.width / 2;
+      const hookY = Helpers.lerp(block.previousPosition.y, block.position.y, alpha);
+      
+      // Rail
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.moveTo(0, anchorY - 6);
+      ctx.lineTo(state.config.canvasWidth, anchorY - 6);
+      ctx.stroke();
+      
+      // Trolley
+      ctx.fillStyle = '#F7DC6F';
+      ctx.fillRect(anchorX - 16, anchorY - 12, 32, 12);
+      
+      // Rope
+      ctx.strokeStyle = '#D5C4A1';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(anchorX, anchorY);
+      ctx.lineTo(hookX, hookY - 6);
+      ctx.stroke();
+      
+      // Hook
+      ctx.fillStyle = '#7F8C8D';
+      ctx.fillRect(hookX - 8, hookY - 6, 16, 6);
+    }
+  }
+};
+
+/**
+ * Hooks a mechanic can define, as described for MECHANICS
+ * @constant
+ * @type {Array}
+ */
+const MECHANIC_HOOKS = [
+  'shapeBlock',
+  'onBlockSpawn',
+  'driftSpeed',
+  'onBlockUpdate',
+  'comboMultiplier',
+  'onScore',
+  'onDrop',
+  'onRender'
+];
+
+/**
+ * Adds a mechanic levels can then name in their mechanics list, from level
+ * packs and the level editor as well as built-in levels
+ * @param {string} name - Mechanic type: lowercase letters, digits and underscores
+ * @param {Object} plugin - Mechanic ({ description, settings, ...hooks }); settings map each name to { default, min, max }
+ * @returns {Object} The registered mechanic
+ * @throws {Error} If the name is taken or the plugin is malformed, listing every problem
+ * @example
+ * registerMechanic('slippery', {
+ *   description: 'Blocks slide further before they stop',
+ *   settings: { drift: { default: 0.1, min: 0, max: 1 } },
+ *   driftSpeed: (block, settings) => Math.sign(block.speed) * settings.drift
+ * });
+ */
+function registerMechanic(name, plugin) {
+  const errors = [];
+  
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    errors.push(`name must be lowercase letters, digits and underscores, got ${JSON.stringify(name)}`);
+  } else if (MECHANICS[name]) {
+    errors.push(`a mechanic called "${name}" is already registered`);
+  }
+  
+  if (!plugin || typeof plugin !== 'object') {
+    errors.push(`plugin must be an object, got ${JSON.stringify(plugin)}`);
+  } else {
+    if (typeof plugin.description !== 'string' || plugin.description.trim() === '') {
+      errors.push('description must be text');
+    }
+    
+    // Settings are numbers checked against their range, like every built-in mechanic's
+    Object.entries(plugin.settings || {}).forEach(([setting, spec]) => {
+      if (setting === 'type' || setting === 'description') {
+        errors.push(`settings.${setting} is reserved for the mechanics entry itself`);
+      } else if (![spec?.default, spec?.min, spec?.max].every(Number.isFinite) || spec.min > spec.default || spec.default > spec.max) {
+        errors.push(`settings.${setting} must have numbers min <= default <= max`);
+      }
+    });
+    
+    Object.keys(plugin).filter(key => key !== 'description' && key !== 'settings').forEach(key => {
+      if (!MECHANIC_HOOKS.includes(key)) {
+        errors.push(`${key} is not a mechanic hook; expected one of ${MECHANIC_HOOKS.join(', ')}`);
+      } else if (typeof plugin[key] !== 'function') {
+        errors.push(`${key} must be a function`);
+      }
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid mechanic plugin:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  
+  MECHANICS[name] = { ...plugin, settings: { ...plugin.settings } };
+  return MECHANICS[name];
+}
+
+/**
+ * Fills in the settings a level's mechanics entry leaves out with the mechanic's defaults
+ * @param {Object} entry - Mechanics entry ({ type, ...settings })
+ * @returns {Object} Settings of the mechanic
+ */
+function getMechanicSettings(entry) {
+  const settings = {};
+  Object.entries(MECHANICS[entry.type].settings).forEach(([name, setting]) => {
+    settings[name] = entry[name] ?? setting.default;
+  });
+  return settings;
+}
+
+/**
+ * Pairs each entry of a level's mechanics list with its registered mechanic and settings
+ * @param {Array} mechanics - Level's mechanics list (default: none)
+ * @returns {Array} Resolved mechanics ({ type, mechanic, settings }), in the order the level lists them
+ */
+function resolveMechanics(mechanics = []) {
+  return mechanics
+    .filter(entry => MECHANICS[entry.type])
+    .map(entry => ({
+      type: entry.type,
+      mechanic: MECHANICS[entry.type],
+      settings: getMechanicSettings(entry)
+    }));
+}
+
+/**
+ * Describes a level's mechanics for the level select screen and the HUD
+ * @param {Object} level - Level configuration
+ * @returns {string} The level's own mechanics description, or its mechanics' descriptions joined
+ */
+function describeMechanics(level) {
+  if (level.mechanicsDescription) return level.mechanicsDescription;
+  
+  return (level.mechanics || [])
+    .filter(entry => MECHANICS[entry.type])
+    .map(entry => entry.description || MECHANICS[entry.type].description)
+    .join(' · ');
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MECHANICS,
+    MECHANIC_HOOKS,
+    registerMechanic,
+    getMechanicSettings,
+    resolveMechanics,
+    describeMechanics
+  };
+} else {
+  window.MECHANICS = MECHANICS;
+  window.MECHANIC_HOOKS = MECHANIC_HOOKS;
+  window.registerMechanic = registerMechanic;
+  window.getMechanicSettings = getMechanicSettings;
+  window.resolveMechanics = resolveMechanics;
+  window.describeMechanics = describeMechanics;
+}
@@ -0,0 +1,177 @@
+/**
+ * @file pack-library.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Library of the level packs the player has imported, from a .stackpack
+ * file or a shared link. Each pack keeps its own best scores, apart from
+ * the built-in levels' progress and leaderboards.
+ *
+ * @dependencies
+ * - levels.js: Level pack validation
+ * - storage.js: Library persistence
+ */
+
+/**
+ * Storage key for the pack library
+ * @constant
+ * @type {string}
+ */
+const PACK_LIBRARY_KEY = 'physicsStackTower_packLibrary';
+
+/**
+ * File extension of downloadable level packs
+ * @constant
+ * @type {string}
+ */
+const PACK_FILE_EXTENSION = '.stackpack';
+
+/**
+ * Builds the library id of a level pack from its contents, so importing
+ * the same pack again finds the copy already in the library
+ * @param {Object} pack - Level pack from parseLevelPack
+ * @returns {string} Pack id
+ */
+function getPackId(pack) {
+  // FNV-1a hash of the pack's JSON
+  const text = JSON.stringify(pack);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Builds the file name a level pack is downloaded as
+ * @param {Object} pack - Level pack
+ * @returns {string} File name, the pack's name in lowercase words joined by dashes
+ */
+function getPackFileName(pack) {
+  const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'level-pack'}${PACK_FILE_EXTENSION}`;
+}
+
+/**
+ * Loads the pack library
+ * @returns {Object} Library entries by pack id ({ pack, addedAt, bestScore, levels: { [id]: { bestScore, completed } } })
+ */
+function loadPackLibrary() {
+  return StorageManager.load(PACK_LIBRARY_KEY, {});
+}
+
+/**
+ * Adds a level pack to the library; a pack already in it keeps its best scores
+ * @param {Object} pack - Level pack from parseLevelPack
+ * @returns {Object} The pack's id and whether it was new to the library ({ id, isNew })
+ */
+function addPackToLibrary(pack) {
+  const library = loadPackLibrary();
+  const id = getPackId(pack);
+  if (library[id]) return { id, isNew: false };
+  
+  library[id] = { pack, addedAt: new Date().toISOString(), bestScore: null, levels: {} };
+  StorageManager.save(PACK_LIBRARY_KEY, library);
+  return { id, isNew: true };
+}
+
+/**
+ * Removes a level pack and its scores from the library
+ * @param {string} id - Pack id
+ */
+function removePackFromLibrary(id) {
+  const library = loadPackLibrary();
+  delete library[id];
+  StorageManager.save(PACK_LIBRARY_KEY, library);
+}
+
+/**
+ * Gets a level pack from the library, checked against the current level pack format
+ * @param {string} id - Pack id
+ * @returns {Object|null} Level pack, or null if the library has no pack with that id
+ * @throws {Error} If the stored pack is no longer a valid level pack
+ */
+function getLibraryPack(id) {
+  const entry = loadPackLibrary()[id];
+  return entry ? parseLevelPack(JSON.stringify(entry.pack)) : null;
+}
+
+/**
+ * Records a finished attempt at a level of a library pack
+ * @param {string} id - Pack id
+ * @param {number} levelNumber - Level that was played
+ * @param {number} score - Points scored on that level
+ * @param {boolean} completed - Whether the level was completed
+ */
+function recordPackLevelResult(id, levelNumber, score, completed) {
+  const library = loadPackLibrary();
+  const entry = library[id];
+  if (!entry) return;
+  
+  const previous = entry.levels[levelNumber] || { bestScore: 0, completed: false };
+  entry.levels[levelNumber] = {
+    bestScore: Math.max(previous.bestScore, score),
+    completed: previous.completed || completed
+  };
+  StorageManager.save(PACK_LIBRARY_KEY, library);
+}
+
+/**
+ * Records the final score of a game played on a library pack
+ * @param {string} id - Pack id
+ * @param {number} score - Final score
+ */
+function recordPackScore(id, score) {
+  const library = loadPackLibrary();
+  const entry = library[id];
+  if (!entry) return;
+  
+  entry.bestScore = Math.max(entry.bestScore ?? 0, score);
+  StorageManager.save(PACK_LIBRARY_KEY, library);
+}
+
+/**
+ * Lists the library's packs with what the main menu shows for them, newest first
+ * @param {Object} library - Pack library (default: saved library)
+ * @returns {Array} Entries ({ id, pack, addedAt, bestScore, levelsCompleted })
+ */
+function getPackLibraryEntries(library = loadPackLibrary()) {
+  return Object.entries(library)
+    .map(([id, entry]) => ({
+      id,
+      pack: entry.pack,
+      addedAt: entry.addedAt,
+      bestScore: entry.bestScore,
+      levelsCompleted: Object.values(entry.levels).filter(result => result.completed).length
+    }))
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PACK_FILE_EXTENSION,
+    getPackId,
+    getPackFileName,
+    loadPackLibrary,
+    addPackToLibrary,
+    removePackFromLibrary,
+    getLibraryPack,
+    recordPackLevelResult,
+    recordPackScore,
+    getPackLibraryEntries
+  };
+} else {
+  window.PACK_FILE_EXTENSION = PACK_FILE_EXTENSION;
+  window.getPackId = getPackId;
+  window.getPackFileName = getPackFileName;
+  window.loadPackLibrary = loadPackLibrary;
+  window.addPackToLibrary = addPackToLibrary;
+  window.removePackFromLibrary = removePackFromLibrary;
+  window.getLibraryPack = getLibraryPack;
+  window.recordPackLevelResult = recordPackLevelResult;
+  window.recordPackScore = recordPackScore;
+  window.getPackLibraryEntries = getPackLibraryEntries;
+}
@@ -6,7 +6,10 @@
  *
  * @description
  * Physics engine for Stack Hero. Handles collision detection,
- * tower stability calculations, and block physics simulation.
+ * tower stability calculations, and block physics simulation. The tower
+ * is treated as stacked rigid bodies: each block rests on the overlap with
+ * the block below, and a section whose center of mass passes the edge of
+ * that support rotates off about the edge and tumbles to the ground.
  *
  * @dependencies
  * - game.js: Core game logic and block objects
@@ -26,8 +29,11 @@ class PhysicsEngine {
       gravity: config.gravity || 0.5,
       friction: config.friction || 0.8,
       bounce: config.bounce || 0.3,
-      stabilityThreshold: config.stabilityThreshold || 0.3,
+      stabilityThreshold: config.stabilityThreshold || 0.3, // Stability below which the tower warns it may topple
       maxTilt: config.maxTilt || 0.2,
+      maxSway: config.maxSway || 6, // Pixels the top of a toppling tower sways either way
+      breakawayAngle: config.breakawayAngle || 0.5, // Radians a toppling section turns before its blocks separate
+      debrisLifetime: config.debrisLifetime || 3000, // Milliseconds a fallen block stays on screen
       ...config
     };
     
@@ -245,25 +251,23 @@ class PhysicsEngine {
   }
 
   /**
-   * Updates tower stability calculations
+   * Updates tower stability calculations and the sway they cause
    * @param {Array} blocks - Array of all blocks
+   * @returns {Object} Stability information (see calculateStability)
    */
   updateTowerStability(blocks) {
     const towerBlocks = blocks.filter(block => block.isPlaced);
     
-    if (towerBlocks.length < 2) return;
-    
-    // Calculate center of mass
-    const centerOfMass = this.calculateCenterOfMass(towerBlocks);
-    
-    // Calculate support base
-    const supportBase = this.calculateSupportBase(towerBlocks);
+    // Measure every joint of the tower
+    const analysis = this.analyzeTower(towerBlocks);
     
     // Check stability
-    const stability = this.calculateStability(centerOfMass, supportBase);
+    const stability = this.calculateStability(analysis);
     
     // Apply stability effects
     this.applyStabilityEffects(towerBlocks, stability);
+    
+    return stability;
   }
 
   /**
@@ -315,72 +319,43 @@ class PhysicsEngine {
   }
 
   /**
-   * Calculates tower stability based on center of mass and support base
-   * @param {Object} centerOfMass - Center of mass coordinates
-   * @param {Object} supportBase - Support base information
-   * @returns {Object} Stability information
+   * Calculates tower stability from the joint closest to toppling
+   * @param {Object} analysis - Tower analysis from analyzeTower
+   * @returns {Object} Stability information ({ stability, isStable, isWarning, tilt })
    */
-  calculateStability(centerOfMass, supportBase) {
-    const supportCenter = supportBase.left + supportBase.width / 2;
-    const massOffset = Math.abs(centerOfMass.x - supportCenter);
-    const maxOffset = supportBase.width * this.config.stabilityThreshold;
+  calculateStability(analysis) {
+    // The least stable joint decides how close the tower is to toppling
+    let tilt = 0;
+    analysis.joints.forEach(joint => {
+      if (joint.instability < Math.abs(tilt)) return;
+      
+      const supportCenter = (joint.support.left + joint.support.right) / 2;
+      tilt = joint.centerOfMass >= supportCenter ? joint.instability : -joint.instability;
+    });
+    tilt = Math.max(-1, Math.min(1, tilt));
     
-    const stability = Math.max(0, 1 - (massOffset / maxOffset));
-    const isStable = massOffset <= maxOffset;
+    const stability = 1 - Math.abs(tilt);
     
     return {
       stability,
-      isStable,
-      massOffset,
-      maxOffset,
-      tilt: massOffset / supportBase.width
+      isStable: analysis.topplingIndex < 0,
+      isWarning: stability < this.config.stabilityThreshold,
+      tilt // Lean of the least stable joint: -1 (toppling left) to 1 (toppling right)
     };
   }
 
   /**
-   * Applies stability effects to tower blocks
+   * Applies stability effects to tower blocks. The tower sways in
+   * proportion to its tilt, the upper blocks most.
    * @param {Array} blocks - Array of placed blocks
    * @param {Object} stability - Stability information
    */
   applyStabilityEffects(blocks, stability) {
-    if (!stability.isStable) {
-      // Tower is unstable - apply collapse effects
-      this.applyCollapseEffects(blocks, stability);
-    } else if (stability.stability < 0.5) {
-      // Tower is wobbly - apply warning effects
-      this.applyWarningEffects(blocks, stability);
-    }
-  }
-
-  /**
-   * Applies collapse effects to unstable tower
-   * @param {Array} blocks - Array of placed blocks
-   * @param {Object} stability - Stability information
-   */
-  applyCollapseEffects(blocks, stability) {
+    const topIndex = Math.max(blocks.length - 1, 1);
+    
     blocks.forEach((block, index) => {
-      // Add collapse animation
-      block.collapsing = true;
-      block.collapseTime = Date.now();
-      
-      // Apply random collapse forces
-      block.collapseForce = {
-        x: (Math.random() - 0.5) * 10,
-        y: Math.random() * 5
-      };
-    });
-  }
-
-  /**
-   * Applies warning effects to wobbly tower
-   * @param {Array} blocks - Array of placed blocks
-   * @param {Object} stability - Stability information
-   */
-  applyWarningEffects(blocks, stability) {
-    // Add subtle shake animation
-    blocks.forEach(block => {
-      block.wobbling = true;
-      block.wobbleIntensity = (1 - stability.stability) * 2;
+      block.wobbleIntensity = Math.abs(stability.tilt) * this.config.maxSway * (index / topIndex);
+      block.wobbling = block.wobbleIntensity > 0;
     });
   }
 
@@ -444,6 +419,380 @@ class PhysicsEngine {
     };
   }
 
+  /**
+   * Gets gravity as an acceleration per millisecond squared. The configured
+   * gravity is in pixels per 60 Hz frame squared.
+   * @returns {number} Gravity in px/ms²
+   */
+  getGravity() {
+    const frameTime = 1000 / 60;
+    return this.config.gravity / (frameTime * frameTime);
+  }
+
+  /**
+   * Analyzes the tower as stacked rigid bodies. Each joint (a block resting
+   * on the one below it) carries every block above it; the load topples when
+   * the torque of its weight about the edge of the overlap it stands on tips
+   * it over, which happens once its center of mass passes that edge.
+   * @param {Array} tower - Tower blocks from the base up
+   * @returns {Object} Analysis ({ joints, instability, topplingIndex })
+   */
+  analyzeTower(tower) {
+    const blockHeight = gameState.config.blockHeight;
+    const gravity = this.getGravity();
+    const joints = [];
+    let mass = 0;
+    let moment = 0;
+    let instability = 0;
+    let topplingIndex = -1;
+    
+    // Walk down from the top so each joint's load builds on the one above
+    for (let i = tower.length - 1; i >= 1; i--) {
+      const block = tower[i];
+      const below = tower[i - 1];
+      const blockMass = block.width * blockHeight; // Mass proportional to area
+      mass += blockMass;
+      moment += (block.position.x + block.width / 2) * blockMass;
+      
+      const left = Math.max(block.position.x, below.position.x);
+      const right = Math.min(block.position.x + block.width, below.position.x + below.width);
+      const centerOfMass = moment / mass;
+      const offset = centerOfMass - (left + right) / 2;
+      const halfSupport = Math.max(right - left, 0) / 2;
+      const overhang = Math.abs(offset) - halfSupport;
+      
+      const joint = {
+        index: i,
+        mass,
+        centerOfMass,
+        support: { left, right },
+        edge: offset >= 0 ? right : left,
+        instability: halfSupport > 0 ? Math.abs(offset) / halfSupport : Infinity,
+        torque: overhang * mass * gravity // Tipping torque about the edge, negative while the weight holds the load down
+      };
+      joints[i] = joint;
+      
+      instability = Math.max(instability, joint.instability);
+      if (joint.torque > 0) {
+        topplingIndex = i;
+      }
+    }
+    
+    return { joints, instability, topplingIndex };
+  }
+
+  /**
+   * Starts a toppled section of the tower rotating about its supporting edge
+   * @param {Array} blocks - Blocks in the section, from its bottom block up
+   * @param {Object} joint - Joint the section toppled from (from analyzeTower)
+   * @returns {Object} Falling section
+   */
+  createFallingSection(blocks, joint) {
+    const blockHeight = gameState.config.blockHeight;
+    const pivot = { x: joint.edge, y: blocks[0].position.y + blockHeight };
+    let inertia = 0;
+    
+    const parts = blocks.map(block => {
+      const mass = block.width * blockHeight;
+      const offset = {
+        x: block.position.x + block.width / 2 - pivot.x,
+        y: block.position.y + blockHeight / 2 - pivot.y
+      };
+      
+      // Moment of inertia of a rectangle about the pivot (parallel axis theorem)
+      inertia += mass * ((block.width * block.width + blockHeight * blockHeight) / 12 +
+        offset.x * offset.x + offset.y * offset.y);
+      
+      block.isPlaced = false;
+      block.wobbling = false;
+      block.angle = 0;
+      block.previousAngle = 0;
+      return { block, mass, offset };
+    });
+    
+    return { pivot, parts, inertia, angle: 0, angularVelocity: 0 };
+  }
+
+  /**
+   * Rotates a falling section about its pivot under gravity
+   * @param {Object} section - Falling section from createFallingSection
+   * @param {number} deltaTime - Time elapsed since last update
+   * @returns {boolean} Whether the section is still attached to its pivot
+   */
+  updateFallingSection(section, deltaTime) {
+    const blockHeight = gameState.config.blockHeight;
+    const gravity = this.getGravity();
+    let cos = Math.cos(section.angle);
+    let sin = Math.sin(section.angle);
+    
+    // Gravity pulls down on every block, turning the section about the pivot
+    let torque = 0;
+    section.parts.forEach(part => {
+      torque += part.mass * gravity * (part.offset.x * cos - part.offset.y * sin);
+    });
+    section.angularVelocity += (torque / section.inertia) * deltaTime;
+    section.angle += section.angularVelocity * deltaTime;
+    
+    cos = Math.cos(section.angle);
+    sin = Math.sin(section.angle);
+    section.parts.forEach(({ block, offset }) => {
+      block.previousPosition = { ...block.position };
+      block.previousAngle = block.angle;
+      block.position.x = section.pivot.x + offset.x * cos - offset.y * sin - block.width / 2;
+      block.position.y = section.pivot.y + offset.x * sin + offset.y * cos - blockHeight / 2;
+      block.angle = section.angle;
+    });
+    
+    return Math.abs(section.angle) < this.config.breakawayAngle;
+  }
+
+  /**
+   * Separates a falling section into blocks that tumble on their own,
+   * each keeping the velocity it had as part of the rotating section
+   * @param {Object} section - Falling section from createFallingSection
+   * @returns {Array} Tumbling blocks
+   */
+  breakFallingSection(section) {
+    const blockHeight = gameState.config.blockHeight;
+    const angularVelocity = section.angularVelocity;
+    
+    return section.parts.map(({ block }) => {
+      const radiusX = block.position.x + block.width / 2 - section.pivot.x;
+      const radiusY = block.position.y + blockHeight / 2 - section.pivot.y;
+      
+      block.velocity = { x: -angularVelocity * radiusY, y: angularVelocity * radiusX };
+      block.angularVelocity = angularVelocity;
+      block.life = this.config.debrisLifetime;
+      return block;
+    });
+  }
+
+  /**
+   * Cuts the parts of a trimmed block that no longer rest on the tower into
+   * debris that falls away, keeping the speed the block was moving at
+   * @param {Block} block - Block after trimming
+   * @param {number} left - Left edge of the block before trimming
+   * @param {number} right - Right edge of the block before trimming
+   * @param {number} speed - Horizontal speed of the block when it was dropped
+   * @returns {Array} Debris pieces
+   */
+  cutOverhang(block, left, right, speed) {
+    const pieces = [];
+    if (block.position.x > left) {
+      pieces.push(this.createDebris(block, left, block.position.x, speed, -1));
+    }
+    if (block.position.x + block.width < right) {
+      pieces.push(this.createDebris(block, block.position.x + block.width, right, speed, 1));
+    }
+    return pieces;
+  }
+
+  /**
+   * Creates a debris piece spanning part of a block
+   * @param {Block} block - Block the piece is cut from
+   * @param {number} left - Left edge of the piece
+   * @param {number} right - Right edge of the piece
+   * @param {number} speed - Horizontal speed of the piece
+   * @param {number} side - Side of the tower the piece hangs off (-1 left, 1 right)
+   * @returns {Object} Debris piece, drawn and moved like a tumbling block
+   */
+  createDebris(block, left, right, speed, side) {
+    const position = { x: left, y: block.position.y };
+    return {
+      id: block.id,
+      width: right - left,
+      color: block.color,
+      isPlaced: false,
+      position,
+      previousPosition: { ...position },
+      angle: 0,
+      previousAngle: 0,
+      velocity: { x: speed, y: 0 },
+      angularVelocity: side * 0.002, // Tips outwards over the edge it was cut at
+      life: this.config.debrisLifetime
+    };
+  }
+
+  /**
+   * Moves a tumbling block under gravity, bouncing it off the tower and the ground
+   * @param {Object} block - Tumbling block from breakFallingSection or debris from cutOverhang
+   * @param {number} deltaTime - Time elapsed since last update
+   * @param {Array} tower - Standing tower blocks it can hit (default: none)
+   * @returns {boolean} Whether the block should stay in play
+   */
+  updateFallingBlock(block, deltaTime, tower = []) {
+    const { canvasWidth, canvasHeight, blockHeight } = gameState.config;
+    
+    block.previousPosition = { ...block.position };
+    block.previousAngle = block.angle;
+    block.velocity.y += this.getGravity() * deltaTime;
+    block.position.x += block.velocity.x * deltaTime;
+    block.position.y += block.velocity.y * deltaTime;
+    block.angle += block.angularVelocity * deltaTime;
+    block.life -= deltaTime;
+    
+    tower.forEach(towerBlock => this.resolveTowerContact(block, towerBlock));
+    
+    const bottom = block.position.y + blockHeight / 2 + this.getRotatedExtent(block).y;
+    if (bottom > canvasHeight && block.velocity.y > 0) {
+      block.position.y -= bottom - canvasHeight;
+      this.landFallingBlock(block);
+    }
+    
+    const offScreen = block.position.x + block.width < 0 || block.position.x > canvasWidth;
+    return block.life > 0 && !offScreen;
+  }
+
+  /**
+   * Gets the half size of a rotated block's bounding box
+   * @param {Object} block - Block with an angle
+   * @returns {Object} Half width and height ({ x, y })
+   */
+  getRotatedExtent(block) {
+    const blockHeight = gameState.config.blockHeight;
+    const cos = Math.abs(Math.cos(block.angle));
+    const sin = Math.abs(Math.sin(block.angle));
+    return {
+      x: (block.width * cos + blockHeight * sin) / 2,
+      y: (block.width * sin + blockHeight * cos) / 2
+    };
+  }
+
+  /**
+   * Pushes a tumbling block out of a tower block it has run into. It lands
+   * on top when it came down onto a ledge and bounces off the side otherwise.
+   * @param {Object} block - Tumbling block
+   * @param {Block} towerBlock - Standing tower block
+   */
+  resolveTowerContact(block, towerBlock) {
+    const blockHeight = gameState.config.blockHeight;
+    const extent = this.getRotatedExtent(block);
+    const centerX = block.position.x + block.width / 2;
+    const centerY = block.position.y + blockHeight / 2;
+    
+    const overlapX = Math.min(centerX + extent.x, towerBlock.position.x + towerBlock.width) -
+      Math.max(centerX - extent.x, towerBlock.position.x);
+    const overlapY = Math.min(centerY + extent.y, towerBlock.position.y + blockHeight) -
+      Math.max(centerY - extent.y, towerBlock.position.y);
+    if (overlapX <= 0 || overlapY <= 0) return;
+    
+    // Separate along the shallower overlap
+    if (overlapY < overlapX && centerY < towerBlock.position.y) {
+      block.position.y -= overlapY;
+      if (block.velocity.y > 0) {
+        this.landFallingBlock(block);
+      }
+    } else {
+      const side = centerX < towerBlock.position.x + towerBlock.width / 2 ? -1 : 1;
+      block.position.x += side * overlapX;
+      if (block.velocity.x * side < 0) {
+        block.velocity.x = -block.velocity.x * this.config.bounce;
+      }
+    }
+  }
+
+  /**
+   * Bounces a tumbling block off a surface below it
+   * @param {Object} block - Tumbling block
+   */
+  landFallingBlock(block) {
+    block.velocity.y = -block.velocity.y * this.config.bounce;
+    block.velocity.x *= this.config.friction;
+    
+    // Blocks can't rest on a corner or a short end, so contact tips them onto a long side
+    const flatAngle = Math.round(block.angle / Math.PI) * Math.PI;
+    block.angularVelocity = block.angularVelocity * this.config.friction + (flatAngle - block.angle) * 0.005;
+  }
+
+  /**
+   * Creates the rope a block hangs from under a crane trolley, with the block
+   * swung out in the direction it is moving
+   * @param {Block} block - Block to hang, positioned where it enters
+   * @param {Object} crane - Crane mechanic settings (ropeLength, swingAngle, damping, trolleySpeed)
+   * @returns {Object} Rope state
+   */
+  createRope(block, crane) {
+    const anchor = { x: block.position.x + block.width / 2, y: block.position.y - crane.ropeLength };
+    return {
+      anchor,
+      previousAnchor: { ...anchor },
+      length: crane.ropeLength,
+      angle: crane.swingAngle * Math.sign(block.speed || 1),
+      angularVelocity: 0,
+      damping: crane.damping,
+      trolleySpeed: block.speed * crane.trolleySpeed // Fraction of the block speed the trolley runs at
+    };
+  }
+
+  /**
+   * Swings a block on its rope as a damped pendulum. The trolley runs to and
+   * fro along the top, and turning round at the edge of the screen jerks the
+   * top of the rope, kicking the swing.
+   * @param {Block} block - Block hanging from a rope
+   * @param {number} deltaTime - Time elapsed since last update
+   * @param {number} anchorY - Height of the trolley
+   */
+  updateRope(block, deltaTime, anchorY) {
+    const rope = block.rope;
+    const halfWidth = block.width / 2;
+    const maxX = gameState.config.canvasWidth - halfWidth;
+    
+    rope.previousAnchor = { ...rope.anchor };
+    rope.anchor.y = anchorY;
+    rope.anchor.x += rope.trolleySpeed * deltaTime;
+    
+    if (rope.anchor.x < halfWidth || rope.anchor.x > maxX) {
+      rope.anchor.x = Math.max(halfWidth, Math.min(rope.anchor.x, maxX));
+      rope.angularVelocity += 2 * rope.trolleySpeed / rope.length * Math.cos(rope.angle);
+      rope.trolleySpeed = -rope.trolleySpeed;
+    }
+    
+    const angularAcceleration = -this.getGravity() / rope.length * Math.sin(rope.angle) -
+      rope.damping * rope.angularVelocity;
+    rope.angularVelocity += angularAcceleration * deltaTime;
+    rope.angle += rope.angularVelocity * deltaTime;
+    
+    this.hangFromRope(block);
+  }
+
+  /**
+   * Moves a block to the end of its rope
+   * @param {Block} block - Block hanging from a rope
+   */
+  hangFromRope(block) {
+    const rope = block.rope;
+    block.position.x = rope.anchor.x + Math.sin(rope.angle) * rope.length - block.width / 2;
+    block.position.y = rope.anchor.y + Math.cos(rope.angle) * rope.length;
+  }
+
+  /**
+   * Gets the velocity of a block swinging on a rope: the trolley's speed plus the swing
+   * @param {Object} rope - Rope state
+   * @returns {Object} Velocity in px/ms ({ x, y })
+   */
+  getRopeVelocity(rope) {
+    const speed = rope.angularVelocity * rope.length;
+    return {
+      x: rope.trolleySpeed + speed * Math.cos(rope.angle),
+      y: -speed * Math.sin(rope.angle)
+    };
+  }
+
+  /**
+   * Works out how far a block let go with some velocity drifts sideways
+   * before it falls to a height
+   * @param {Block} block - Block being let go
+   * @param {Object} velocity - Velocity when let go ({ x, y })
+   * @param {number} landingY - Y position the block lands at
+   * @returns {Object} Flight time in ms and sideways drift in px ({ time, drift })
+   */
+  predictLanding(block, velocity, landingY) {
+    const gravity = this.getGravity();
+    const height = Math.max(0, landingY - block.position.y);
+    const time = (Math.sqrt(velocity.y * velocity.y + 2 * gravity * height) - velocity.y) / gravity;
+    return { time, drift: velocity.x * time };
+  }
+
   /**
    * Clears physics caches
    */
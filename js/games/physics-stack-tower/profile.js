@@ -0,0 +1,115 @@
+/**
+ * @file profile.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Player profile for Stack Hero. Keeps the experience points earned across
+ * all games and turns them into a player rank with progress to the next.
+ *
+ * @dependencies
+ * - levels.js: Experience point calculation
+ * - storage.js: Profile persistence
+ */
+
+/**
+ * Storage key for the player profile
+ * @constant
+ * @type {string}
+ */
+const PROFILE_STORAGE_KEY = 'physicsStackTower_profile';
+
+/**
+ * Player ranks in order, each reached at a total experience threshold
+ * @constant
+ * @type {Array}
+ */
+const PLAYER_RANKS = [
+  { name: 'Apprentice Stacker', icon: '🧱', xp: 0 },
+  { name: 'Block Builder', icon: '🔨', xp: 200 },
+  { name: 'Tower Crafter', icon: '🏗️', xp: 600 },
+  { name: 'Sky Architect', icon: '🏙️', xp: 1500 },
+  { name: 'Master Stacker', icon: '🏆', xp: 3500 },
+  { name: 'Stack Hero', icon: '🦸', xp: 8000 }
+];
+
+/**
+ * Loads the player profile
+ * @returns {Object} Profile ({ xp })
+ */
+function loadPlayerProfile() {
+  return StorageManager.load(PROFILE_STORAGE_KEY, { xp: 0 });
+}
+
+/**
+ * Adds experience points to the player profile
+ * @param {number} xp - Experience points earned
+ * @returns {Object} Award result ({ xp, totalXP, rank, rankUp })
+ */
+function awardExperience(xp) {
+  const profile = loadPlayerProfile();
+  const previousRank = getPlayerRank(profile.xp);
+  
+  profile.xp += xp;
+  StorageManager.save(PROFILE_STORAGE_KEY, profile);
+  
+  const rank = getPlayerRank(profile.xp);
+  return {
+    xp,
+    totalXP: profile.xp,
+    rank,
+    rankUp: rank !== previousRank
+  };
+}
+
+/**
+ * Gets the rank for a total of experience points
+ * @param {number} totalXP - Total experience points
+ * @returns {Object} Highest rank reached
+ */
+function getPlayerRank(totalXP) {
+  return PLAYER_RANKS.filter(rank => totalXP >= rank.xp).pop();
+}
+
+/**
+ * Works out how far the player is through their current rank
+ * @param {number} totalXP - Total experience points
+ * @returns {Object} Rank progress ({ rank, nextRank, xpIntoRank, xpForRank, progress })
+ */
+function getRankProgress(totalXP) {
+  const rank = getPlayerRank(totalXP);
+  const nextRank = PLAYER_RANKS[PLAYER_RANKS.indexOf(rank) + 1] || null;
+  
+  // The top rank has nothing left to fill
+  if (!nextRank) {
+    return { rank, nextRank, xpIntoRank: totalXP - rank.xp, xpForRank: 0, progress: 1 };
+  }
+  
+  const xpIntoRank = totalXP - rank.xp;
+  const xpForRank = nextRank.xp - rank.xp;
+  return {
+    rank,
+    nextRank,
+    xpIntoRank,
+    xpForRank,
+    progress: xpIntoRank / xpForRank
+  };
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLAYER_RANKS,
+    loadPlayerProfile,
+    awardExperience,
+    getPlayerRank,
+    getRankProgress
+  };
+} else {
+  window.PLAYER_RANKS = PLAYER_RANKS;
+  window.loadPlayerProfile = loadPlayerProfile;
+  window.awardExperience = awardExperience;
+  window.getPlayerRank = getPlayerRank;
+  window.getRankProgress = getRankProgress;
+}
@@ -0,0 +1,88 @@
+/**
+ * @file progress.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Level progress for Stack Hero. Remembers which levels the player has
+ * completed and their best score on each, which decides the levels they
+ * can start from on the level select screen.
+ *
+ * @dependencies
+ * - levels.js: Level definitions and unlock rules
+ * - storage.js: Progress persistence
+ */
+
+/**
+ * Storage key for level progress
+ * @constant
+ * @type {string}
+ */
+const LEVEL_PROGRESS_KEY = 'physicsStackTower_levelProgress';
+
+/**
+ * Loads the player's level progress
+ * @returns {Object} Progress ({ highestCompleted, levels: { [id]: { bestScore, completed } } })
+ */
+function loadLevelProgress() {
+  return StorageManager.load(LEVEL_PROGRESS_KEY, { highestCompleted: 0, levels: {} });
+}
+
+/**
+ * Records a finished attempt at a level
+ * @param {number} levelNumber - Level that was played
+ * @param {number} score - Points scored on that level
+ * @param {boolean} completed - Whether the level was completed
+ * @returns {Object} Updated progress
+ */
+function recordLevelResult(levelNumber, score, completed) {
+  const progress = loadLevelProgress();
+  
+  // Only the designed levels appear on the level select screen
+  if (!LEVELS.some(level => level.id === levelNumber)) return progress;
+  
+  const previous = progress.levels[levelNumber] || { bestScore: 0, completed: false };
+  progress.levels[levelNumber] = {
+    bestScore: Math.max(previous.bestScore, score),
+    completed: previous.completed || completed
+  };
+  if (completed) {
+    progress.highestCompleted = Math.max(progress.highestCompleted, levelNumber);
+  }
+  
+  StorageManager.save(LEVEL_PROGRESS_KEY, progress);
+  return progress;
+}
+
+/**
+ * Lists every level with what the level select screen shows for it
+ * @param {Object} progress - Level progress (default: saved progress)
+ * @returns {Array} Entries ({ level, unlocked, completed, bestScore })
+ */
+function getLevelSelectEntries(progress = loadLevelProgress()) {
+  const available = getAvailableLevels(progress.highestCompleted);
+  
+  return LEVELS.map(level => {
+    const result = progress.levels[level.id];
+    return {
+      level,
+      unlocked: available.includes(level.id),
+      completed: Boolean(result && result.completed),
+      bestScore: result ? result.bestScore : null
+    };
+  });
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    loadLevelProgress,
+    recordLevelResult,
+    getLevelSelectEntries
+  };
+} else {
+  window.loadLevelProgress = loadLevelProgress;
+  window.recordLevelResult = recordLevelResult;
+  window.getLevelSelectEntries = getLevelSelectEntries;
+}
@@ -10,6 +10,8 @@
  *
  * @dependencies
  * - game.js: Core game logic and block objects
+ * - core.js: Gameplay events the renderer's effects follow
+ * - mechanics.js: Mechanics that draw their own additions to the world
  * - physics.js: Physics engine for animations
  */
 
@@ -31,12 +33,19 @@ class GameRenderer {
       shadowOffset: config.shadowOffset || 3,
       animationSpeed: config.animationSpeed || 0.1,
       particleCount: config.particleCount || 20,
+      stabilityCaution: config.stabilityCaution || 0.6, // Stability below which the gauge turns yellow
+      cameraFocus: config.cameraFocus || 0.3, // Fraction of the view kept above the moving block
+      cameraSmoothing: config.cameraSmoothing || 200, // Milliseconds the camera takes to settle (time constant)
       ...config
     };
     
     this.animations = [];
     this.particles = [];
     this.lastFrameTime = 0;
+    this.unsubscribers = [];
+    
+    // World point at the top center of the view, and the zoom around it
+    this.camera = { x: gameState.config.canvasWidth / 2, y: 0, zoom: 1 };
     
     // Set up canvas properties
     this.setupCanvas();
@@ -65,30 +74,119 @@ class GameRenderer {
   /**
    * Main render function called every frame
    * @param {number} currentTime - Current timestamp
+   * @param {number} alpha - Interpolation factor (0-1) between the last two simulation steps
    */
-  render(currentTime) {
+  render(currentTime, alpha = 1) {
     const deltaTime = currentTime - this.lastFrameTime;
     this.lastFrameTime = currentTime;
     
+    // Move the camera before anything is drawn
+    this.updateCamera(deltaTime);
+    
     // Clear canvas
     this.clearCanvas();
     
     // Draw background
     this.drawBackground();
     
+    // The game world is drawn through the camera
+    this.ctx.save();
+    this.applyCameraTransform();
+    
     // Draw tower blocks
     this.drawTower();
     
-    // Draw current moving block
-    this.drawCurrentBlock();
+    // Draw toppled blocks falling away from the tower
+    this.drawFallingBlocks(alpha);
+    
+    // Draw what the level's mechanics add, such as the crane rope, then the current moving block in front
+    this.drawMechanics(alpha);
+    this.drawCurrentBlock(alpha);
     
     // Draw particles
     this.drawParticles(deltaTime);
     
+    this.ctx.restore();
+    
+    // UI overlays stay fixed on screen
     this.drawUIOverlays();
     this.updateAnimations(deltaTime);
   }
 
+  /**
+   * Works out where the camera should be: following the top of the tower
+   * while the game runs, and zoomed out over the whole tower once it is over
+   * @returns {Object} Camera target ({ x, y, zoom })
+   */
+  getCameraTarget() {
+    const { canvasWidth, canvasHeight, blockHeight } = gameState.config;
+    const x = canvasWidth / 2;
+    
+    if (!gameState.isActive && gameState.tower.length > 0) {
+      // Fit everything from the ground to a few blocks above the top of the tower
+      const towerTop = Math.min(...gameState.tower.map(block => block.position.y));
+      const zoom = Math.min(1, canvasHeight / (canvasHeight - towerTop + blockHeight * 3));
+      return { x, y: canvasHeight - canvasHeight / zoom, zoom };
+    }
+    
+    // Keep the moving block's row in the upper part of the view, never scrolling below the ground
+    const focusY = canvasHeight - (gameState.tower.length + 2) * blockHeight;
+    return { x, y: Math.min(0, focusY - canvasHeight * this.config.cameraFocus), zoom: 1 };
+  }
+
+  /**
+   * Eases the camera towards its target
+   * @param {number} deltaTime - Time elapsed since last frame
+   */
+  updateCamera(deltaTime) {
+    const target = this.getCameraTarget();
+    const factor = 1 - Math.exp(-Math.max(deltaTime, 0) / this.config.cameraSmoothing);
+    
+    this.camera.x += (target.x - this.camera.x) * factor;
+    this.camera.y += (target.y - this.camera.y) * factor;
+    this.camera.zoom += (target.zoom - this.camera.zoom) * factor;
+    
+    // Position and zoom ease separately, so keep the view from dipping below the ground
+    const canvasHeight = gameState.config.canvasHeight;
+    this.camera.y = Math.min(this.camera.y, canvasHeight - canvasHeight / this.camera.zoom);
+  }
+
+  /**
+   * Applies the camera to the canvas context, so drawing uses world coordinates.
+   * Matches worldToScreen.
+   */
+  applyCameraTransform() {
+    this.ctx.translate(gameState.config.canvasWidth / 2, 0);
+    this.ctx.scale(this.camera.zoom, this.camera.zoom);
+    this.ctx.translate(-this.camera.x, -this.camera.y);
+  }
+
+  /**
+   * Converts a point in the game world to a point on screen
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {Object} Screen position ({ x, y })
+   */
+  worldToScreen(x, y) {
+    return {
+      x: (x - this.camera.x) * this.camera.zoom + gameState.config.canvasWidth / 2,
+      y: (y - this.camera.y) * this.camera.zoom
+    };
+  }
+
+  /**
+   * Converts a point on screen to a point in the game world
+   * @param {number} x - Screen X position
+   * @param {number} y - Screen Y position
+   * @returns {Object} World position ({ x, y })
+   */
+  screenToWorld(x, y) {
+    return {
+      x: (x - gameState.config.canvasWidth / 2) / this.camera.zoom + this.camera.x,
+      y: y / this.camera.zoom + this.camera.y
+    };
+  }
+
   /**
    * Clears the canvas
    */
@@ -120,8 +218,14 @@ class GameRenderer {
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
     this.ctx.lineWidth = 1;
     
+    // The grid is fixed to the world, so it scrolls and scales with the camera
+    const spacing = 50 * this.camera.zoom;
+    const origin = this.worldToScreen(0, 0);
+    const startX = ((origin.x % spacing) + spacing) % spacing;
+    const startY = ((origin.y % spacing) + spacing) % spacing;
+    
     // Vertical lines
-    for (let x = 0; x < this.canvas.width; x += 50) {
+    for (let x = startX; x < this.canvas.width; x += spacing) {
       this.ctx.beginPath();
       this.ctx.moveTo(x, 0);
       this.ctx.lineTo(x, this.canvas.height);
@@ -129,7 +233,7 @@ class GameRenderer {
     }
     
     // Horizontal lines
-    for (let y = 0; y < this.canvas.height; y += 50) {
+    for (let y = startY; y < this.canvas.height; y += spacing) {
       this.ctx.beginPath();
       this.ctx.moveTo(0, y);
       this.ctx.lineTo(this.canvas.width, y);
@@ -143,18 +247,82 @@ class GameRenderer {
   drawTower() {
     if (!gameState.tower || gameState.tower.length === 0) return;
     
+    // Ghost goes underneath so the live tower stays readable
+    this.drawGhost();
+    
     gameState.tower.forEach((block, index) => {
       this.drawBlock(block, index);
     });
   }
 
+  /**
+   * Draws the personal-best ghost's tower and moving block
+   */
+  drawGhost() {
+    const ghost = getActiveGhost();
+    if (!ghost) return;
+    
+    const height = this.config.blockHeight;
+    const ghostBlocks = ghost.getTowerAt(gameState.tick);
+    const ghostBlock = ghost.getBlockAt(gameState.tick);
+    if (ghostBlock) {
+      ghostBlocks.push(ghostBlock);
+    }
+    
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.3;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = 2;
+    
+    ghostBlocks.forEach(block => {
+      this.ctx.fillStyle = block.color || '#FFFFFF';
+      this.ctx.fillRect(block.x, block.y, block.width, height);
+      this.ctx.strokeRect(block.x, block.y, block.width, height);
+    });
+    
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws toppled sections and tumbling blocks, fading blocks out at the end of their lifetime
+   * @param {number} alpha - Interpolation factor between the last two simulation steps
+   */
+  drawFallingBlocks(alpha = 1) {
+    gameState.fallingSections.forEach(section => {
+      section.parts.forEach(part => this.drawBlock(part.block, -1, false, alpha));
+    });
+    
+    gameState.fallingBlocks.forEach(block => {
+      this.ctx.save();
+      this.ctx.globalAlpha = Math.min(1, block.life / 500);
+      this.drawBlock(block, -1, false, alpha);
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * Draws what the level's mechanics add to the world, such as the crane's rope
+   * @param {number} alpha - Interpolation factor between the last two simulation steps
+   */
+  drawMechanics(alpha = 1) {
+    resolveMechanics(gameState.currentLevelConfig?.mechanics).forEach(({ mechanic, settings }) => {
+      if (!mechanic.onRender) return;
+      
+      this.ctx.save();
+      mechanic.onRender(this.ctx, settings, gameState, alpha);
+      this.ctx.restore();
+    });
+  }
+
   /**
    * Draws the current moving block
+   * @param {number} alpha - Interpolation factor between the last two simulation steps
    */
-  drawCurrentBlock() {
+  drawCurrentBlock(alpha = 1) {
     if (!gameState.currentBlock || !gameState.currentBlock.isMoving) return;
     
-    this.drawBlock(gameState.currentBlock, -1, true);
+    this.drawBlock(gameState.currentBlock, -1, true, alpha);
   }
 
   /**
@@ -162,15 +330,29 @@ class GameRenderer {
    * @param {Block} block - Block to draw
    * @param {number} index - Block index in tower (-1 for moving block)
    * @param {boolean} isMoving - Whether block is currently moving
+   * @param {number} alpha - Interpolation factor between the last two simulation steps
    */
-  drawBlock(block, index, isMoving = false) {
+  drawBlock(block, index, isMoving = false, alpha = 1) {
     if (!block) return;
     
-    const x = block.position.x;
-    const y = block.position.y;
+    // Interpolate moving, landing and falling blocks between simulation steps for smooth motion
+    const isFalling = block.angle !== undefined;
+    const interpolate = isMoving || isFalling || block.isLanding;
+    const previous = interpolate && block.previousPosition ? block.previousPosition : block.position;
+    const x = Helpers.lerp(previous.x, block.position.x, alpha);
+    const y = Helpers.lerp(previous.y, block.position.y, alpha);
     const width = block.width;
     const height = this.config.blockHeight;
     
+    // Falling blocks turn about their center
+    if (isFalling) {
+      const angle = Helpers.lerp(block.previousAngle, block.angle, alpha);
+      this.ctx.save();
+      this.ctx.translate(x + width / 2, y + height / 2);
+      this.ctx.rotate(angle);
+      this.ctx.translate(-(x + width / 2), -(y + height / 2));
+    }
+    
     // Apply animations
     const animatedX = this.applyBlockAnimations(block, x, 'x');
     const animatedY = this.applyBlockAnimations(block, y, 'y');
@@ -187,6 +369,10 @@ class GameRenderer {
     
     // Draw special effects
     this.drawBlockEffects(block, animatedX, animatedY, animatedWidth, height);
+    
+    if (isFalling) {
+      this.ctx.restore();
+    }
   }
 
   /**
@@ -197,22 +383,8 @@ class GameRenderer {
    * @returns {number} Animated value
    */
   applyBlockAnimations(block, value, property) {
-    if (block.collapsing) {
-      // Collapse animation
-      const collapseTime = (Date.now() - block.collapseTime) / 1000;
-      const collapseForce = block.collapseForce || { x: 0, y: 0 };
-      
-      if (property === 'x') {
-        return value + collapseForce.x * collapseTime;
-      } else if (property === 'y') {
-        return value + collapseForce.y * collapseTime + 0.5 * 9.8 * collapseTime * collapseTime;
-      } else if (property === 'width') {
-        return value * (1 - collapseTime * 0.1);
-      }
-    }
-    
     if (block.wobbling) {
-      // Wobble animation
+      // Sway animation
       const wobbleIntensity = block.wobbleIntensity || 1;
       const wobbleOffset = Math.sin(Date.now() * 0.01) * wobbleIntensity;
       
@@ -310,11 +482,6 @@ class GameRenderer {
       // Perfect drop sparkle effect
       this.drawSparkleEffect(x + width / 2, y + height / 2);
     }
-    
-    if (block.collapsing) {
-      // Collapse particle effect
-      this.createCollapseParticles(x + width / 2, y + height / 2, block.color);
-    }
   }
 
   /**
@@ -345,26 +512,6 @@ class GameRenderer {
     }
   }
 
-  /**
-   * Creates collapse particle effect
-   * @param {number} centerX - Center X position
-   * @param {number} centerY - Center Y position
-   * @param {string} color - Particle color
-   */
-  createCollapseParticles(centerX, centerY, color) {
-    for (let i = 0; i < this.config.particleCount; i++) {
-      this.particles.push({
-        x: centerX,
-        y: centerY,
-        vx: (Math.random() - 0.5) * 10,
-        vy: (Math.random() - 0.5) * 10 - 5,
-        life: 1.0,
-        color: color,
-        size: Math.random() * 4 + 2
-      });
-    }
-  }
-
   /**
    * Draws all particles
    * @param {number} deltaTime - Time elapsed since last frame
@@ -402,6 +549,9 @@ class GameRenderer {
     
     // Draw tower height indicator
     this.drawTowerHeightIndicator();
+    
+    // Draw stability gauge
+    this.drawStabilityGauge();
   }
 
   /**
@@ -413,13 +563,15 @@ class GameRenderer {
   }
 
   /**
-   * Draws tower height indicator
+   * Draws tower height indicator. The bar's scale grows with the tower, and
+   * a frame marks the part of the world the camera is showing.
    */
   drawTowerHeightIndicator() {
     if (gameState.tower.length < 2) return;
     
+    const canvasHeight = gameState.config.canvasHeight;
     const towerHeight = gameState.tower.length * this.config.blockHeight;
-    const maxHeight = this.canvas.height * 0.8;
+    const maxHeight = Math.max(canvasHeight * 0.8, towerHeight * 1.25);
     const heightPercentage = Math.min(towerHeight / maxHeight, 1);
     
     // Draw height bar
@@ -440,6 +592,54 @@ class GameRenderer {
     this.ctx.strokeStyle = '#FFFFFF';
     this.ctx.lineWidth = 2;
     this.ctx.strokeRect(barX, barY, barWidth, barHeight);
+    
+    // Camera view, as heights above the ground
+    const viewTop = canvasHeight - this.screenToWorld(0, 0).y;
+    const viewBottom = canvasHeight - this.screenToWorld(0, canvasHeight).y;
+    const toBar = height => barY + barHeight * (1 - Helpers.clamp(height / maxHeight, 0, 1));
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(barX - 3, toBar(viewTop), barWidth + 6, toBar(viewBottom) - toBar(viewTop));
+  }
+
+  /**
+   * Draws the stability gauge beside the height bar, turning yellow and then
+   * flashing red with a warning as the tower gets close to toppling
+   */
+  drawStabilityGauge() {
+    if (gameState.tower.length < 2) return;
+    
+    const { stability, isWarning } = gameState.stability;
+    const isCaution = stability < this.config.stabilityCaution;
+    const color = isWarning ? '#dc3545' : isCaution ? '#ffc107' : '#28a745';
+    const flash = isWarning && Math.sin(Date.now() * 0.015) > 0;
+    
+    // Sits to the left of the height bar
+    const barWidth = 20;
+    const barHeight = 200;
+    const barX = this.canvas.width - barWidth * 2 - 30;
+    const barY = 50;
+    
+    // Background
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    this.ctx.fillRect(barX, barY, barWidth, barHeight);
+    
+    // Fill
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(barX, barY + barHeight * (1 - stability), barWidth, barHeight * stability);
+    
+    // Border
+    this.ctx.strokeStyle = flash ? color : '#FFFFFF';
+    this.ctx.lineWidth = flash ? 4 : 2;
+    this.ctx.strokeRect(barX, barY, barWidth, barHeight);
+    
+    // Warning label
+    if (isCaution) {
+      this.ctx.fillStyle = color;
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(isWarning ? 'TOPPLING!' : 'WOBBLY', barX + barWidth / 2, barY + barHeight + 18);
+    }
   }
 
   /**
@@ -498,6 +698,74 @@ class GameRenderer {
     this.particles.push(particle);
   }
 
+  /**
+   * Adds a burst of particles
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} type - Type of burst ('perfect', 'drop', 'collapse')
+   */
+  addParticleBurst(x, y, type = 'drop') {
+    // Particles are cosmetic, so they use Math.random and leave the seeded sequence alone
+    const particleCount = type === 'perfect' ? 15 : type === 'collapse' ? 25 : 8;
+    const colors = {
+      perfect: ['#28a745', '#20c997', '#17a2b8', '#ffc107'],
+      drop: ['#6c757d', '#495057', '#343a40'],
+      collapse: ['#dc3545', '#fd7e14', '#6f42c1']
+    };
+    
+    for (let i = 0; i < particleCount; i++) {
+      this.addParticle({
+        x: x,
+        y: y,
+        vx: (Math.random() - 0.5) * 8,
+        vy: (Math.random() - 0.5) * 8 - 2,
+        life: 1.0,
+        decay: 0.02 + Math.random() * 0.02,
+        size: 2 + Math.random() * 4,
+        color: colors[type][Math.floor(Math.random() * colors[type].length)],
+        type: type
+      });
+    }
+  }
+
+  /**
+   * Shows the effects of gameplay events: sparkles and particles for perfect
+   * drops, and dust where the tower toppled
+   * @param {EventSystem} events - Bus the game core emits on
+   */
+  connectEvents(events) {
+    this.disconnectEvents();
+    this.unsubscribers = [
+      events.on('block:perfect', ({ block }) => {
+        block.perfectDrop = true;
+        block.perfectTime = Date.now();
+        
+        // Clear the perfect drop effect after animation
+        setTimeout(() => {
+          block.perfectDrop = false;
+        }, 1000);
+        
+        // Burst where the block lands
+        this.addParticleBurst(block.position.x + block.width / 2, block.landingY, 'perfect');
+      }),
+      
+      events.on('tower:collapsed', ({ blocks, partial }) => {
+        // A partial collapse tips off the tower from its bottom block; a full one scatters every block
+        (partial ? blocks.slice(0, 1) : blocks).forEach(block => {
+          this.addParticleBurst(block.position.x + block.width / 2, block.position.y, 'collapse');
+        });
+      })
+    ];
+  }
+
+  /**
+   * Stops showing the effects of gameplay events
+   */
+  disconnectEvents() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
   /**
    * Clears all particles and animations
    */
@@ -517,7 +785,11 @@ let gameRenderer = null;
  * @returns {GameRenderer} Initialized renderer
  */
 function initRenderer(canvas, config = {}) {
+  if (gameRenderer) {
+    gameRenderer.disconnectEvents();
+  }
   gameRenderer = new GameRenderer(canvas, config);
+  gameRenderer.connectEvents(gameEvents);
   return gameRenderer;
 }
 
@@ -0,0 +1,399 @@
+/**
+ * @file replay.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Replay system for Stack Hero. Records the seed, starting level and the
+ * simulation tick of every drop, and plays runs back frame-for-frame
+ * through the normal game update and render path.
+ *
+ * @dependencies
+ * - core.js: Game state and simulation stepping
+ * - game.js: Drop handling and overlays
+ * - storage.js: Replay persistence
+ */
+
+/**
+ * Replay format version, bumped whenever recorded data changes meaning
+ * @constant
+ * @type {number}
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * Storage key for saved replays
+ * @constant
+ * @type {string}
+ */
+const REPLAY_STORAGE_KEY = 'physicsStackTower_replays';
+
+/**
+ * Number of recent replays kept in storage
+ * @constant
+ * @type {number}
+ */
+const MAX_STORED_REPLAYS = 5;
+
+/**
+ * Ticks between moving-block samples in the ghost track (15 per second at 120 Hz)
+ * @constant
+ * @type {number}
+ */
+const GHOST_SAMPLE_TICKS = 8;
+
+/**
+ * Records the inputs of a live run
+ * @class
+ */
+class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+    this.lastReplay = null;
+  }
+
+  /**
+   * Starts recording a new run
+   * @param {number} seed - Seed of the run's random sequence
+   * @param {number} level - Starting level
+   * @param {string} mode - Game mode
+   */
+  start(seed, level, mode) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      level,
+      mode,
+      step: gameState.config.simulationStep,
+      drops: [],
+      track: {
+        placements: [],
+        samples: []
+      },
+      createdAt: new Date().toISOString()
+    };
+    this.recordSample(0);
+  }
+
+  /**
+   * Carries on recording a run continued from a saved game
+   * @param {Object} replay - Replay recorded up to the point the game was saved
+   */
+  resume(replay) {
+    this.replay = replay;
+  }
+
+  /**
+   * Records a drop at the given simulation tick
+   * @param {number} tick - Simulation tick the drop happened on
+   * @param {Object} result - Result object from dropBlock
+   */
+  recordDrop(tick, result) {
+    if (!this.replay) return;
+    
+    this.replay.drops.push(tick);
+    
+    // Keep what the ghost needs to redraw the tower without re-simulating
+    if (result.success) {
+      const block = gameState.tower[gameState.tower.length - 1];
+      
+      // The dropped block is still flying in, so record where it comes to rest
+      this.replay.track.placements.push({
+        tick,
+        x: block.isLanding ? block.landingX : block.position.x,
+        y: block.isLanding ? block.landingY : block.position.y,
+        width: block.width,
+        color: block.color,
+        score: gameState.score
+      });
+      this.recordSample(tick);
+    }
+  }
+
+  /**
+   * Samples the moving block for the ghost track (called every simulation step)
+   */
+  recordFrame() {
+    if (this.replay && gameState.tick % GHOST_SAMPLE_TICKS === 0) {
+      this.recordSample(gameState.tick);
+    }
+  }
+
+  /**
+   * Adds the current moving block position to the ghost track
+   * @param {number} tick - Simulation tick of the sample
+   */
+  recordSample(tick) {
+    const block = gameState.currentBlock;
+    if (!block || !block.isMoving) return;
+    
+    const round = value => Math.round(value * 10) / 10;
+    this.replay.track.samples.push([tick, round(block.position.x), round(block.position.y), round(block.width)]);
+  }
+
+  /**
+   * Stops recording and returns the finished replay
+   * @param {Object} result - Final run statistics (score, blocksPlaced, level, endTick)
+   * @returns {Object|null} Finished replay, or null if nothing was recording
+   */
+  finish(result) {
+    if (!this.replay) return null;
+    
+    this.replay.result = { ...result };
+    this.lastReplay = this.replay;
+    this.replay = null;
+    
+    return this.lastReplay;
+  }
+
+  /**
+   * Drops the run being recorded without keeping it
+   */
+  cancel() {
+    this.replay = null;
+  }
+
+  /**
+   * Checks whether a run is being recorded
+   * @returns {boolean} Whether recording is active
+   */
+  isRecording() {
+    return this.replay !== null;
+  }
+}
+
+/**
+ * Plays back a recorded replay through the normal game loop
+ * @class
+ */
+class ReplayPlayer {
+  /**
+   * Create a new replay player
+   * @param {Object} replay - Replay to play back
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.dropIndex = 0;
+    this.speed = 1;
+    this.isPaused = false;
+  }
+
+  /**
+   * Restarts the replay from its first tick
+   */
+  restart() {
+    hideAllOverlays();
+    initGame(this.replay.level, this.replay.seed, this.replay.mode || 'classic');
+    this.dropIndex = 0;
+  }
+
+  /**
+   * Feeds every drop scheduled up to the current tick into the game
+   */
+  applyDueDrops() {
+    const drops = this.replay.drops;
+    while (this.dropIndex < drops.length && drops[this.dropIndex] <= gameState.tick) {
+      this.dropIndex++;
+      if (gameState.isActive) {
+        performDrop();
+      }
+    }
+  }
+
+  /**
+   * Advances playback for the elapsed frame time
+   * @param {number} frameTime - Wall-clock time since the previous frame in ms
+   * @returns {number} Interpolation factor (0-1) for rendering
+   */
+  advance(frameTime) {
+    if (this.isPaused) return 1;
+    
+    const alpha = advanceSimulation(frameTime * this.speed, () => this.applyDueDrops());
+    this.applyDueDrops();
+    
+    return alpha;
+  }
+
+  /**
+   * Jumps to a tick, restarting and fast-forwarding as needed
+   * @param {number} targetTick - Tick to jump to
+   */
+  seek(targetTick) {
+    if (targetTick < gameState.tick) {
+      this.restart();
+    }
+    
+    // Fast-forward silently; drops are keyed to ticks, so skipping pauses is safe
+    const audioManager = getAudioManager();
+    const wasMuted = audioManager ? audioManager.isMuted : true;
+    if (audioManager) audioManager.isMuted = true;
+    
+    const step = gameState.config.simulationStep;
+    while (gameState.tick < targetTick && gameState.isActive) {
+      this.applyDueDrops();
+      updateGame(step);
+    }
+    this.applyDueDrops();
+    
+    if (audioManager) audioManager.isMuted = wasMuted;
+  }
+
+  /**
+   * Sets the playback speed multiplier
+   * @param {number} speed - Speed multiplier (e.g. 0.5, 1, 2)
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.1, speed);
+  }
+
+  /**
+   * Toggles playback pause
+   * @returns {boolean} Whether playback is now paused
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    return this.isPaused;
+  }
+
+  /**
+   * Gets the total length of the replay in ticks
+   * @returns {number} Final tick of the replay
+   */
+  getDuration() {
+    const drops = this.replay.drops;
+    const lastDrop = drops.length > 0 ? drops[drops.length - 1] : 0;
+    return Math.max(lastDrop, this.replay.result ? this.replay.result.endTick : 0);
+  }
+}
+
+// Global replay instances
+let replayRecorder = null;
+let replayPlayer = null;
+
+/**
+ * Gets the replay recorder for live runs
+ * @returns {ReplayRecorder} Current recorder
+ */
+function getReplayRecorder() {
+  if (!replayRecorder) {
+    replayRecorder = new ReplayRecorder();
+  }
+  return replayRecorder;
+}
+
+/**
+ * Gets the active replay player
+ * @returns {ReplayPlayer|null} Active player, or null when playing live
+ */
+function getReplayPlayer() {
+  return replayPlayer;
+}
+
+/**
+ * Starts playing back a replay
+ * @param {Object} replay - Replay to play
+ * @returns {ReplayPlayer} Active player
+ */
+function startReplayPlayback(replay) {
+  getReplayRecorder().cancel();
+  replayPlayer = new ReplayPlayer(replay);
+  replayPlayer.restart();
+  return replayPlayer;
+}
+
+/**
+ * Stops replay playback and returns to live play
+ */
+function stopReplayPlayback() {
+  replayPlayer = null;
+}
+
+/**
+ * Saves a replay to the list of recent replays
+ * @param {Object} replay - Replay to save
+ * @returns {boolean} Success status
+ */
+function saveReplay(replay) {
+  const replays = loadReplays();
+  replays.unshift(replay);
+  replays.splice(MAX_STORED_REPLAYS);
+  return StorageManager.save(REPLAY_STORAGE_KEY, replays);
+}
+
+/**
+ * Loads saved replays, most recent first
+ * @returns {Array} Array of replay objects
+ */
+function loadReplays() {
+  return StorageManager.load(REPLAY_STORAGE_KEY, []);
+}
+
+/**
+ * Parses and validates replay JSON
+ * @param {string} text - Replay JSON text
+ * @returns {Object} Validated replay
+ * @throws {Error} If the text is not a valid replay
+ */
+function parseReplay(text) {
+  const replay = JSON.parse(text);
+  
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+  }
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.level)) {
+    throw new Error('Replay is missing its seed or starting level');
+  }
+  if (!Array.isArray(replay.drops) || replay.drops.some((tick, i) =>
+    !Number.isInteger(tick) || (i > 0 && tick < replay.drops[i - 1]))) {
+    throw new Error('Replay drops must be an ascending list of ticks');
+  }
+  
+  return replay;
+}
+
+/**
+ * Downloads a replay as a JSON file
+ * @param {Object} replay - Replay to export
+ */
+function exportReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stack-hero-replay-${replay.seed}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  
+  URL.revokeObjectURL(url);
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPLAY_VERSION,
+    ReplayRecorder,
+    ReplayPlayer,
+    getReplayRecorder,
+    getReplayPlayer,
+    startReplayPlayback,
+    stopReplayPlayback,
+    saveReplay,
+    loadReplays,
+    parseReplay,
+    exportReplay
+  };
+} else {
+  window.ReplayRecorder = ReplayRecorder;
+  window.ReplayPlayer = ReplayPlayer;
+  window.getReplayRecorder = getReplayRecorder;
+  window.getReplayPlayer = getReplayPlayer;
+  window.startReplayPlayback = startReplayPlayback;
+  window.stopReplayPlayback = stopReplayPlayback;
+  window.saveReplay = saveReplay;
+  window.loadReplays = loadReplays;
+  window.parseReplay = parseReplay;
+  window.exportReplay = exportReplay;
+}
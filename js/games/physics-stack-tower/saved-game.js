@@ -0,0 +1,146 @@
+/**
+ * @file saved-game.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * The run in progress, saved so the player can continue it from the main
+ * menu. A saved game wraps the core's state snapshot with what the page
+ * needs to pick the run back up: the level pack being played, the replay
+ * being recorded and the run's experience and daily attempt.
+ *
+ * @dependencies
+ * - levels.js: Level pack validation
+ * - storage.js: Saved game persistence
+ */
+
+/**
+ * Storage key for the saved game
+ * @constant
+ * @type {string}
+ */
+const SAVED_GAME_KEY = 'physicsStackTower_currentGame';
+
+/**
+ * Version of the saved game format; saves of any other version are thrown away
+ * @constant
+ * @type {number}
+ */
+const SAVED_GAME_VERSION = 1;
+
+/**
+ * Builds a saved game from a state snapshot and the page's part of the run
+ * @param {Object} state - Game state from serializeState
+ * @param {Object} run - Page state to keep with it
+ * @param {string} run.launch - Page URL query the run was started from, such as '?mode=endless'
+ * @param {Object} run.levelPack - Level pack being played, or null for the built-in levels
+ * @param {Object} run.replay - Replay recorded so far, or null if the run isn't being recorded
+ * @param {Object} run.progress - Run bookkeeping the page restores as it was
+ * @returns {Object} Saved game
+ */
+function createSavedGame(state, { launch = '', levelPack = null, replay = null, progress = {} } = {}) {
+  return {
+    version: SAVED_GAME_VERSION,
+    savedAt: new Date().toISOString(),
+    state,
+    launch,
+    levelPack,
+    replay,
+    progress
+  };
+}
+
+/**
+ * Checks stored data is a saved game this version of the game can continue
+ * @param {*} data - Stored data
+ * @returns {Object|null} The saved game, or null if it is missing, of another version or malformed
+ */
+function readSavedGame(data) {
+  if (!data || typeof data !== 'object' || data.version !== SAVED_GAME_VERSION) return null;
+  if (!data.state || typeof data.state !== 'object' || !data.state.isActive) return null;
+  
+  // The pack is checked again in case the level pack format has changed since
+  if (data.levelPack) {
+    try {
+      parseLevelPack(JSON.stringify(data.levelPack));
+    } catch (error) {
+      return null;
+    }
+  }
+  return data;
+}
+
+/**
+ * Loads the saved game
+ * @returns {Object|null} Saved game, or null if there is none that can be continued
+ */
+function loadSavedGame() {
+  return readSavedGame(StorageManager.load(SAVED_GAME_KEY));
+}
+
+/**
+ * Saves a game, replacing any saved before it
+ * @param {Object} savedGame - Saved game from createSavedGame
+ */
+function storeSavedGame(savedGame) {
+  StorageManager.save(SAVED_GAME_KEY, savedGame);
+}
+
+/**
+ * Forgets the saved game, once its run has ended
+ */
+function clearSavedGame() {
+  StorageManager.remove(SAVED_GAME_KEY);
+}
+
+/**
+ * Builds the game page URL that continues a saved game, keeping the mode
+ * and level pack it was started with for when the player plays again
+ * @param {Object} savedGame - Saved game
+ * @param {string} page - Game page path (default: from the main menu)
+ * @returns {string} URL of the game page
+ */
+function getContinueUrl(savedGame, page = 'games/physics-stack-tower/index.html') {
+  const params = new URLSearchParams(savedGame.launch);
+  params.set('continue', '1');
+  return `${page}?${params}`;
+}
+
+/**
+ * Describes a saved game for the main menu's Continue button
+ * @param {Object} savedGame - Saved game
+ * @returns {Object} What the run was ({ mode, level, score, packName, savedAt })
+ */
+function describeSavedGame(savedGame) {
+  return {
+    mode: savedGame.state.mode || 'classic',
+    level: savedGame.state.level,
+    score: savedGame.state.score,
+    packName: savedGame.levelPack ? savedGame.levelPack.name : null,
+    savedAt: savedGame.savedAt
+  };
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAVED_GAME_VERSION,
+    createSavedGame,
+    readSavedGame,
+    loadSavedGame,
+    storeSavedGame,
+    clearSavedGame,
+    getContinueUrl,
+    describeSavedGame
+  };
+} else {
+  window.SAVED_GAME_VERSION = SAVED_GAME_VERSION;
+  window.createSavedGame = createSavedGame;
+  window.readSavedGame = readSavedGame;
+  window.loadSavedGame = loadSavedGame;
+  window.storeSavedGame = storeSavedGame;
+  window.clearSavedGame = clearSavedGame;
+  window.getContinueUrl = getContinueUrl;
+  window.describeSavedGame = describeSavedGame;
+}
@@ -0,0 +1,417 @@
+/**
+ * @file level-editor.js
+ * @game Stack Hero - Level Editor
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Level editor for the Stack Hero platform. Edits a level definition with
+ * sliders, checks it against the level schema as it changes, plays it in
+ * a live preview running the real game core and renderer, and imports and
+ * exports it as level pack JSON.
+ *
+ * @dependencies
+ * - levels.js: Level schema, built-in levels and level packs
+ * - mechanics.js: Special mechanics and their settings
+ * - core.js: Game state and simulation for the preview
+ * - physics.js: Physics engine for the preview
+ * - renderer.js: Canvas rendering for the preview
+ * - pack-library.js: Level pack file names
+ * - helpers.js: Escaping imported level names
+ */
+
+/**
+ * Level fields the editor shows, in order. Their inputs and ranges come
+ * from LEVEL_SCHEMA.
+ * @constant
+ * @type {Array}
+ */
+const EDITOR_FIELDS = [
+    { path: 'name', label: 'Name' },
+    { path: 'description', label: 'Description' },
+    { path: 'difficulty', label: 'Difficulty (stars)' },
+    { path: 'blocksToComplete', label: 'Blocks to complete' },
+    { path: 'blockSpeed', label: 'Block speed (px per ms)' },
+    { path: 'blockWidthRange.min', label: 'Narrowest block (px)' },
+    { path: 'blockWidthRange.max', label: 'Widest block (px)' },
+    { path: 'perfectThreshold', label: 'Perfect threshold (share of overlap)' },
+    { path: 'speedIncrease', label: 'Speed increase' },
+    { path: 'spawnPattern', label: 'Spawn pattern' }
+];
+
+// Game time the preview waits after a game ends before it starts again, in ms
+const PREVIEW_RESTART_DELAY = 1500;
+
+// Level being edited, as it would be written in a level pack
+let editorLevel = null;
+
+// Levels of the last imported pack, to pick from
+let importedLevels = [];
+
+// Wall-clock time since the preview game ended, in ms
+let previewEndedFor = 0;
+
+/**
+ * Looks up the schema rule of a level field
+ * @param {string} path - Field path, with nested fields separated by dots ('blockWidthRange.min')
+ * @returns {Object} Schema rule
+ */
+function getSchemaRule(path) {
+    const [field, nested] = path.split('.');
+    return nested ? LEVEL_SCHEMA[field].fields[nested] : LEVEL_SCHEMA[field];
+}
+
+/**
+ * Reads a field of a level
+ * @param {Object} level - Level definition
+ * @param {string} path - Field path
+ * @returns {*} Field value
+ */
+function getFieldValue(level, path) {
+    return path.split('.').reduce((value, key) => value?.[key], level);
+}
+
+/**
+ * Writes a field of a level
+ * @param {Object} level - Level definition
+ * @param {string} path - Field path
+ * @param {*} value - New value
+ */
+function setFieldValue(level, path, value) {
+    const [field, nested] = path.split('.');
+    if (nested) {
+        level[field] = { ...level[field], [nested]: value };
+    } else {
+        level[field] = value;
+    }
+}
+
+/**
+ * Picks a slider step that gives about a hundred stops across a numeric range
+ * @param {Object} rule - Numeric schema rule or mechanic setting ({ min, max })
+ * @returns {number} Slider step
+ */
+function getSliderStep(rule) {
+    if (rule.type === 'integer') return 1;
+    
+    // Built from its exponent, as 10 ** -4 is not exactly 0.0001
+    return Number(`1e${Math.floor(Math.log10((rule.max - rule.min) / 100))}`);
+}
+
+/**
+ * Builds a labelled input row for a level field or mechanic setting
+ * @param {string} id - Input id
+ * @param {string} label - Label text
+ * @param {Object} rule - Schema rule or mechanic setting of the value
+ * @param {*} value - Current value
+ * @param {Function} onChange - Called with the new value as it changes
+ * @returns {HTMLElement} Row element
+ */
+function createInputRow(id, label, rule, value, onChange) {
+    const row = document.createElement('div');
+    row.className = 'editor-row';
+    row.innerHTML = `<label class="editor-label" for="${id}">${label}</label>`;
+    
+    let input;
+    if (rule.oneOf) {
+        input = document.createElement('select');
+        input.innerHTML = rule.oneOf
+            .map(option => `<option value="${option}" title="${SPAWN_PATTERNS[option] || ''}">${option}</option>`)
+            .join('');
+        input.value = value;
+        input.addEventListener('change', () => onChange(input.value));
+    } else if (rule.type === 'string') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.value = value || '';
+        input.addEventListener('input', () => onChange(input.value));
+    } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = rule.min;
+        input.max = rule.max;
+        input.step = getSliderStep(rule);
+        input.value = value;
+        
+        const output = document.createElement('output');
+        output.className = 'editor-value';
+        output.htmlFor = id;
+        output.textContent = value;
+        input.addEventListener('input', () => {
+            output.textContent = input.value;
+            onChange(Number(input.value));
+        });
+        row.appendChild(output);
+    }
+    
+    input.id = id;
+    input.className = 'editor-input';
+    row.insertBefore(input, row.querySelector('output'));
+    return row;
+}
+
+/**
+ * Build the inputs for the level's own fields
+ */
+function renderEditorFields() {
+    const container = document.getElementById('editorFields');
+    container.replaceChildren(...EDITOR_FIELDS.map(({ path, label }) => {
+        const rule = getSchemaRule(path);
+        return createInputRow(`field-${path.replace('.', '-')}`, label, rule, getFieldValue(editorLevel, path), value => {
+            setFieldValue(editorLevel, path, value);
+            updateEditorLevel();
+        });
+    }));
+}
+
+/**
+ * Build a card for each of the level's mechanics with sliders for its settings
+ */
+function renderEditorMechanics() {
+    const container = document.getElementById('editorMechanics');
+    
+    container.replaceChildren(...editorLevel.mechanics.map((entry, index) => {
+        const mechanic = MECHANICS[entry.type];
+        const card = document.createElement('div');
+        card.className = 'editor-mechanic';
+        card.innerHTML = `
+            <div class="editor-mechanic-header">
+                <span class="editor-mechanic-name">${entry.type}</span>
+                <button type="button" class="editor-remove" aria-label="Remove ${entry.type}">✕</button>
+            </div>
+            <p class="editor-mechanic-description">${mechanic.description}</p>
+        `;
+        card.querySelector('.editor-remove').addEventListener('click', () => {
+            editorLevel.mechanics.splice(index, 1);
+            renderEditorMechanics();
+            updateEditorLevel();
+        });
+        
+        Object.entries(mechanic.settings).forEach(([name, setting]) => {
+            const rule = { type: 'number', ...setting };
+            card.appendChild(createInputRow(`mechanic-${index}-${name}`, name, rule, entry[name] ?? setting.default, value => {
+                entry[name] = value;
+                updateEditorLevel();
+            }));
+        });
+        return card;
+    }));
+}
+
+/**
+ * Loads a level into the editor and restarts the preview with it
+ * @param {Object} level - Level configuration or definition
+ */
+function loadEditorLevel(level) {
+    // Levels are numbered by their place in a pack, so the edited level has no id
+    const { id, ...definition } = JSON.parse(JSON.stringify(level));
+    editorLevel = { mechanics: [], ...definition };
+    
+    renderEditorFields();
+    renderEditorMechanics();
+    updateEditorLevel();
+    restartPreview();
+}
+
+/**
+ * Checks the edited level, shows its JSON and any errors, and plays it in the preview if it is valid
+ */
+function updateEditorLevel() {
+    const errors = validateLevel(editorLevel);
+    const errorList = document.getElementById('editorErrors');
+    errorList.replaceChildren(...errors.map(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        return item;
+    }));
+    errorList.hidden = errors.length === 0;
+    document.getElementById('editorJson').textContent = JSON.stringify(editorLevel, null, 4);
+    
+    // An invalid level keeps the last valid one playing
+    if (errors.length === 0) {
+        applyPreviewLevel();
+    }
+}
+
+/**
+ * Wraps the edited level in a level pack of its own
+ * @returns {Object} Level pack definition
+ */
+function createEditorPack() {
+    return {
+        version: LEVEL_PACK_VERSION,
+        name: editorLevel.name || 'Untitled level',
+        levels: [editorLevel]
+    };
+}
+
+/**
+ * Plays the edited level in the running preview; blocks generated from now on follow it
+ */
+function applyPreviewLevel() {
+    setActiveLevelPack(parseLevelPack(JSON.stringify(createEditorPack())));
+    
+    gameState.currentLevelConfig = getLevelConfig(gameState.level);
+    gameState.currentLevelParams = calculateLevelParameters(gameState.level);
+    gameState.perfectThreshold = gameState.currentLevelParams.perfectThreshold;
+}
+
+/**
+ * Starts a new preview game on the edited level
+ */
+function restartPreview() {
+    previewEndedFor = 0;
+    initGame(1, createSeed(), 'classic');
+}
+
+/**
+ * Drops the preview's moving block
+ */
+function dropPreviewBlock() {
+    if (gameState.isActive) {
+        dropBlock();
+    }
+}
+
+/**
+ * Runs the preview on the game's fixed-step simulation and renderer
+ */
+function startPreviewLoop() {
+    let lastTime = performance.now();
+    
+    function previewLoop(currentTime) {
+        const frameTime = currentTime - lastTime;
+        lastTime = currentTime;
+        
+        const alpha = advanceSimulation(frameTime);
+        getRenderer().render(currentTime, alpha);
+        
+        // Start over a moment after the game ends, so the level can be played again and again
+        previewEndedFor = gameState.isActive ? 0 : previewEndedFor + frameTime;
+        if (previewEndedFor > PREVIEW_RESTART_DELAY) {
+            restartPreview();
+        }
+        
+        requestAnimationFrame(previewLoop);
+    }
+    
+    requestAnimationFrame(previewLoop);
+}
+
+/**
+ * Downloads the edited level as a .stackpack level pack file, ready to import on the main menu
+ */
+function exportEditorLevel() {
+    const pack = createEditorPack();
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getPackFileName(pack);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads the levels from level pack JSON, or from the JSON of a single level definition
+ * @param {string} text - JSON text
+ * @returns {Array} Validated levels
+ * @throws {Error} If the JSON is not a valid level or level pack
+ */
+function parseEditorImport(text) {
+    const data = JSON.parse(text);
+    
+    // A single level is checked as a pack of its own
+    const pack = data && data.levels ? data : { version: LEVEL_PACK_VERSION, name: 'Imported level', levels: [data] };
+    return parseLevelPack(JSON.stringify(pack)).levels;
+}
+
+/**
+ * Lists the levels of an imported pack to pick from
+ */
+function renderImportedLevels() {
+    const select = document.getElementById('editorImported');
+    select.innerHTML = importedLevels
+        .map((level, index) => `<option value="${index}">${index + 1}: ${Helpers.escapeHtml(level.name)}</option>`)
+        .join('');
+    select.parentElement.hidden = importedLevels.length < 2;
+}
+
+/**
+ * Set up the editor's inputs, buttons and preview
+ */
+function setupLevelEditor() {
+    const canvas = document.getElementById('gameCanvas');
+    if (!canvas) return;
+    
+    initPhysicsEngine({
+        gravity: 0.5,
+        friction: 0.8,
+        bounce: 0.3,
+        stabilityThreshold: 0.3
+    });
+    initRenderer(canvas, { blockHeight: 30, shadowOffset: 3, animationSpeed: 0.1, particleCount: 20 });
+    
+    // Draw in game coordinates and let CSS scale the canvas to the panel, as the game page does
+    canvas.width = gameState.config.canvasWidth;
+    canvas.height = gameState.config.canvasHeight;
+    
+    const template = document.getElementById('editorTemplate');
+    template.innerHTML = LEVELS
+        .map(level => `<option value="${level.id}">Level ${level.id}: ${level.name}</option>`)
+        .join('');
+    template.addEventListener('change', () => loadEditorLevel(getLevelConfig(Number(template.value))));
+    
+    const mechanicType = document.getElementById('editorMechanicType');
+    mechanicType.innerHTML = Object.keys(MECHANICS)
+        .map(type => `<option value="${type}">${type}</option>`)
+        .join('');
+    document.getElementById('editorAddMechanic').addEventListener('click', () => {
+        editorLevel.mechanics.push({ type: mechanicType.value, ...getMechanicSettings({ type: mechanicType.value }) });
+        renderEditorMechanics();
+        updateEditorLevel();
+    });
+    
+    const importInput = document.getElementById('editorImportInput');
+    document.getElementById('editorImportBtn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        
+        try {
+            importedLevels = parseEditorImport(await file.text());
+            renderImportedLevels();
+            loadEditorLevel(importedLevels[0]);
+        } catch (error) {
+            console.error('Failed to import level:', error);
+            alert(`Could not import level: ${error.message}`);
+        }
+    });
+    document.getElementById('editorImported').addEventListener('change', event => {
+        loadEditorLevel(importedLevels[Number(event.target.value)]);
+    });
+    document.getElementById('editorExportBtn').addEventListener('click', exportEditorLevel);
+    document.getElementById('editorRestartBtn').addEventListener('click', restartPreview);
+    
+    // Drop with a click on the preview, or Space anywhere but in the form
+    canvas.addEventListener('click', dropPreviewBlock);
+    document.addEventListener('keydown', event => {
+        if (event.code === 'Space' && !event.target.closest('input, select, button, textarea')) {
+            event.preventDefault();
+            dropPreviewBlock();
+        }
+    });
+    
+    loadEditorLevel(LEVELS[0]);
+    startPreviewLoop();
+}
+
+/**
+ * Initialize the editor when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', setupLevelEditor);
@@ -6,9 +6,25 @@
  *
  * @description
  * Main menu functionality for the Stack Hero platform.
- * Handles game statistics loading and game info display.
+ * Handles game statistics loading, the player rank, the level select
+ * screen, the daily challenge calendar, the challenge selector, the level
+ * pack library, continuing a saved game and game info display.
+ *
+ * @dependencies
+ * - levels.js: Level and challenge mode configurations
+ * - mechanics.js: Descriptions of the levels' special mechanics
+ * - daily.js: Daily challenge results and streaks
+ * - progress.js: Level progress and unlocks
+ * - pack-library.js: Imported level packs and their best scores
+ * - saved-game.js: The game in progress, to continue
+ * - profile.js: Experience points and player ranks
+ * - achievements.js: Achievement definitions and unlocks
+ * - helpers.js: Escaping text from imported level packs
  */
 
+// Month shown in the daily challenge calendar
+let calendarMonth = new Date();
+
 /**
  * Load and display game statistics from localStorage
  */
@@ -25,6 +41,365 @@ function loadGameStats() {
     }
     
     document.getElementById('gamesPlayed').textContent = gamesPlayed;
+    
+    // Endless runs keep their own leaderboard
+    const endlessScores = JSON.parse(localStorage.getItem('physicsStackTower_endlessHighScores') || '[]');
+    if (endlessScores.length > 0) {
+        const best = endlessScores[0];
+        document.getElementById('endlessBest').textContent = `${best.score.toLocaleString()} (Lv ${best.level})`;
+    }
+    
+    const achievementCount = document.getElementById('achievementCount');
+    if (achievementCount) {
+        const unlockedCount = Object.keys(loadUnlockedAchievements()).length;
+        achievementCount.textContent = `(${unlockedCount}/${ACHIEVEMENTS.length})`;
+    }
+}
+
+/**
+ * Show the Continue button when there is a saved game, with what the run was
+ */
+function renderContinueButton() {
+    const continueBtn = document.getElementById('continueBtn');
+    if (!continueBtn) return;
+    
+    const savedGame = loadSavedGame();
+    if (!savedGame) {
+        continueBtn.style.display = 'none';
+        return;
+    }
+    
+    const run = describeSavedGame(savedGame);
+    const challenge = window.LevelManager && window.LevelManager.CHALLENGE_MODES[run.mode];
+    let modeName = run.mode === 'endless' ? 'Endless' : 'Classic';
+    if (challenge) modeName = challenge.name;
+    if (run.packName) modeName = run.packName;
+    
+    // Pack names come from other players, so they are set as text
+    document.getElementById('continueDetail').textContent =
+        `${modeName} · Level ${run.level} · ${run.score.toLocaleString()} pts`;
+    continueBtn.href = getContinueUrl(savedGame);
+    continueBtn.style.display = '';
+}
+
+/**
+ * Show the player's rank and progress towards the next one
+ */
+function renderPlayerRank() {
+    const rankElement = document.getElementById('playerRank');
+    if (!rankElement) return;
+    
+    const totalXP = loadPlayerProfile().xp;
+    const rankProgress = getRankProgress(totalXP);
+    const percent = Math.round(rankProgress.progress * 100);
+    
+    rankElement.textContent = `${rankProgress.rank.icon} ${rankProgress.rank.name}`;
+    document.getElementById('playerXp').textContent = `${totalXP.toLocaleString()} XP`;
+    document.getElementById('rankBarFill').style.width = `${percent}%`;
+    document.getElementById('rankBar').setAttribute('aria-valuenow', percent);
+    document.getElementById('rankNext').textContent = rankProgress.nextRank
+        ? `${(rankProgress.xpForRank - rankProgress.xpIntoRank).toLocaleString()} XP to ${rankProgress.nextRank.name}`
+        : 'Top rank reached!';
+}
+
+/**
+ * Build the level select screen from the levels and the player's progress
+ */
+function renderLevelSelect() {
+    const levelList = document.getElementById('levelList');
+    if (!levelList || !window.LevelManager) return;
+    
+    levelList.innerHTML = getLevelSelectEntries().map(entry => {
+        const level = entry.level;
+        const stars = '★'.repeat(level.difficulty) + '☆'.repeat(5 - level.difficulty);
+        const best = entry.bestScore !== null ? `Best: ${entry.bestScore.toLocaleString()}` : 'Not played yet';
+        const classes = ['level-card'];
+        if (!entry.unlocked) classes.push('locked');
+        if (entry.completed) classes.push('completed');
+        
+        const content = `
+            <span class="level-number">${entry.unlocked ? level.id : '🔒'}</span>
+            <span class="level-details">
+                <span class="level-name">${level.name}</span>
+                <span class="level-description">${level.description}</span>
+                <span class="level-mechanics">${describeMechanics(level)}</span>
+            </span>
+            <span class="level-meta">
+                <span class="level-stars" aria-label="Difficulty ${level.difficulty} of 5">${stars}</span>
+                <span class="level-best">${entry.unlocked ? best : `Complete level ${level.id - 1} to unlock`}</span>
+            </span>
+        `;
+        
+        // Locked levels are listed but cannot be started
+        return entry.unlocked
+            ? `<a href="games/physics-stack-tower/index.html?level=${level.id}" class="${classes.join(' ')}">${content}</a>`
+            : `<div class="${classes.join(' ')}" aria-disabled="true">${content}</div>`;
+    }).join('');
+}
+
+/**
+ * Build the challenge mode selector from the challenge definitions
+ */
+function renderChallengeSelect() {
+    const challengeList = document.getElementById('challengeList');
+    if (!challengeList || !window.LevelManager) return;
+    
+    // The daily challenge has its own panel
+    const challenges = window.LevelManager.CHALLENGE_MODES;
+    const types = Object.keys(challenges).filter(type => type !== 'daily');
+    challengeList.innerHTML = types.map(type => {
+        const challenge = challenges[type];
+        const scores = JSON.parse(localStorage.getItem(`physicsStackTower_${type}HighScores`) || '[]');
+        const best = scores.length > 0 ? `Best: ${scores[0].score.toLocaleString()}` : 'Not played yet';
+        
+        return `
+            <a href="games/physics-stack-tower/index.html?mode=${type}" class="challenge-card">
+                <span class="challenge-name">${challenge.name}</span>
+                <span class="challenge-description">${challenge.description}</span>
+                <span class="challenge-rules">${describeChallengeRules(challenge.specialRules)}</span>
+                <span class="challenge-best">${best}</span>
+            </a>
+        `;
+    }).join('');
+}
+
+/**
+ * Show today's challenge, the player's streaks and the results calendar
+ */
+function renderDailyPanel() {
+    const dailyToday = document.getElementById('dailyToday');
+    const dailyPlayBtn = document.getElementById('dailyPlayBtn');
+    if (!dailyToday || !window.LevelManager) return;
+    
+    const today = window.LevelManager.generateDailyChallenge();
+    const results = loadDailyResults();
+    const streaks = calculateDailyStreaks(results, today.dateKey);
+    const todayResult = results[today.dateKey];
+    
+    dailyToday.textContent = `${today.name}: ${today.description}`;
+    document.getElementById('dailyStreak').textContent = `🔥 ${streaks.current} day streak`;
+    document.getElementById('dailyBestStreak').textContent = `Best: ${streaks.best}`;
+    
+    // After the official attempt the button offers practice runs
+    if (todayResult && dailyPlayBtn) {
+        dailyPlayBtn.querySelector('.btn-text').textContent =
+            `Played today (${todayResult.score.toLocaleString()}) · Practice`;
+    }
+    
+    renderDailyCalendar(results, today.dateKey);
+}
+
+/**
+ * Draw the month calendar of official daily results
+ * @param {Object} results - Daily results keyed by date
+ * @param {string} todayKey - Today's date key
+ */
+function renderDailyCalendar(results, todayKey) {
+    const grid = document.getElementById('calendarGrid');
+    const monthLabel = document.getElementById('calendarMonth');
+    if (!grid || !monthLabel) return;
+    
+    const year = calendarMonth.getFullYear();
+    const month = calendarMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = new Date(year, month, 1).getDay();
+    
+    monthLabel.textContent = calendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    
+    const cells = ['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(day => `<span class="calendar-weekday">${day}</span>`);
+    for (let i = 0; i < leadingBlanks; i++) {
+        cells.push('<span class="calendar-day empty"></span>');
+    }
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateKey = window.LevelManager.getDateKey(new Date(year, month, day));
+        const result = results[dateKey];
+        const classes = ['calendar-day'];
+        let title = dateKey;
+        
+        if (result) {
+            classes.push(result.status);
+            title += ` · ${result.challenge}: ${result.status}, ${result.score.toLocaleString()} points`;
+        }
+        if (dateKey === todayKey) classes.push('today');
+        
+        cells.push(`<span class="${classes.join(' ')}" title="${title}">${day}</span>`);
+    }
+    
+    grid.innerHTML = cells.join('');
+}
+
+/**
+ * Move the daily calendar by a number of months
+ * @param {number} offset - Months to move (negative for earlier)
+ */
+function changeCalendarMonth(offset) {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + offset, 1);
+    renderDailyCalendar(loadDailyResults(), window.LevelManager.getDateKey());
+}
+
+/**
+ * Summarize a challenge's rules for its selector card
+ * @param {Object} rules - Challenge special rules
+ * @returns {string} Short rule summary
+ */
+function describeChallengeRules(rules) {
+    const parts = [];
+    
+    if (rules.blocks) parts.push(`${rules.blocks} blocks`);
+    if (rules.timeLimit) {
+        const seconds = (rules.timeLimit % 60).toString().padStart(2, '0');
+        parts.push(`${Math.floor(rules.timeLimit / 60)}:${seconds} limit`);
+    }
+    if (rules.perfectOnly || rules.allowMiss === false) parts.push('perfect drops only');
+    if (rules.blockWidth) parts.push(`${rules.blockWidth}px blocks`);
+    if (rules.speedMultiplier) parts.push(`${rules.speedMultiplier}x speed`);
+    
+    return parts.join(' · ');
+}
+
+/**
+ * Build the list of imported level packs with their own best scores
+ */
+function renderPackLibrary() {
+    const packList = document.getElementById('packList');
+    if (!packList) return;
+    
+    const entries = getPackLibraryEntries();
+    if (entries.length === 0) {
+        packList.innerHTML = '<p class="pack-empty">No level packs yet.</p>';
+        return;
+    }
+    
+    // Packs come from other players, so everything they name is escaped
+    packList.innerHTML = entries.map(entry => {
+        const pack = entry.pack;
+        const levelCount = `${pack.levels.length} level${pack.levels.length === 1 ? '' : 's'}`;
+        const best = entry.bestScore !== null ? `Best: ${entry.bestScore.toLocaleString()}` : 'Not played yet';
+        
+        return `
+            <div class="pack-card" data-pack-id="${entry.id}">
+                <span class="pack-name">${Helpers.escapeHtml(pack.name)}</span>
+                ${pack.author ? `<span class="pack-author">by ${Helpers.escapeHtml(pack.author)}</span>` : ''}
+                ${pack.description ? `<span class="pack-description">${Helpers.escapeHtml(pack.description)}</span>` : ''}
+                <span class="pack-meta">${levelCount} · ${entry.levelsCompleted} completed</span>
+                <span class="pack-best">${best}</span>
+                <span class="pack-actions">
+                    <a href="games/physics-stack-tower/index.html?library=${entry.id}" class="pack-action">▶️ Play</a>
+                    <button class="pack-action" data-action="share">🔗 Share</button>
+                    <button class="pack-action" data-action="download">💾 Download</button>
+                    <button class="pack-action" data-action="remove">🗑️ Remove</button>
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the outcome of a pack library action
+ * @param {string} message - Message to show
+ */
+function showPackStatus(message) {
+    document.getElementById('packStatus').textContent = message;
+    document.getElementById('packImportError').hidden = true;
+}
+
+/**
+ * Show why a level pack could not be imported
+ * @param {Error} error - Import error, listing the pack's problems
+ */
+function showPackImportError(error) {
+    console.error('Failed to import level pack:', error);
+    
+    const errorElement = document.getElementById('packImportError');
+    errorElement.textContent = `Could not import the level pack.\n\n${error.message}`;
+    errorElement.hidden = false;
+    document.getElementById('packStatus').textContent = '';
+}
+
+/**
+ * Add an imported level pack to the library and list it
+ * @param {Object} pack - Validated level pack
+ */
+function addImportedPack(pack) {
+    const { isNew } = addPackToLibrary(pack);
+    showPackStatus(isNew ? `Added "${pack.name}" to your library.` : `"${pack.name}" is already in your library.`);
+    renderPackLibrary();
+}
+
+/**
+ * Import the level pack shared in the page URL (#pack=code), if there is one
+ */
+async function importSharedPack() {
+    const match = window.location.hash.match(/^#pack=(.+)$/);
+    if (!match) return;
+    
+    // Drop the code from the address so reloading the menu doesn't import it again
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    
+    try {
+        addImportedPack(await decodeLevelPack(match[1]));
+    } catch (error) {
+        showPackImportError(error);
+    }
+    document.querySelector('.pack-library').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Copy a link that imports a level pack when opened
+ * @param {Object} pack - Level pack to share
+ */
+async function sharePack(pack) {
+    const url = `${window.location.href.split('#')[0]}#pack=${await encodeLevelPack(pack)}`;
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        showPackStatus(`Copied a link to "${pack.name}". Anyone who opens it can add the pack to their library.`);
+    } catch (error) {
+        // The clipboard can be unavailable, so offer the link to copy by hand
+        prompt('Copy this link to share the pack:', url);
+    }
+}
+
+/**
+ * Download a level pack as a .stackpack file
+ * @param {Object} pack - Level pack to download
+ */
+function downloadPack(pack) {
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getPackFileName(pack);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle the share, download and remove buttons of the pack library
+ * @param {Event} event - Click event from the pack list
+ */
+async function handlePackAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = button.closest('.pack-card').dataset.packId;
+    const entry = loadPackLibrary()[id];
+    if (!entry) return;
+    
+    if (button.dataset.action === 'share') {
+        await sharePack(entry.pack);
+    } else if (button.dataset.action === 'download') {
+        downloadPack(entry.pack);
+    } else if (button.dataset.action === 'remove' && confirm(`Remove "${entry.pack.name}" and its best scores from your library?`)) {
+        removePackFromLibrary(id);
+        showPackStatus(`Removed "${entry.pack.name}".`);
+        renderPackLibrary();
+    }
 }
 
 /**
@@ -51,6 +426,39 @@ function showGameInfo() {
  */
 document.addEventListener('DOMContentLoaded', function() {
     loadGameStats();
+    renderContinueButton();
+    renderPlayerRank();
+    renderLevelSelect();
+    renderDailyPanel();
+    renderChallengeSelect();
+    renderPackLibrary();
+    importSharedPack();
+    
+    // Level pack import and library actions
+    const packImportBtn = document.getElementById('packImportBtn');
+    const packImportInput = document.getElementById('packImportInput');
+    if (packImportBtn && packImportInput) {
+        packImportBtn.addEventListener('click', () => packImportInput.click());
+        packImportInput.addEventListener('change', async () => {
+            const file = packImportInput.files[0];
+            packImportInput.value = '';
+            if (!file) return;
+            
+            try {
+                addImportedPack(await loadLevelPack(file));
+            } catch (error) {
+                showPackImportError(error);
+            }
+        });
+    }
+    const packList = document.getElementById('packList');
+    if (packList) packList.addEventListener('click', handlePackAction);
+    
+    // Daily calendar month navigation
+    const calendarPrev = document.getElementById('calendarPrev');
+    const calendarNext = document.getElementById('calendarNext');
+    if (calendarPrev) calendarPrev.addEventListener('click', () => changeCalendarMonth(-1));
+    if (calendarNext) calendarNext.addEventListener('click', () => changeCalendarMonth(1));
     
     // Add click event listener to game info button
     const gameInfoBtn = document.querySelector('.menu-btn-secondary');
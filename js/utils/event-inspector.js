@@ -0,0 +1,347 @@
+/**
+ * @file event-inspector.js
+ * @description Developer tool that logs event bus emissions and replays them
+ * @author Student Name
+ * @date 2025-01-27
+ */
+
+/**
+ * Copies an event payload as it was when emitted, since payloads such as
+ * blocks keep changing afterwards
+ * @param {*} data - Event payload
+ * @returns {*} JSON copy of the payload; objects met again are replaced by '[Repeated]'
+ */
+function snapshotPayload(data) {
+  const seen = new WeakSet();
+  const json = JSON.stringify(data, (key, value) => {
+    if (typeof value === 'object' && value !== null) {
+      if (seen.has(value)) return '[Repeated]';
+      seen.add(value);
+    }
+    return value;
+  });
+  return json === undefined ? null : JSON.parse(json);
+}
+
+/**
+ * Checks an event name against an inspector filter
+ * @param {string} eventName - Event name
+ * @param {string} filter - Comma-separated terms; a term ending in '*' matches names starting with the rest, others match anywhere in the name
+ * @returns {boolean} Whether the name matches (an empty filter matches everything)
+ */
+function matchesEventFilter(eventName, filter) {
+  const terms = filter.split(',').map(term => term.trim()).filter(Boolean);
+  if (terms.length === 0) return true;
+  
+  return terms.some(term => term.endsWith('*')
+    ? eventName.startsWith(term.slice(0, -1))
+    : eventName.includes(term));
+}
+
+/**
+ * Records what event buses emit, in order, so a sequence of events can be
+ * read back, filtered and replayed into another bus
+ * @class
+ */
+class EventInspector {
+  /**
+   * Create a new event inspector
+   * @param {Object} options - Inspector options
+   * @param {number} options.limit - Most entries kept; the oldest are dropped first (default: 1000)
+   * @param {Array} options.ignore - Event names not recorded (default: none)
+   * @param {Function} options.context - Returns extra details recorded with each entry, such as the game tick (default: none)
+   * @param {Function} options.now - Clock in ms (default: performance.now)
+   */
+  constructor({ limit = 1000, ignore = [], context = null, now = () => performance.now() } = {}) {
+    this.limit = limit;
+    this.ignore = ignore;
+    this.context = context;
+    this.now = now;
+    this.startTime = now();
+    this.entries = [];
+    this.nextId = 1;
+    this.isPaused = false;
+    this.missedWhilePaused = 0;
+    this.subscribers = [];
+  }
+
+  /**
+   * Starts recording everything a bus emits
+   * @param {EventSystem} bus - Bus to record
+   * @param {string} source - Name entries from this bus are labelled with
+   * @returns {Function} Stops recording the bus
+   */
+  attach(bus, source) {
+    // Record each event before any listener reacts to it, so nested emissions follow their cause
+    return bus.on('*', (data, eventName) => this.record(eventName, data, source), { priority: Infinity });
+  }
+
+  /**
+   * Records an emission
+   * @param {string} eventName - Event name
+   * @param {*} data - Event payload
+   * @param {string} source - Bus the event was emitted on
+   * @returns {Object|null} Recorded entry ({ id, time, source, name, payload, context }), or null if ignored
+   */
+  record(eventName, data, source) {
+    if (this.ignore.includes(eventName)) return null;
+    
+    const entry = {
+      id: this.nextId++,
+      time: this.now() - this.startTime,
+      source,
+      name: eventName,
+      payload: snapshotPayload(data),
+      context: this.context ? this.context() : null
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    
+    // The log keeps recording while paused; only the view holds still
+    if (this.isPaused) {
+      this.missedWhilePaused++;
+    } else {
+      this.notify();
+    }
+    return entry;
+  }
+
+  /**
+   * Lists the recorded entries, oldest first
+   * @param {string} filter - Event name filter, as for matchesEventFilter (default: every entry)
+   * @returns {Array} Matching entries
+   */
+  getEntries(filter = '') {
+    return this.entries.filter(entry => matchesEventFilter(entry.name, filter));
+  }
+
+  /**
+   * Pauses or resumes the stream of entries to subscribers
+   * @param {boolean} isPaused - Whether to pause
+   */
+  setPaused(isPaused) {
+    this.isPaused = isPaused;
+    if (!isPaused) {
+      this.missedWhilePaused = 0;
+      this.notify();
+    }
+  }
+
+  /**
+   * Forgets every recorded entry
+   */
+  clear() {
+    this.entries = [];
+    this.missedWhilePaused = 0;
+    this.notify();
+  }
+
+  /**
+   * Emits recorded entries again, in order and with their recorded payloads
+   * @param {EventSystem} bus - Bus to emit on, typically a fresh one with only the listeners under study
+   * @param {Array} entries - Entries to replay (default: every recorded entry)
+   * @returns {number} Number of events replayed
+   */
+  replay(bus, entries = this.entries) {
+    entries.forEach(entry => bus.emit(entry.name, snapshotPayload(entry.payload)));
+    return entries.length;
+  }
+
+  /**
+   * Calls a function whenever the log changes while the stream is not paused
+   * @param {Function} callback - Called with the inspector
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter(subscriber => subscriber !== callback);
+    };
+  }
+
+  /**
+   * Tells subscribers the log has changed
+   */
+  notify() {
+    this.subscribers.forEach(callback => callback(this));
+  }
+}
+
+/**
+ * Overlay showing an event inspector's log, with a name filter, a pause
+ * button and replay into a fresh bus. Hidden until its key is pressed.
+ * @class
+ */
+class EventInspectorOverlay {
+  /**
+   * Create the overlay and add it to the page
+   * @param {EventInspector} inspector - Inspector to show
+   * @param {Object} options - Overlay options
+   * @param {string} options.toggleKey - KeyboardEvent code that shows and hides the overlay (default: 'Backquote')
+   * @param {number} options.maxRows - Most entries listed at once, newest first (default: 200)
+   */
+  constructor(inspector, { toggleKey = 'Backquote', maxRows = 200 } = {}) {
+    this.inspector = inspector;
+    this.toggleKey = toggleKey;
+    this.maxRows = maxRows;
+    this.renderPending = false;
+    
+    this.element = document.createElement('section');
+    this.element.className = 'event-inspector';
+    this.element.hidden = true;
+    this.element.setAttribute('aria-label', 'Event inspector');
+    this.element.innerHTML = `
+      <div class="event-inspector-header">
+        <strong>Event Inspector</strong>
+        <span class="event-inspector-count"></span>
+        <button type="button" class="event-inspector-btn" data-action="close" aria-label="Close">✕</button>
+      </div>
+      <div class="event-inspector-controls">
+        <input type="search" class="event-inspector-filter" placeholder="Filter: block:*, game:over" aria-label="Filter events by name">
+        <button type="button" class="event-inspector-btn" data-action="pause">⏸ Pause</button>
+        <button type="button" class="event-inspector-btn" data-action="clear">🗑 Clear</button>
+        <button type="button" class="event-inspector-btn" data-action="replay">▶ Replay</button>
+      </div>
+      <p class="event-inspector-status" aria-live="polite"></p>
+      <ol class="event-inspector-log" reversed></ol>
+    `;
+    document.body.appendChild(this.element);
+    
+    this.filterInput = this.element.querySelector('.event-inspector-filter');
+    this.pauseBtn = this.element.querySelector('[data-action="pause"]');
+    this.count = this.element.querySelector('.event-inspector-count');
+    this.status = this.element.querySelector('.event-inspector-status');
+    this.log = this.element.querySelector('.event-inspector-log');
+    
+    this.element.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      if (button) this.handleAction(button.dataset.action);
+    });
+    this.filterInput.addEventListener('input', () => this.render());
+    
+    // Typing in the filter must not reach the game's keyboard controls
+    this.element.addEventListener('keydown', event => event.stopPropagation());
+    document.addEventListener('keydown', event => {
+      if (event.code === this.toggleKey) {
+        event.preventDefault();
+        this.toggle();
+      }
+    });
+    
+    inspector.subscribe(() => this.scheduleRender());
+  }
+
+  /**
+   * Shows or hides the overlay
+   */
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+    if (!this.element.hidden) {
+      this.render();
+      this.filterInput.focus();
+    }
+  }
+
+  /**
+   * Runs a control button's action
+   * @param {string} action - 'close', 'pause', 'clear' or 'replay'
+   */
+  handleAction(action) {
+    switch (action) {
+      case 'close':
+        this.toggle();
+        break;
+      
+      case 'pause':
+        this.inspector.setPaused(!this.inspector.isPaused);
+        this.pauseBtn.textContent = this.inspector.isPaused ? '▶ Resume' : '⏸ Pause';
+        if (!this.inspector.isPaused) this.status.textContent = '';
+        this.render();
+        break;
+      
+      case 'clear':
+        this.inspector.clear();
+        this.status.textContent = '';
+        break;
+      
+      case 'replay':
+        this.replayIntoFreshBus();
+        break;
+    }
+  }
+
+  /**
+   * Replays the listed entries into a fresh bus that logs each event to the console
+   * @returns {EventSystem} The bus the events were replayed into
+   */
+  replayIntoFreshBus() {
+    const bus = new EventSystem({ dom: false });
+    bus.on('*', (data, eventName) => console.log(`[replay] ${eventName}`, data));
+    
+    const count = this.inspector.replay(bus, this.inspector.getEntries(this.filterInput.value));
+    this.status.textContent = `Replayed ${count} event${count === 1 ? '' : 's'} into a fresh bus; see the console`;
+    return bus;
+  }
+
+  /**
+   * Renders at most once a frame, however many events arrive in it
+   */
+  scheduleRender() {
+    if (this.renderPending || this.element.hidden) return;
+    
+    this.renderPending = true;
+    requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Lists the entries matching the filter, newest first
+   */
+  render() {
+    const entries = this.inspector.getEntries(this.filterInput.value);
+    const shown = entries.slice(-this.maxRows).reverse();
+    
+    this.count.textContent = `${entries.length} of ${this.inspector.entries.length}`;
+    if (this.inspector.isPaused) {
+      this.status.textContent = `Paused · ${this.inspector.missedWhilePaused} new event${this.inspector.missedWhilePaused === 1 ? '' : 's'} not shown`;
+    }
+    
+    // Payloads are arbitrary data, so rows are built as text rather than HTML
+    this.log.replaceChildren(...shown.map(entry => {
+      const row = document.createElement('li');
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      const time = document.createElement('span');
+      const name = document.createElement('code');
+      const context = document.createElement('span');
+      const payload = document.createElement('pre');
+      
+      time.className = 'event-inspector-time';
+      time.textContent = `${(entry.time / 1000).toFixed(3)}s`;
+      name.className = 'event-inspector-name';
+      name.textContent = entry.name;
+      context.className = 'event-inspector-context';
+      context.textContent = [entry.source, ...Object.entries(entry.context || {}).map(([key, value]) => `${key}=${value}`)].join(' ');
+      payload.textContent = JSON.stringify(entry.payload, null, 2);
+      
+      summary.append(time, name, context);
+      details.append(summary, payload);
+      row.appendChild(details);
+      return row;
+    }));
+  }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { snapshotPayload, matchesEventFilter, EventInspector, EventInspectorOverlay };
+} else {
+  window.snapshotPayload = snapshotPayload;
+  window.matchesEventFilter = matchesEventFilter;
+  window.EventInspector = EventInspector;
+  window.EventInspectorOverlay = EventInspectorOverlay;
+}
@@ -6,51 +6,110 @@
  */
 
 /**
- * Event system for managing custom events
+ * Event bus with wildcard listeners and listener priorities. A bus can be
+ * limited to a documented set of events, and can run without the DOM for
+ * headless use; otherwise every event is also dispatched on `document` as
+ * a CustomEvent.
  * @class
  */
 class EventSystem {
-  constructor() {
+  /**
+   * Create a new event bus
+   * @param {Object} options - Bus options
+   * @param {Object} options.events - Events the bus accepts, each name mapped to a description of its payload (default: any event)
+   * @param {boolean} options.dom - Whether to also dispatch events on `document` (default: whenever there is a document)
+   */
+  constructor({ events = null, dom = typeof document !== 'undefined' } = {}) {
     this.listeners = new Map();
+    this.events = events;
+    this.dom = dom;
+    this.registrations = 0;
+  }
+
+  /**
+   * Checks that an event or listener pattern names a documented event
+   * @param {string} eventName - Event name, or a pattern ('*' or 'namespace:*') when listening
+   * @param {boolean} allowWildcard - Whether wildcard patterns are allowed
+   * @throws {Error} If the bus has a documented set of events and the name matches none of them
+   */
+  checkEventName(eventName, allowWildcard = false) {
+    if (!this.events) return;
+    
+    const names = Object.keys(this.events);
+    const isWildcard = allowWildcard && (eventName === '*' || eventName.endsWith(':*'));
+    const known = isWildcard
+      ? names.some(name => name.startsWith(eventName.slice(0, -1)))
+      : names.includes(eventName);
+    if (!known) {
+      throw new Error(`Unknown event "${eventName}"; expected one of ${names.join(', ')}`);
+    }
   }
 
   /**
-   * Emits a custom event
+   * Emits an event to its listeners: higher priorities first, then in the order they were added
    * @param {string} eventName - Name of the event
    * @param {*} data - Event data
    */
   emit(eventName, data = null) {
-    const event = new CustomEvent(eventName, { detail: data });
-    document.dispatchEvent(event);
+    this.checkEventName(eventName);
+    
+    // Exact listeners, then 'namespace:*' and '*' wildcards
+    const namespace = eventName.includes(':') ? `${eventName.split(':')[0]}:*` : null;
+    const listeners = [eventName, namespace, '*']
+      .flatMap(pattern => this.listeners.get(pattern) || [])
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    
+    // A failing listener is reported without stopping the rest, as with DOM events
+    listeners.forEach(listener => {
+      try {
+        listener.callback(data, eventName);
+      } catch (error) {
+        console.error(`Listener for "${eventName}" failed:`, error);
+      }
+    });
+    
+    if (this.dom) {
+      document.dispatchEvent(new CustomEvent(eventName, { detail: data }));
+    }
   }
 
   /**
-   * Listens for a custom event
-   * @param {string} eventName - Name of the event
-   * @param {Function} callback - Callback function
+   * Listens for an event
+   * @param {string} eventName - Name of the event, 'namespace:*' for every event in a namespace or '*' for every event
+   * @param {Function} callback - Callback function, given the event data and the event name
+   * @param {Object} options - Listener options
+   * @param {number} options.priority - Listeners with higher priorities are called first (default: 0)
    * @returns {Function} Unsubscribe function
    */
-  on(eventName, callback) {
-    const handler = (event) => callback(event.detail);
-    document.addEventListener(eventName, handler);
+  on(eventName, callback, { priority = 0 } = {}) {
+    this.checkEventName(eventName, true);
+    
+    const listener = { callback, priority, order: this.registrations++ };
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, []);
+    }
+    this.listeners.get(eventName).push(listener);
     
     // Return unsubscribe function
     return () => {
-      document.removeEventListener(eventName, handler);
+      const remaining = (this.listeners.get(eventName) || []).filter(entry => entry !== listener);
+      this.listeners.set(eventName, remaining);
     };
   }
 
   /**
-   * Listens for a custom event once
-   * @param {string} eventName - Name of the event
-   * @param {Function} callback - Callback function
+   * Listens for an event once
+   * @param {string} eventName - Name of the event or a wildcard pattern
+   * @param {Function} callback - Callback function, given the event data and the event name
+   * @param {Object} options - Listener options, as for on()
+   * @returns {Function} Unsubscribe function
    */
-  once(eventName, callback) {
-    const handler = (event) => {
-      callback(event.detail);
-      document.removeEventListener(eventName, handler);
-    };
-    document.addEventListener(eventName, handler);
+  once(eventName, callback, options = {}) {
+    const unsubscribe = this.on(eventName, (data, name) => {
+      unsubscribe();
+      callback(data, name);
+    }, options);
+    return unsubscribe;
   }
 }
 
@@ -5,29 +5,34 @@
  * @date 2025-01-27
  */
 
+// Seeded RNG service (window globals in the browser, required in Node)
+const RandomService = (typeof module !== 'undefined' && module.exports)
+  ? require('./random.js')
+  : window;
+
 /**
  * Utility helper functions
  * @namespace
  */
 const Helpers = {
   /**
-   * Generates a random number between min and max (inclusive)
+   * Generates a random number between min and max using the seeded RNG
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
    * @returns {number} Random number
    */
   random: function(min, max) {
-    return Math.random() * (max - min) + min;
+    return RandomService.getRandom().range(min, max);
   },
 
   /**
-   * Generates a random integer between min and max (inclusive)
+   * Generates a random integer between min and max (inclusive) using the seeded RNG
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
    * @returns {number} Random integer
    */
   randomInt: function(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return RandomService.getRandom().int(min, max);
   },
 
   /**
@@ -106,6 +111,16 @@ const Helpers = {
         setTimeout(() => inThrottle = false, limit);
       }
     };
+  },
+
+  /**
+   * Escapes text for use in HTML, such as names from level packs other players made
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml: function(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
   }
 };
 
@@ -0,0 +1,142 @@
+/**
+ * @file random.js
+ * @description Seedable pseudo-random number generator service
+ * @author Student Name
+ * @date 2025-01-27
+ */
+
+/**
+ * Seeded random number generator (mulberry32)
+ * Produces the same sequence for the same seed, so runs can be reproduced.
+ * @class
+ */
+class SeededRandom {
+  /**
+   * Create a new seeded random number generator
+   * @param {number} seed - 32-bit integer seed
+   */
+  constructor(seed = createSeed()) {
+    this.reseed(seed);
+  }
+
+  /**
+   * Resets the generator to the start of the sequence for a seed
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next number in the sequence
+   * @returns {number} Random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a random number between min and max
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random number
+   */
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Returns a random integer between min and max (inclusive)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Picks a random element from an array
+   * @param {Array} items - Array to pick from
+   * @returns {*} Random element
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Gets the seed the current sequence started from
+   * @returns {number} Seed value
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Gets the internal generator state
+   * @returns {number} Generator state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restores a previously captured generator state
+   * @param {number} state - Generator state from getState()
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * Creates a fresh seed for a new run
+ * @returns {number} 32-bit integer seed
+ */
+function createSeed() {
+  return (Date.now() ^ Math.floor(Math.random() * 4294967296)) >>> 0;
+}
+
+// Global random instance
+let sharedRandom = null;
+
+/**
+ * Initializes the shared random number generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {SeededRandom} Initialized generator
+ */
+function initRandom(seed = createSeed()) {
+  sharedRandom = new SeededRandom(seed);
+  return sharedRandom;
+}
+
+/**
+ * Gets the shared random number generator
+ * @returns {SeededRandom} Current generator
+ */
+function getRandom() {
+  if (!sharedRandom) {
+    sharedRandom = new SeededRandom();
+  }
+  return sharedRandom;
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SeededRandom,
+    createSeed,
+    initRandom,
+    getRandom
+  };
+} else {
+  window.SeededRandom = SeededRandom;
+  window.createSeed = createSeed;
+  window.initRandom = initRandom;
+  window.getRandom = getRandom;
+}
@@ -0,0 +1,103 @@
+/**
+ * @file achievements.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for achievement definitions and unlock detection.
+ *
+ * @dependencies
+ * - headless.js: Node loader providing the level helpers as globals
+ * - levels.js: Level and daily challenge rewards
+ * - achievements.js: Achievement definitions and unlocks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../js/games/physics-stack-tower/headless.js');
+const { LEVELS, DAILY_CHALLENGES, getDailyRewards } = require('../js/games/physics-stack-tower/levels.js');
+const {
+  ACHIEVEMENTS,
+  WOBBLE_THRESHOLD,
+  findEarnedAchievements,
+  getAchievementGallery
+} = require('../js/games/physics-stack-tower/achievements.js');
+
+/**
+ * Lists the names of the achievements a gameplay event earns
+ * @param {string} event - Gameplay event
+ * @param {Object} details - Event details
+ * @param {Object} unlocked - Already unlocked achievements (default: none)
+ * @returns {Array} Achievement names
+ */
+function earnedNames(event, details, unlocked = {}) {
+  return findEarnedAchievements(event, details, unlocked).map(achievement => achievement.name);
+}
+
+test('ACHIEVEMENTS', async (t) => {
+  await t.test('includes the achievement of every level reward', () => {
+    const names = ACHIEVEMENTS.map(achievement => achievement.name);
+    for (const level of LEVELS) {
+      assert.ok(names.includes(level.rewards.achievement), level.rewards.achievement);
+    }
+  });
+
+  await t.test('includes the achievement of every daily challenge reward', () => {
+    const names = ACHIEVEMENTS.map(achievement => achievement.name);
+    for (const challenge of DAILY_CHALLENGES) {
+      assert.ok(names.includes(getDailyRewards(challenge).achievement), challenge.name);
+    }
+  });
+
+  await t.test('gives every achievement a unique id', () => {
+    const ids = new Set(ACHIEVEMENTS.map(achievement => achievement.id));
+    assert.equal(ids.size, ACHIEVEMENTS.length);
+  });
+});
+
+test('findEarnedAchievements', async (t) => {
+  await t.test('awards a level achievement for completing that level', () => {
+    assert.deepEqual(earnedNames('levelComplete', { level: 1, mode: 'classic' }), ['First Steps']);
+    assert.deepEqual(earnedNames('levelComplete', { level: 5, mode: 'endless' }), [LEVELS[4].rewards.achievement]);
+  });
+
+  await t.test('awards combo achievements at their streaks', () => {
+    assert.deepEqual(earnedNames('perfectDrop', { comboStreak: 4 }), []);
+    assert.deepEqual(earnedNames('perfectDrop', { comboStreak: 5 }), ['On a Roll']);
+    assert.deepEqual(earnedNames('perfectDrop', { comboStreak: 10 }), ['On a Roll', 'Combo King']);
+  });
+
+  await t.test('skips achievements that are already unlocked', () => {
+    assert.deepEqual(earnedNames('perfectDrop', { comboStreak: 10 }, { combo_5: '2025-06-01' }), ['Combo King']);
+  });
+
+  await t.test('awards surviving a wobble only while the tower still stands', () => {
+    assert.deepEqual(earnedNames('blockPlaced', { blocksPlaced: 5, instability: WOBBLE_THRESHOLD - 0.01 }), []);
+    assert.deepEqual(earnedNames('blockPlaced', { blocksPlaced: 5, instability: WOBBLE_THRESHOLD }), ['Nerves of Steel']);
+    assert.deepEqual(earnedNames('blockPlaced', { blocksPlaced: 5, instability: 1.2 }), []);
+  });
+
+  await t.test('awards a daily achievement for completing that daily challenge', () => {
+    const achievement = getDailyRewards(DAILY_CHALLENGES[0]).achievement;
+    const challenge = { type: 'daily', name: achievement, status: 'complete' };
+
+    assert.deepEqual(earnedNames('challengeEnded', { challenge }), [achievement]);
+    assert.deepEqual(earnedNames('challengeEnded', { challenge: { ...challenge, status: 'failed' } }), []);
+  });
+
+  await t.test('awards completing a challenge mode', () => {
+    const challenge = { type: 'perfect', name: 'Perfect Challenge', status: 'complete' };
+    assert.deepEqual(earnedNames('challengeEnded', { challenge }), ['Challenger']);
+  });
+});
+
+test('getAchievementGallery', () => {
+  const gallery = getAchievementGallery({ level_1: '2025-06-01T10:00:00.000Z' });
+
+  assert.equal(gallery.length, ACHIEVEMENTS.length);
+  assert.equal(gallery[0].unlocked, true);
+  assert.equal(gallery[0].date, '2025-06-01T10:00:00.000Z');
+  assert.ok(gallery.slice(1).every(entry => !entry.unlocked && entry.date === null));
+});
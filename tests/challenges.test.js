@@ -0,0 +1,235 @@
+/**
+ * @file challenges.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the challenge rules engine and how the core enforces it.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core
+ * - challenges.js: Challenge mode rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  gameState,
+  gameEvents,
+  initGame,
+  dropBlock,
+  StackTowerCore
+} = require('../js/games/physics-stack-tower/headless.js');
+const {
+  CHALLENGE_MODES,
+  getDailyChallengeConfig,
+  generateDailyChallenge
+} = require('../js/games/physics-stack-tower/levels.js');
+const {
+  ChallengeRun,
+  createChallengeRun,
+  formatChallengeTime
+} = require('../js/games/physics-stack-tower/challenges.js');
+
+const SEED = 12345;
+
+/**
+ * Stops a block hanging from a crane swinging, so it drops straight down from where it is
+ */
+function holdCraneStill() {
+  const rope = gameState.currentBlock.rope;
+  if (rope) {
+    rope.angularVelocity = 0;
+    rope.trolleySpeed = 0;
+  }
+}
+
+/**
+ * Places the moving block at an offset from the top of the tower and drops it
+ * @param {number} offset - Horizontal offset from the top block's left edge
+ * @returns {Object} Result object from dropBlock
+ */
+function dropAt(offset) {
+  const top = gameState.tower[gameState.tower.length - 1];
+  gameState.currentBlock.position.x = top.position.x + offset;
+  holdCraneStill();
+  return dropBlock();
+}
+
+/**
+ * Drops perfectly centred blocks, waiting out level transitions, until the game ends
+ * @param {number} limit - Maximum number of drops
+ * @returns {Object} Result of the last drop
+ */
+function dropPerfectly(limit) {
+  let result;
+  for (let i = 0; i < limit && gameState.isActive; i++) {
+    StackTowerCore.tickUntil(state => state.levelTransitionRemaining === 0);
+    const top = gameState.tower[gameState.tower.length - 1];
+    result = dropAt((top.width - gameState.currentBlock.width) / 2);
+  }
+  return result;
+}
+
+test('ChallengeRun', async (t) => {
+  await t.test('reads the rules of each challenge mode', () => {
+    assert.deepEqual(createChallengeRun('perfect').rules, {
+      timeLimit: null,
+      blockQuota: 20,
+      perfectOnly: true,
+      perfectThreshold: null,
+      blockWidth: null,
+      speedMultiplier: 1
+    });
+    assert.equal(createChallengeRun('speed').rules.timeLimit, 120000);
+    assert.equal(createChallengeRun('narrow').rules.blockWidth, 40);
+  });
+
+  await t.test('is not created for non-challenge modes', () => {
+    assert.equal(createChallengeRun('classic'), null);
+    assert.equal(createChallengeRun('endless'), null);
+  });
+
+  await t.test('fails a quota challenge when time runs out', () => {
+    const challenge = new ChallengeRun('daily', CHALLENGE_MODES.daily);
+    assert.equal(challenge.update(299999), false);
+    assert.equal(challenge.update(1), true);
+    assert.equal(challenge.status, 'failed');
+    assert.equal(challenge.getTimeRemaining(), 0);
+  });
+
+  await t.test('completes a timed challenge without a quota when time runs out', () => {
+    const challenge = new ChallengeRun('speed', CHALLENGE_MODES.speed);
+    challenge.update(120000);
+    assert.equal(challenge.status, 'complete');
+  });
+
+  await t.test('keeps the first outcome', () => {
+    const challenge = new ChallengeRun('perfect', CHALLENGE_MODES.perfect);
+    challenge.fail('first');
+    challenge.complete('second');
+    assert.equal(challenge.status, 'failed');
+    assert.equal(challenge.reason, 'first');
+  });
+
+  await t.test('formats countdowns as minutes and seconds', () => {
+    assert.equal(formatChallengeTime(120000), '2:00');
+    assert.equal(formatChallengeTime(65000), '1:05');
+    assert.equal(formatChallengeTime(400), '0:01');
+  });
+});
+
+test('challenge rules in the core', async (t) => {
+  let unsubscribe = () => {};
+  t.afterEach(() => unsubscribe());
+
+  await t.test('ends a perfect-only challenge on the first imperfect drop', () => {
+    const ended = [];
+    unsubscribe = gameEvents.on('challenge:ended', ({ challenge }) => ended.push(challenge.status));
+
+    initGame(1, SEED, 'perfect');
+    const result = dropAt(gameState.tower[0].width * 0.9);
+
+    assert.equal(result.success, false);
+    assert.equal(result.challengeEnded, true);
+    assert.equal(gameState.isActive, false);
+    assert.equal(gameState.tower.length, 1);
+    assert.deepEqual(ended, ['failed']);
+  });
+
+  await t.test('wins a quota challenge once enough blocks are placed', () => {
+    initGame(1, SEED, 'perfect');
+    const result = dropPerfectly(50);
+
+    assert.equal(result.challengeEnded, true);
+    assert.equal(gameState.blocksPlaced, 20);
+    assert.equal(gameState.challenge.status, 'complete');
+  });
+
+  await t.test('plays on past level 7 until the quota is met', () => {
+    initGame(7, SEED, 'narrow');
+    dropPerfectly(5);
+
+    assert.equal(gameState.isActive, true);
+    assert.ok(gameState.level > 7);
+  });
+
+  await t.test('gives every block the fixed challenge width', () => {
+    initGame(1, SEED, 'narrow');
+    assert.equal(gameState.currentBlock.width, 40);
+    dropPerfectly(1);
+    assert.equal(gameState.currentBlock.width, 40);
+  });
+
+  await t.test('speeds blocks up by the challenge multiplier', () => {
+    initGame(1, SEED, 'classic');
+    const classicSpeed = gameState.currentBlock.speed;
+    initGame(1, SEED, 'speed');
+    assert.equal(gameState.currentBlock.speed, classicSpeed * 1.5);
+  });
+
+  await t.test('ends a timed challenge when the countdown reaches zero', () => {
+    const ended = [];
+    unsubscribe = gameEvents.on('challenge:ended', ({ challenge }) => ended.push(challenge.status));
+
+    initGame(1, SEED, 'speed');
+    StackTowerCore.tick(Math.ceil(120000 / gameState.config.simulationStep) + 10);
+
+    assert.equal(gameState.isActive, false);
+    assert.deepEqual(ended, ['complete']);
+  });
+
+  await t.test('stops the countdown during level transitions', () => {
+    initGame(1, SEED, 'speed');
+    dropPerfectly(gameState.currentLevelConfig.blocksToComplete);
+    const elapsed = gameState.challenge.elapsed;
+
+    StackTowerCore.tick(60);
+    assert.equal(gameState.challenge.elapsed, elapsed);
+  });
+
+  await t.test('plays the daily challenge picked by the daily seed', () => {
+    const daily = generateDailyChallenge(new Date(2025, 5, 1));
+    initGame(1, daily.seed, 'daily');
+
+    assert.equal(gameState.challenge.name, `Daily: ${daily.name}`);
+    assert.equal(gameState.challenge.rules.blockQuota, daily.blocks);
+  });
+
+  await t.test('uses the stricter perfect threshold of a daily challenge', () => {
+    let seed = 20250101;
+    while (getDailyChallengeConfig(seed).specialRules.perfectThreshold === undefined) seed++;
+
+    initGame(1, seed, 'daily');
+    assert.equal(gameState.perfectThreshold, getDailyChallengeConfig(seed).specialRules.perfectThreshold);
+  });
+
+  await t.test('pays the daily bonus only for a completed daily challenge', () => {
+    let seed = 20250101;
+    while (getDailyChallengeConfig(seed).specialRules.timeLimit) seed++;
+    const bonusPoints = getDailyChallengeConfig(seed).rewards.bonusPoints;
+
+    initGame(1, seed, 'daily');
+    dropPerfectly(100);
+    assert.equal(gameState.challenge.status, 'complete');
+    const scoreWithBonus = gameState.score;
+
+    initGame(1, seed, 'daily');
+    gameState.challenge.rewards = null;
+    dropPerfectly(100);
+    assert.equal(scoreWithBonus - gameState.score, bonusPoints);
+
+    initGame(1, seed, 'daily');
+    const scoreBefore = gameState.score;
+    dropAt(gameState.tower[0].width + 10);
+    assert.equal(gameState.score, scoreBefore);
+  });
+
+  await t.test('marks the challenge failed when the block misses', () => {
+    initGame(1, SEED, 'narrow');
+    dropAt(gameState.tower[0].width + 10);
+    assert.equal(gameState.challenge.status, 'failed');
+  });
+});
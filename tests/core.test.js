@@ -0,0 +1,856 @@
+/**
+ * @file core.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the game core: overlap, perfect drops, block shrinking and
+ * trimming, landing, spawn patterns, the crane, combo scoring, toppling,
+ * level progression, level packs and saving and restoring runs.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core
+ * - levels.js: Level definitions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  gameState,
+  Block,
+  GAME_EVENTS,
+  gameEvents,
+  initGame,
+  dropBlock,
+  calculateOverlap,
+  getTowerInstability,
+  getPhysicsEngine,
+  STATE_VERSION,
+  restoreState,
+  StackTowerCore
+} = require('../js/games/physics-stack-tower/headless.js');
+const { LEVELS, LEVEL_PACK_VERSION, parseLevelPack, setActiveLevelPack } = require('../js/games/physics-stack-tower/levels.js');
+
+const SEED = 12345;
+
+/**
+ * Stops a block hanging from a crane swinging, so it drops straight down from where it is
+ */
+function holdCraneStill() {
+  const rope = gameState.currentBlock.rope;
+  if (rope) {
+    rope.angularVelocity = 0;
+    rope.trolleySpeed = 0;
+  }
+}
+
+/**
+ * Places the moving block at an offset from the top of the tower and drops it
+ * @param {number} offset - Horizontal offset from the top block's left edge
+ * @param {number} width - Width to give the moving block (default: top block's width)
+ * @returns {Object} Result object from dropBlock
+ */
+function dropAt(offset, width) {
+  const top = gameState.tower[gameState.tower.length - 1];
+  gameState.currentBlock.width = width ?? top.width;
+  gameState.currentBlock.position.x = top.position.x + offset;
+  holdCraneStill();
+  return dropBlock();
+}
+
+/**
+ * Lets the level transition run out so the next block can be dropped
+ */
+function finishLevelTransition() {
+  StackTowerCore.tickUntil(state => state.levelTransitionRemaining === 0);
+}
+
+/**
+ * Lets the dropped blocks fall until they have all landed on the tower
+ */
+function landDroppedBlocks() {
+  StackTowerCore.tickUntil(state => !state.tower.some(block => block.isLanding));
+}
+
+test('calculateOverlap', async (t) => {
+  await t.test('returns the shared horizontal span of two blocks', () => {
+    assert.equal(calculateOverlap(new Block(1, 100, 0, 0), new Block(2, 100, 40, 0)), 60);
+    assert.equal(calculateOverlap(new Block(1, 100, 40, 0), new Block(2, 100, 0, 0)), 60);
+  });
+
+  await t.test('returns the narrower width when one block sits inside the other', () => {
+    assert.equal(calculateOverlap(new Block(1, 50, 20, 0), new Block(2, 100, 0, 0)), 50);
+  });
+
+  await t.test('returns zero for touching or separate blocks', () => {
+    assert.equal(calculateOverlap(new Block(1, 100, 0, 0), new Block(2, 100, 100, 0)), 0);
+    assert.equal(calculateOverlap(new Block(1, 100, 0, 0), new Block(2, 100, 250, 0)), 0);
+  });
+});
+
+test('Block.shrink', async (t) => {
+  const minWidth = Math.max(gameState.config.minBlockWidth * 0.7, 20);
+
+  await t.test('shrinks to the overlap width', () => {
+    const block = new Block(1, 120, 0, 0);
+    block.shrink(90);
+    assert.equal(block.width, 90);
+  });
+
+  await t.test('never shrinks below the minimum width', () => {
+    const block = new Block(1, 120, 0, 0);
+    block.shrink(5);
+    assert.equal(block.width, minWidth);
+  });
+
+  await t.test('can keep its right edge in place', () => {
+    const block = new Block(1, 120, 0, 0);
+    block.shrink(90, 'right');
+    assert.equal(block.position.x, 30);
+    assert.equal(block.width, 90);
+  });
+});
+
+test('dropBlock trimming', async (t) => {
+  t.beforeEach(() => initGame(1, SEED));
+
+  await t.test('keeps the part of a block that landed left of the tower over the tower', () => {
+    const top = gameState.tower[0];
+    dropAt(-100);
+    const block = gameState.tower[1];
+
+    assert.equal(block.position.x, top.position.x);
+    assert.equal(block.width, top.width - 100);
+  });
+
+  await t.test('cuts the overhang off as falling debris', () => {
+    const top = gameState.tower[0];
+    dropAt(100);
+
+    assert.equal(gameState.fallingBlocks.length, 1);
+    const debris = gameState.fallingBlocks[0];
+    assert.equal(debris.position.x, top.position.x + top.width);
+    assert.equal(debris.width, 100);
+    assert.equal(debris.color, gameState.tower[1].color);
+
+    StackTowerCore.tick(30);
+    assert.ok(debris.position.y > gameState.tower[1].position.y);
+  });
+
+  await t.test('reports the debris with the imperfect drop', () => {
+    const reported = [];
+    const unsubscribe = gameEvents.on('block:trimmed', ({ debris }) => reported.push(debris.length));
+    dropAt(100);
+    dropAt(0);
+    unsubscribe();
+
+    assert.deepEqual(reported, [1]);
+  });
+});
+
+test('dropBlock landing', async (t) => {
+  t.beforeEach(() => initGame(1, SEED));
+
+  await t.test('falls under gravity onto the top of the tower', () => {
+    const top = gameState.tower[0];
+    const releasedAt = gameState.currentBlock.position.y;
+    dropAt(0);
+    const block = gameState.tower[1];
+
+    assert.equal(block.isLanding, true);
+    assert.equal(block.position.y, releasedAt);
+    StackTowerCore.tick(5);
+    assert.ok(block.position.y > releasedAt && block.position.y < block.landingY);
+
+    landDroppedBlocks();
+    assert.equal(block.isLanding, false);
+    assert.equal(block.position.y, top.position.y - gameState.config.blockHeight);
+  });
+
+  await t.test('lands a block dropped before the one below has landed on top of it', () => {
+    dropAt(0);
+    dropAt(0);
+    landDroppedBlocks();
+
+    assert.equal(gameState.tower[2].position.y, gameState.tower[1].position.y - gameState.config.blockHeight);
+  });
+
+  await t.test('saves a landing block where it comes to rest', () => {
+    dropAt(0);
+
+    assert.equal(StackTowerCore.getState().tower[1].position.y, gameState.tower[1].landingY);
+  });
+
+  await t.test('lets a block that missed tumble past the tower', () => {
+    const result = dropAt(300);
+
+    assert.equal(result.gameOver, true);
+    assert.equal(gameState.currentBlock.isMoving, false);
+    assert.equal(gameState.fallingBlocks.length, 1);
+    assert.ok(gameState.fallingBlocks[0].angularVelocity > 0);
+  });
+});
+
+test('spawn patterns', async (t) => {
+  /**
+   * Drops perfect blocks and records the side each new block enters from
+   * @param {number} count - Number of blocks to drop
+   * @returns {Array} Spawn direction of the first block and each block after a drop
+   */
+  function spawnDirections(count) {
+    const directions = [gameState.currentBlock.spawnDirection];
+    for (let i = 0; i < count; i++) {
+      finishLevelTransition();
+      dropAt(0);
+      directions.push(gameState.currentBlock.spawnDirection);
+    }
+    return directions;
+  }
+
+  await t.test('slides blocks in from the left edge', () => {
+    initGame(1, SEED);
+    const block = gameState.currentBlock;
+
+    assert.equal(block.spawnDirection, 'left');
+    assert.equal(block.position.x, 0);
+    assert.ok(block.speed > 0);
+  });
+
+  await t.test('alternates between the left and right edges', () => {
+    initGame(3, SEED);
+    dropAt(0);
+    const block = gameState.currentBlock;
+
+    assert.equal(block.spawnDirection, 'right');
+    assert.equal(block.position.x, gameState.config.canvasWidth - block.width);
+    assert.ok(block.speed < 0);
+    dropAt(0);
+    assert.equal(gameState.currentBlock.spawnDirection, 'left');
+  });
+
+  await t.test('lowers swinging blocks in from the top to the spawn line', () => {
+    initGame(4, SEED);
+    const block = gameState.currentBlock;
+    const spawnY = gameState.config.canvasHeight - 3 * gameState.config.blockHeight;
+
+    assert.equal(block.spawnDirection, 'top');
+    assert.ok(block.position.y < spawnY);
+    StackTowerCore.tick(120);
+    assert.equal(block.position.y, spawnY);
+  });
+
+  await t.test('swings across the middle at the block speed and stays in view', () => {
+    initGame(4, SEED);
+    const block = gameState.currentBlock;
+    const middle = (gameState.config.canvasWidth - block.width) / 2;
+
+    StackTowerCore.tick(1);
+    const step = gameState.config.simulationStep;
+    assert.ok(Math.abs((block.position.x - middle) / step - block.speed) < 0.01);
+
+    for (let i = 0; i < 1000; i++) {
+      StackTowerCore.tick(1);
+      assert.ok(block.position.x >= 0 && block.position.x + block.width <= gameState.config.canvasWidth);
+    }
+  });
+
+  await t.test('sends blocks in from every direction when scattered', () => {
+    initGame(6, SEED, 'endless');
+    const directions = spawnDirections(12);
+
+    assert.deepEqual([...new Set(directions)].sort(), ['left', 'right', 'top']);
+  });
+
+  await t.test('enters the same way when a run is replayed from its seed', () => {
+    initGame(6, SEED, 'endless');
+    const first = spawnDirections(6);
+    initGame(6, SEED, 'endless');
+
+    assert.deepEqual(spawnDirections(6), first);
+  });
+});
+
+test('crane', async (t) => {
+  const CRANE_LEVEL = LEVELS.find(level => level.mechanics.some(entry => entry.type === 'crane')).id;
+
+  /**
+   * Lets the crane lower the block to the spawn line and swing it for a while
+   * @returns {Block} Block hanging from the crane
+   */
+  function swingBlock() {
+    initGame(CRANE_LEVEL, SEED);
+    StackTowerCore.tick(200);
+    return gameState.currentBlock;
+  }
+
+  /**
+   * Moves the trolley along so the block's drift carries it onto the middle of the tower
+   * @param {Block} block - Block hanging from the crane
+   * @returns {number} X position the block will land at
+   */
+  function aimAtTower(block) {
+    const top = gameState.tower[0];
+    const physics = getPhysicsEngine();
+    const landingY = top.position.y - gameState.config.blockHeight;
+    const centered = top.position.x + (top.width - block.width) / 2;
+    const drift = physics.predictLanding(block, physics.getRopeVelocity(block.rope), landingY).drift;
+    const shift = centered - (block.position.x + drift);
+
+    block.rope.anchor.x += shift;
+    block.position.x += shift;
+    return centered;
+  }
+
+  await t.test('hangs every block from a rope under the trolley', () => {
+    const block = swingBlock();
+    const rope = block.rope;
+
+    assert.equal(rope.anchor.y, gameState.config.canvasHeight - 3 * gameState.config.blockHeight - rope.length);
+    assert.equal(block.position.x + block.width / 2, rope.anchor.x + Math.sin(rope.angle) * rope.length);
+    assert.equal(block.position.y, rope.anchor.y + Math.cos(rope.angle) * rope.length);
+  });
+
+  await t.test('lets go of a block with the velocity of its swing', () => {
+    const block = swingBlock();
+    aimAtTower(block);
+    const velocity = getPhysicsEngine().getRopeVelocity(block.rope);
+    const releasedAt = { ...block.position };
+    dropBlock();
+
+    assert.deepEqual(block.velocity, velocity);
+    assert.deepEqual(block.position, releasedAt);
+    StackTowerCore.tick(5);
+    assert.equal(Math.sign(block.position.x - releasedAt.x), Math.sign(velocity.x));
+  });
+
+  await t.test('resolves the drop where the block lands after drifting', () => {
+    const block = swingBlock();
+    const centered = aimAtTower(block);
+    const result = dropBlock();
+
+    assert.equal(result.perfectAlignment, true);
+    assert.ok(Math.abs(block.landingX - centered) < 1e-9);
+    assert.ok(Math.abs(block.position.x - centered) > 1, 'flies in from where it was let go');
+
+    landDroppedBlocks();
+    assert.equal(block.position.x, block.landingX);
+    assert.equal(block.position.y, block.landingY);
+  });
+
+  await t.test('keeps the rope in the serialized state', () => {
+    const block = swingBlock();
+    const saved = StackTowerCore.getState().currentBlock.rope;
+
+    assert.deepEqual(saved, block.rope);
+    assert.notEqual(saved.anchor, block.rope.anchor);
+  });
+});
+
+test('dropBlock perfect threshold', async (t) => {
+  t.beforeEach(() => initGame(1, SEED));
+
+  await t.test('counts an overlap at the threshold as perfect', () => {
+    const top = gameState.tower[0];
+    const result = dropAt(top.width * (1 - gameState.perfectThreshold));
+
+    assert.equal(result.success, true);
+    assert.equal(result.perfectAlignment, true);
+    assert.equal(gameState.tower[1].width, top.width);
+  });
+
+  await t.test('trims a block that lands just under the threshold', () => {
+    const top = gameState.tower[0];
+    const offset = top.width * (1 - gameState.perfectThreshold) + 1;
+    const result = dropAt(offset);
+
+    assert.equal(result.perfectAlignment, false);
+    assert.equal(gameState.tower[1].width, top.width - offset);
+    assert.equal(gameState.comboStreak, 0);
+  });
+
+  await t.test('measures the threshold against the narrower block', () => {
+    const top = gameState.tower[0];
+    const result = dropAt((top.width - 60) / 2, 60);
+
+    assert.equal(result.perfectAlignment, true);
+  });
+
+  await t.test('ends the game when the block misses the tower', () => {
+    const result = dropAt(gameState.tower[0].width + 10);
+
+    assert.equal(result.success, false);
+    assert.equal(result.gameOver, true);
+    assert.equal(gameState.isActive, false);
+  });
+});
+
+test('combo scoring', async (t) => {
+  await t.test('adds base points plus 100 x combo streak for each perfect drop', () => {
+    initGame(1, SEED);
+    const basePoints = 10 + 1 * 5;
+
+    dropAt(0);
+    assert.equal(gameState.score, basePoints + 100);
+    dropAt(0);
+    assert.equal(gameState.score, 2 * basePoints + 100 + 200);
+    assert.equal(gameState.comboStreak, 2);
+  });
+
+  await t.test('resets the streak on an imperfect drop', () => {
+    initGame(1, SEED);
+    dropAt(0);
+    dropAt(gameState.tower[1].width * 0.7);
+
+    assert.equal(gameState.comboStreak, 0);
+    assert.equal(gameState.score, 2 * (10 + 1 * 5) + 100);
+  });
+
+  await t.test('counts every perfect drop of the game, unlike the streak', () => {
+    initGame(1, SEED);
+    dropAt(0);
+    dropAt(0);
+    dropAt(gameState.tower[gameState.tower.length - 1].width * 0.7);
+    finishLevelTransition();
+    dropAt(0);
+
+    assert.equal(gameState.perfectDrops, 3);
+    assert.equal(gameState.comboStreak, 1);
+
+    initGame(1, SEED);
+    assert.equal(gameState.perfectDrops, 0);
+  });
+
+  await t.test('doubles the combo bonus in the precision challenge', () => {
+    initGame(4, SEED);
+    assert.equal(gameState.currentLevelConfig.mechanics[0].type, 'precision_challenge');
+    const basePoints = 10 + 4 * 5;
+
+    dropAt(0);
+    assert.equal(gameState.score, basePoints + 200);
+    dropAt(0);
+    assert.equal(gameState.score, 2 * basePoints + 200 + 400);
+  });
+
+  await t.test('reports the multiplier to the presentation layer', () => {
+    const multipliers = [];
+    const unsubscribe = gameEvents.on('block:perfect', ({ comboMultiplier }) => multipliers.push(comboMultiplier));
+
+    initGame(3, SEED);
+    dropAt(0);
+    initGame(4, SEED);
+    dropAt(0);
+    unsubscribe();
+
+    assert.deepEqual(multipliers, [1, 2]);
+  });
+});
+
+test('gameplay events', async (t) => {
+  let unsubscribe = () => {};
+  t.afterEach(() => unsubscribe());
+
+  /**
+   * Records every gameplay event except simulation steps
+   * @returns {Array} Event names, in the order they are emitted
+   */
+  function recordEvents() {
+    const events = [];
+    unsubscribe = gameEvents.on('*', (data, name) => name !== 'game:step' && events.push(name));
+    return events;
+  }
+
+  await t.test('reports a perfect drop, its combo and the next block in order', () => {
+    initGame(1, SEED, 'classic');
+    const events = recordEvents();
+    dropAt(0);
+
+    assert.deepEqual(events, ['combo:changed', 'block:perfect', 'block:dropped', 'block:spawned', 'state:changed']);
+  });
+
+  await t.test('reports a broken combo with the trimmed drop', () => {
+    initGame(1, SEED, 'classic');
+    dropAt(0);
+    const events = recordEvents();
+    dropAt(100);
+
+    assert.deepEqual(events, ['combo:changed', 'block:trimmed', 'block:dropped', 'block:spawned', 'state:changed']);
+  });
+
+  await t.test('ends the game when a block misses', () => {
+    initGame(1, SEED, 'classic');
+    const payloads = [];
+    unsubscribe = gameEvents.on('game:over', data => payloads.push(data));
+    dropAt(1000);
+
+    assert.deepEqual(payloads, [{ reason: 'missed', score: 0, level: 1 }]);
+  });
+
+  await t.test('rejects events it does not document', () => {
+    assert.throws(() => gameEvents.emit('block:landed'), /Unknown event "block:landed"/);
+    assert.ok(Object.keys(GAME_EVENTS).every(name => /^[a-z]+:[a-z-]+$/.test(name)));
+  });
+});
+
+test('getTowerInstability', async (t) => {
+  await t.test('is zero for a short or perfectly stacked tower', () => {
+    initGame(1, SEED);
+    assert.equal(getTowerInstability(), 0);
+    dropAt(0);
+    dropAt(0);
+    assert.equal(getTowerInstability(), 0);
+  });
+
+  await t.test('grows with the offsets between blocks', () => {
+    initGame(1, SEED);
+    dropAt(20);
+    dropAt(20);
+    const instability = getTowerInstability();
+    assert.ok(instability > 0 && instability < 1);
+
+    dropAt(20);
+    assert.ok(getTowerInstability() > instability);
+  });
+});
+
+test('toppling', async (t) => {
+  /**
+   * Stacks perfect drops that each lean further right than the one below
+   * @param {number} count - Number of leaning blocks to drop
+   */
+  function leanRight(count) {
+    for (let i = 0; i < count; i++) {
+      finishLevelTransition();
+      assert.equal(dropAt(25).perfectAlignment, true);
+    }
+  }
+
+  await t.test('drops the top section and plays on below it', () => {
+    const collapses = [];
+    const unsubscribe = gameEvents.on('tower:collapsed', ({ blocks, partial }) => partial && collapses.push(blocks.length));
+
+    initGame(1, SEED);
+    dropAt(0);
+    dropAt(0);
+    leanRight(6);
+    landDroppedBlocks();
+    unsubscribe();
+
+    assert.deepEqual(collapses, [6]);
+    assert.equal(gameState.isActive, true);
+    assert.equal(gameState.tower.length, 3);
+    assert.equal(gameState.comboStreak, 0);
+    assert.equal(gameState.fallingSections.length, 1);
+    assert.equal(gameState.currentBlock.position.y, gameState.config.canvasHeight - 5 * gameState.config.blockHeight);
+  });
+
+  await t.test('collapses the tower when everything above the base topples', () => {
+    const collapses = [];
+    const unsubscribe = gameEvents.on('tower:collapsed', ({ blocks, partial }) => !partial && collapses.push(blocks.length));
+
+    initGame(1, SEED, 'classic');
+    leanRight(6);
+    landDroppedBlocks();
+    unsubscribe();
+
+    assert.deepEqual(collapses, [6]);
+    assert.equal(gameState.isActive, false);
+    assert.equal(gameState.tower.length, 1);
+  });
+
+  await t.test('measures stability every step and warns once when it gets low', () => {
+    let warnings = 0;
+    const unsubscribe = gameEvents.on('tower:unstable', () => warnings++);
+
+    initGame(1, SEED, 'classic');
+    assert.equal(gameState.stability.stability, 1);
+    leanRight(4);
+    landDroppedBlocks();
+    unsubscribe();
+
+    assert.ok(Math.abs(gameState.stability.stability - 0.2) < 1e-9);
+    assert.equal(gameState.stability.isWarning, true);
+    assert.equal(warnings, 1);
+    assert.equal(StackTowerCore.getState().stability, gameState.stability.stability);
+  });
+
+  await t.test('lets the toppled blocks fall after the game ends', () => {
+    initGame(1, SEED, 'classic');
+    leanRight(6);
+    landDroppedBlocks();
+    const tick = gameState.tick;
+
+    StackTowerCore.tick(120);
+    assert.equal(gameState.tick, tick);
+    assert.equal(gameState.fallingSections.length, 0);
+    assert.equal(gameState.fallingBlocks.length, 6);
+    gameState.fallingBlocks.forEach(block => assert.notEqual(block.angle, 0));
+  });
+});
+
+test('level progression', async (t) => {
+  await t.test('advances a level after blocksToComplete blocks', () => {
+    initGame(1, SEED);
+    const blocksToComplete = gameState.currentLevelConfig.blocksToComplete;
+
+    for (let i = 0; i < blocksToComplete - 1; i++) {
+      dropAt(0);
+    }
+    assert.equal(gameState.level, 1);
+
+    dropAt(0);
+    assert.equal(gameState.level, 2);
+    assert.equal(gameState.blocksInCurrentLevel, 0);
+    assert.equal(gameState.blocksPlaced, blocksToComplete);
+    assert.equal(gameState.currentLevelConfig.id, 2);
+    assert.equal(gameState.perfectThreshold, gameState.currentLevelParams.perfectThreshold);
+  });
+
+  await t.test('starts directly on a chosen level', () => {
+    initGame(6, SEED);
+
+    assert.equal(gameState.level, 6);
+    assert.equal(gameState.currentLevelConfig.name, 'Gravity Shift');
+    assert.equal(gameState.perfectThreshold, gameState.currentLevelParams.perfectThreshold);
+    assert.equal(gameState.score, 0);
+  });
+
+  await t.test('adds the bonus points of the completed level to the score', () => {
+    initGame(2, SEED);
+    const blocksToComplete = gameState.currentLevelConfig.blocksToComplete;
+    for (let i = 0; i < blocksToComplete - 1; i++) {
+      dropAt(0);
+    }
+    const scoreBefore = gameState.score;
+
+    const result = dropAt(0);
+    assert.equal(gameState.score - scoreBefore, result.points + LEVELS[1].rewards.bonusPoints);
+  });
+
+  await t.test('holds the next block still during the level transition', () => {
+    initGame(1, SEED);
+    for (let i = 0; i < gameState.currentLevelConfig.blocksToComplete; i++) {
+      dropAt(0);
+    }
+
+    const x = gameState.currentBlock.position.x;
+    StackTowerCore.tick(10);
+    assert.equal(gameState.currentBlock.position.x, x);
+    assert.equal(dropBlock().success, false);
+
+    finishLevelTransition();
+    StackTowerCore.tick(10);
+    assert.notEqual(gameState.currentBlock.position.x, x);
+  });
+
+  await t.test('completes the game after the last block of the last level', () => {
+    let completed = 0;
+    const unsubscribe = gameEvents.on('game:over', ({ reason }) => reason === 'completed' && completed++);
+
+    initGame(LEVELS.length, SEED);
+    let result;
+    for (let i = 0; i < gameState.currentLevelConfig.blocksToComplete; i++) {
+      result = dropAt(0);
+    }
+    unsubscribe();
+
+    assert.equal(result.success, true);
+    assert.equal(result.gameCompleted, true);
+    assert.equal(gameState.isActive, false);
+    assert.equal(gameState.level, LEVELS.length);
+    assert.equal(completed, 1);
+  });
+});
+
+test('endless mode', async (t) => {
+  await t.test('keeps generating levels past the last level', () => {
+    let completed = 0;
+    const unsubscribe = gameEvents.on('game:over', ({ reason }) => reason === 'completed' && completed++);
+
+    initGame(LEVELS.length, SEED, 'endless');
+    for (let i = 0; i < gameState.currentLevelConfig.blocksToComplete; i++) {
+      dropAt(0);
+    }
+    unsubscribe();
+
+    assert.equal(completed, 0);
+    assert.equal(gameState.isActive, true);
+    assert.equal(gameState.level, LEVELS.length + 1);
+    assert.equal(gameState.currentLevelConfig.name, `Level ${LEVELS.length + 1}`);
+  });
+
+  await t.test('reaches milestones instead of plain level completions', () => {
+    const milestones = [];
+    const completions = [];
+    const unsubscribe = gameEvents.on('level:completed', ({ nextLevelConfig, isMilestone }) => {
+      (isMilestone ? milestones : completions).push(nextLevelConfig.id);
+    });
+
+    initGame(8, SEED, 'endless');
+    while (gameState.level < 11) {
+      finishLevelTransition();
+      dropAt(0);
+    }
+    unsubscribe();
+
+    assert.deepEqual(milestones, [10]);
+    assert.deepEqual(completions, [9, 11]);
+  });
+
+  await t.test('is kept by the serialized state', () => {
+    StackTowerCore.start(1, SEED, 'endless');
+    assert.equal(StackTowerCore.getState().mode, 'endless');
+  });
+});
+
+test('level packs', async (t) => {
+  t.afterEach(() => setActiveLevelPack(null));
+
+  /**
+   * Plays a level pack of fixed-width levels that differ only in their mechanics
+   * @param {Array} levelMechanics - Mechanics list of each level
+   */
+  function playPack(levelMechanics) {
+    setActiveLevelPack(parseLevelPack(JSON.stringify({
+      version: LEVEL_PACK_VERSION,
+      name: 'Test Pack',
+      levels: levelMechanics.map(mechanics => ({
+        name: 'Drill',
+        blocksToComplete: 2,
+        blockSpeed: 1,
+        blockWidthRange: { min: 100, max: 100 },
+        perfectThreshold: 0.6,
+        mechanics
+      }))
+    })));
+    initGame(1, SEED, 'classic');
+  }
+
+  await t.test('shapes blocks with every mechanic a level combines', () => {
+    playPack([[
+      { type: 'size_reduction', perBlock: 0.1, minScale: 0.5 },
+      { type: 'speed_boost', perBlock: 0.5 }
+    ]]);
+    assert.equal(gameState.currentBlock.width, 100);
+
+    dropAt(0);
+    assert.equal(gameState.currentBlock.width, 90);
+    assert.equal(Math.abs(gameState.currentBlock.speed), 1.5);
+  });
+
+  await t.test('uses the combo multiplier the level sets', () => {
+    const multipliers = [];
+    const unsubscribe = gameEvents.on('block:perfect', ({ comboMultiplier }) => multipliers.push(comboMultiplier));
+
+    playPack([[{ type: 'precision_challenge', comboMultiplier: 3 }]]);
+    dropAt(0);
+    unsubscribe();
+
+    assert.deepEqual(multipliers, [3]);
+  });
+
+  await t.test('completes the game after the last level of the pack', () => {
+    playPack([[], [{ type: 'wind_effect' }]]);
+    dropAt(0);
+    dropAt(0);
+    finishLevelTransition();
+    dropAt(0);
+    const result = dropAt(0);
+
+    assert.equal(result.gameCompleted, true);
+    assert.equal(gameState.level, 2);
+  });
+});
+
+test('saving and restoring', async (t) => {
+  /**
+   * Drops blocks as they pass over the middle of the tower
+   * @param {number} drops - Number of blocks to drop
+   * @param {number} settle - Steps to run after the last drop
+   * @returns {Object} Serializable game state afterwards
+   */
+  const play = (drops, settle) => {
+    const centerOf = block => block.position.x + block.width / 2;
+    for (let i = 0; i < drops; i++) {
+      StackTowerCore.tickUntil(state => state.levelTransitionRemaining === 0 && Math.abs(
+        centerOf(state.currentBlock) - centerOf(state.tower[state.tower.length - 1])
+      ) < 10);
+      StackTowerCore.drop();
+    }
+    StackTowerCore.tick(settle);
+    return StackTowerCore.getState();
+  };
+
+  await t.test('carries on a restored run exactly as if it had never stopped', () => {
+    StackTowerCore.start(1, SEED, 'endless');
+    play(3, 3);
+    assert.ok(gameState.tower.some(block => block.isLanding), 'saved while a block is still falling');
+    const saved = JSON.parse(JSON.stringify(StackTowerCore.getState()));
+    const uninterrupted = play(6, 200);
+
+    initGame(3, SEED + 1, 'classic');
+    StackTowerCore.tick(50);
+    restoreState(saved);
+    assert.deepEqual(play(6, 200), uninterrupted);
+  });
+
+  await t.test('restores the settings of a generated endless level', () => {
+    initGame(12, SEED, 'endless');
+    const saved = StackTowerCore.getState();
+
+    initGame(1, SEED, 'classic');
+    restoreState(saved);
+    assert.equal(gameState.level, 12);
+    assert.deepEqual(gameState.currentLevelConfig, saved.currentLevelConfig);
+    assert.deepEqual(gameState.currentLevelParams, saved.currentLevelParams);
+    assert.equal(gameState.perfectThreshold, saved.perfectThreshold);
+  });
+
+  await t.test('keeps the next level waiting for the rest of the level transition', () => {
+    initGame(1, SEED);
+    for (let i = 0; i < gameState.currentLevelConfig.blocksToComplete; i++) {
+      dropAt(0);
+    }
+    StackTowerCore.tick(30);
+    const saved = StackTowerCore.getState();
+
+    initGame(1, SEED);
+    restoreState(saved);
+    assert.equal(gameState.levelTransitionRemaining, saved.levelTransitionRemaining);
+    assert.equal(dropBlock().success, false);
+  });
+
+  await t.test('falls back to the level defaults for snapshots without them', () => {
+    initGame(1, SEED);
+    const { currentLevelConfig, currentLevelParams, perfectThreshold, ...older } = StackTowerCore.getState();
+    older.level = 6;
+    delete older.version;
+
+    restoreState(older);
+    assert.equal(gameState.currentLevelConfig.name, 'Gravity Shift');
+    assert.equal(gameState.perfectThreshold, gameState.currentLevelParams.perfectThreshold);
+  });
+
+  await t.test('turns away a snapshot from another version', () => {
+    initGame(1, SEED);
+    const saved = { ...StackTowerCore.getState(), version: STATE_VERSION + 1 };
+
+    assert.throws(() => restoreState(saved), /Unsupported save version 2; expected 1/);
+  });
+});
+
+test('StackTowerCore', async (t) => {
+  await t.test('replays identically from the same seed and drop ticks', () => {
+    const play = () => {
+      StackTowerCore.start(1, SEED);
+      for (const ticks of [90, 150, 60, 400, 120, 300]) {
+        StackTowerCore.tick(ticks);
+        StackTowerCore.drop();
+      }
+      return StackTowerCore.getState();
+    };
+
+    assert.deepEqual(play(), play());
+  });
+});
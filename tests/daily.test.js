@@ -0,0 +1,69 @@
+/**
+ * @file daily.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for daily challenge streaks.
+ *
+ * @dependencies
+ * - headless.js: Node loader providing the level helpers as globals
+ * - daily.js: Daily challenge results and streaks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../js/games/physics-stack-tower/headless.js');
+const { shiftDateKey, calculateDailyStreaks } = require('../js/games/physics-stack-tower/daily.js');
+
+/**
+ * Builds daily results for a list of date keys
+ * @param {Array} dateKeys - Days with an official attempt
+ * @returns {Object} Results by date key
+ */
+function resultsFor(dateKeys) {
+  return Object.fromEntries(dateKeys.map(dateKey => [dateKey, { status: 'complete', score: 100 }]));
+}
+
+test('shiftDateKey', () => {
+  assert.equal(shiftDateKey('2025-03-01', -1), '2025-02-28');
+  assert.equal(shiftDateKey('2024-02-28', 1), '2024-02-29');
+  assert.equal(shiftDateKey('2025-12-31', 1), '2026-01-01');
+});
+
+test('calculateDailyStreaks', async (t) => {
+  await t.test('counts consecutive days ending today', () => {
+    const results = resultsFor(['2025-06-01', '2025-06-02', '2025-06-03']);
+    assert.deepEqual(calculateDailyStreaks(results, '2025-06-03'), { current: 3, best: 3 });
+  });
+
+  await t.test('keeps the streak alive until today is played', () => {
+    const results = resultsFor(['2025-06-01', '2025-06-02']);
+    assert.equal(calculateDailyStreaks(results, '2025-06-03').current, 2);
+  });
+
+  await t.test('resets after a missed day but remembers the best streak', () => {
+    const results = resultsFor(['2025-05-28', '2025-05-29', '2025-05-30', '2025-06-02', '2025-06-03']);
+    assert.deepEqual(calculateDailyStreaks(results, '2025-06-03'), { current: 2, best: 3 });
+    assert.equal(calculateDailyStreaks(results, '2025-06-05').current, 0);
+  });
+
+  await t.test('counts streaks across month and year boundaries', () => {
+    const results = resultsFor(['2025-12-30', '2025-12-31', '2026-01-01']);
+    assert.deepEqual(calculateDailyStreaks(results, '2026-01-01'), { current: 3, best: 3 });
+  });
+
+  await t.test('counts failed and abandoned attempts as played', () => {
+    const results = {
+      '2025-06-01': { status: 'failed', score: 0 },
+      '2025-06-02': { status: 'abandoned', score: 0 }
+    };
+    assert.equal(calculateDailyStreaks(results, '2025-06-02').current, 2);
+  });
+
+  await t.test('is zero without any results', () => {
+    assert.deepEqual(calculateDailyStreaks({}, '2025-06-02'), { current: 0, best: 0 });
+  });
+});
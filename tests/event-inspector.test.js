@@ -0,0 +1,151 @@
+/**
+ * @file event-inspector.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the event inspector: recording emissions from a bus, payload
+ * snapshots, name filters, pausing and replaying into a fresh bus.
+ *
+ * @dependencies
+ * - events.js: Event bus
+ * - event-inspector.js: Event bus inspector
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EventSystem } = require('../js/utils/events.js');
+const { snapshotPayload, matchesEventFilter, EventInspector } = require('../js/utils/event-inspector.js');
+
+/**
+ * Creates a bus and an inspector recording it, on a clock that advances 10 ms per reading
+ * @param {Object} options - Inspector options
+ * @returns {Object} Bus and inspector ({ bus, inspector })
+ */
+function inspectBus(options = {}) {
+  let clock = 0;
+  const bus = new EventSystem({ dom: false });
+  const inspector = new EventInspector({ now: () => (clock += 10), ...options });
+  inspector.attach(bus, 'game');
+  return { bus, inspector };
+}
+
+test('snapshotPayload', async (t) => {
+  await t.test('keeps the payload as it was when emitted', () => {
+    const block = { position: { x: 10 } };
+    const snapshot = snapshotPayload({ block });
+    block.position.x = 50;
+
+    assert.deepEqual(snapshot, { block: { position: { x: 10 } } });
+  });
+
+  await t.test('copes with missing payloads and repeated objects', () => {
+    const block = { id: 1 };
+    block.self = block;
+
+    assert.equal(snapshotPayload(undefined), null);
+    assert.deepEqual(snapshotPayload({ block }), { block: { id: 1, self: '[Repeated]' } });
+  });
+});
+
+test('matchesEventFilter', async (t) => {
+  await t.test('matches everything with an empty filter', () => {
+    assert.equal(matchesEventFilter('block:dropped', ''), true);
+    assert.equal(matchesEventFilter('block:dropped', ' , '), true);
+  });
+
+  await t.test('matches prefixes, parts of names and any of several terms', () => {
+    assert.equal(matchesEventFilter('block:dropped', 'block:*'), true);
+    assert.equal(matchesEventFilter('game:over', 'block:*'), false);
+    assert.equal(matchesEventFilter('level:completed', 'complete'), true);
+    assert.equal(matchesEventFilter('game:over', 'block:*, game:over'), true);
+  });
+});
+
+test('EventInspector', async (t) => {
+  await t.test('records every emission in order with its time, source and payload', () => {
+    const { bus, inspector } = inspectBus();
+    bus.emit('block:dropped', { points: 15 });
+    bus.emit('game:over', { reason: 'missed' });
+
+    assert.deepEqual(inspector.entries.map(({ time, source, name, payload }) => ({ time, source, name, payload })), [
+      { time: 10, source: 'game', name: 'block:dropped', payload: { points: 15 } },
+      { time: 20, source: 'game', name: 'game:over', payload: { reason: 'missed' } }
+    ]);
+  });
+
+  await t.test('records an event before the listeners that react to it', () => {
+    const { bus, inspector } = inspectBus();
+    bus.on('block:dropped', () => bus.emit('state:changed'), { priority: 100 });
+    bus.emit('block:dropped');
+
+    assert.deepEqual(inspector.entries.map(entry => entry.name), ['block:dropped', 'state:changed']);
+  });
+
+  await t.test('records the context of each emission', () => {
+    let tick = 0;
+    const { bus, inspector } = inspectBus({ context: () => ({ tick }) });
+    tick = 42;
+    bus.emit('block:dropped');
+
+    assert.deepEqual(inspector.entries[0].context, { tick: 42 });
+  });
+
+  await t.test('skips ignored events and drops the oldest entries past the limit', () => {
+    const { bus, inspector } = inspectBus({ limit: 2, ignore: ['game:step'] });
+    ['block:spawned', 'game:step', 'block:dropped', 'state:changed'].forEach(name => bus.emit(name));
+
+    assert.deepEqual(inspector.entries.map(entry => entry.name), ['block:dropped', 'state:changed']);
+  });
+
+  await t.test('filters entries by name', () => {
+    const { bus, inspector } = inspectBus();
+    ['block:spawned', 'combo:changed', 'block:dropped'].forEach(name => bus.emit(name));
+
+    assert.deepEqual(inspector.getEntries('block:*').map(entry => entry.name), ['block:spawned', 'block:dropped']);
+  });
+
+  await t.test('holds updates while paused but keeps recording', () => {
+    const { bus, inspector } = inspectBus();
+    let updates = 0;
+    inspector.subscribe(() => updates++);
+
+    inspector.setPaused(true);
+    bus.emit('block:dropped');
+    bus.emit('state:changed');
+    assert.equal(updates, 0);
+    assert.equal(inspector.missedWhilePaused, 2);
+    assert.equal(inspector.entries.length, 2);
+
+    inspector.setPaused(false);
+    assert.equal(updates, 1);
+    assert.equal(inspector.missedWhilePaused, 0);
+  });
+
+  await t.test('replays a captured sequence into a fresh bus', () => {
+    const { bus, inspector } = inspectBus();
+    bus.emit('block:dropped', { points: 15 });
+    bus.emit('combo:changed', { comboStreak: 0 });
+    bus.emit('game:over', { reason: 'missed' });
+
+    const fresh = new EventSystem({ dom: false });
+    const replayed = [];
+    fresh.on('*', (data, name) => replayed.push([name, data]));
+
+    assert.equal(inspector.replay(fresh, inspector.getEntries('block:*, game:*')), 2);
+    assert.deepEqual(replayed, [['block:dropped', { points: 15 }], ['game:over', { reason: 'missed' }]]);
+  });
+
+  await t.test('stops recording a detached bus', () => {
+    const bus = new EventSystem({ dom: false });
+    const inspector = new EventInspector({ now: () => 0 });
+    const detach = inspector.attach(bus, 'game');
+
+    bus.emit('block:dropped');
+    detach();
+    bus.emit('block:dropped');
+    assert.equal(inspector.entries.length, 1);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @file events.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the event bus: listener order and priorities, wildcards,
+ * one-off listeners, documented events and the DOM-free mode.
+ *
+ * @dependencies
+ * - events.js: Event bus
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EventSystem } = require('../js/utils/events.js');
+
+const EVENTS = {
+  'block:dropped': '{ block }',
+  'block:perfect': '{ block }',
+  'game:over': '{ reason }'
+};
+
+test('EventSystem', async (t) => {
+  await t.test('calls listeners with the payload and the event name', () => {
+    const bus = new EventSystem({ dom: false });
+    const calls = [];
+    bus.on('block:dropped', (data, name) => calls.push([data, name]));
+
+    bus.emit('block:dropped', { points: 15 });
+    assert.deepEqual(calls, [[{ points: 15 }, 'block:dropped']]);
+  });
+
+  await t.test('calls higher priorities first, then listeners in the order they were added', () => {
+    const bus = new EventSystem({ dom: false });
+    const order = [];
+    bus.on('game:over', () => order.push('first'));
+    bus.on('game:over', () => order.push('urgent'), { priority: 10 });
+    bus.on('game:over', () => order.push('second'));
+    bus.on('game:over', () => order.push('late'), { priority: -1 });
+
+    bus.emit('game:over');
+    assert.deepEqual(order, ['urgent', 'first', 'second', 'late']);
+  });
+
+  await t.test('matches namespace and catch-all wildcards', () => {
+    const bus = new EventSystem({ dom: false });
+    const blockEvents = [];
+    const allEvents = [];
+    bus.on('block:*', (data, name) => blockEvents.push(name));
+    bus.on('*', (data, name) => allEvents.push(name));
+
+    bus.emit('block:dropped');
+    bus.emit('block:perfect');
+    bus.emit('game:over');
+    assert.deepEqual(blockEvents, ['block:dropped', 'block:perfect']);
+    assert.deepEqual(allEvents, ['block:dropped', 'block:perfect', 'game:over']);
+  });
+
+  await t.test('orders wildcard listeners by priority with the exact ones', () => {
+    const bus = new EventSystem({ dom: false });
+    const order = [];
+    bus.on('block:dropped', () => order.push('exact'));
+    bus.on('*', () => order.push('wildcard'), { priority: 1 });
+
+    bus.emit('block:dropped');
+    assert.deepEqual(order, ['wildcard', 'exact']);
+  });
+
+  await t.test('stops calling a listener once unsubscribed', () => {
+    const bus = new EventSystem({ dom: false });
+    let calls = 0;
+    const unsubscribe = bus.on('game:over', () => calls++);
+
+    bus.emit('game:over');
+    unsubscribe();
+    bus.emit('game:over');
+    assert.equal(calls, 1);
+  });
+
+  await t.test('calls a once listener a single time', () => {
+    const bus = new EventSystem({ dom: false });
+    let calls = 0;
+    bus.once('game:over', () => calls++);
+
+    bus.emit('game:over');
+    bus.emit('game:over');
+    assert.equal(calls, 1);
+  });
+
+  await t.test('keeps calling listeners after one fails', (t) => {
+    const bus = new EventSystem({ dom: false });
+    const errors = t.mock.method(console, 'error', () => {});
+    let calls = 0;
+    bus.on('game:over', () => {
+      throw new Error('broken listener');
+    });
+    bus.on('game:over', () => calls++);
+
+    bus.emit('game:over');
+    assert.equal(calls, 1);
+    assert.equal(errors.mock.callCount(), 1);
+  });
+
+  await t.test('rejects events a typed bus does not document', () => {
+    const bus = new EventSystem({ events: EVENTS, dom: false });
+
+    assert.throws(() => bus.emit('block:droped'), /Unknown event "block:droped"/);
+    assert.throws(() => bus.on('tower:collapsed', () => {}), /expected one of block:dropped, block:perfect, game:over/);
+    assert.throws(() => bus.on('tower:*', () => {}), /Unknown event "tower:\*"/);
+    assert.throws(() => bus.on('block*', () => {}), /Unknown event "block\*"/);
+    assert.doesNotThrow(() => bus.on('block:*', () => {}));
+    assert.doesNotThrow(() => bus.on('*', () => {}));
+  });
+
+  await t.test('runs without a document', () => {
+    const bus = new EventSystem();
+    let calls = 0;
+    bus.on('game:over', () => calls++);
+
+    assert.equal(bus.dom, false);
+    bus.emit('game:over');
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @file ghost.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the personal-best ghost's storage keys and which runs race one.
+ *
+ * @dependencies
+ * - ghost.js: Personal-best ghost
+ * - levels.js: Daily challenge generation and level packs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../js/games/physics-stack-tower/headless.js');
+const { getGhostKey, loadRunGhost } = require('../js/games/physics-stack-tower/ghost.js');
+const {
+  LEVEL_PACK_VERSION,
+  generateDailyChallenge,
+  parseLevelPack,
+  setActiveLevelPack
+} = require('../js/games/physics-stack-tower/levels.js');
+
+test('getGhostKey', async (t) => {
+  await t.test('keys a ghost by mode and starting level', () => {
+    assert.equal(getGhostKey('classic', 1, 111), 'classic:1');
+    assert.equal(getGhostKey('classic', 1, 222), getGhostKey('classic', 1, 111));
+    assert.notEqual(getGhostKey('endless', 1, 111), getGhostKey('classic', 1, 111));
+  });
+
+  await t.test('keeps a ghost for each day\'s daily challenge', () => {
+    const today = generateDailyChallenge(new Date(2025, 5, 1));
+    const tomorrow = generateDailyChallenge(new Date(2025, 5, 2));
+
+    assert.notEqual(getGhostKey('daily', 1, today.seed), getGhostKey('daily', 1, tomorrow.seed));
+    assert.equal(getGhostKey('daily', 1, today.seed), getGhostKey('daily', 1, generateDailyChallenge(new Date(2025, 5, 1)).seed));
+  });
+});
+
+test('loadRunGhost', async (t) => {
+  // A stored best run for classic level 1, as saveGhostIfBest keeps it
+  const best = { mode: 'classic', level: 1, seed: 111, track: { placements: [], samples: [] }, result: { score: 500 } };
+  globalThis.StorageManager = { load: () => ({ [getGhostKey('classic', 1, 111)]: best }) };
+
+  t.after(() => {
+    delete globalThis.StorageManager;
+    setActiveLevelPack(null);
+  });
+
+  await t.test('races the best run on the built-in levels', () => {
+    assert.equal(loadRunGhost('classic', 1, 222).replay, best);
+  });
+
+  await t.test('races no ghost on a level pack, whose levels the stored ghosts were not played on', () => {
+    setActiveLevelPack(parseLevelPack(JSON.stringify({
+      version: LEVEL_PACK_VERSION,
+      name: 'Ghost Pack',
+      levels: [{
+        name: 'Pack Level',
+        blocksToComplete: 5,
+        blockSpeed: 1,
+        blockWidthRange: { min: 100, max: 100 },
+        perfectThreshold: 0.6
+      }]
+    })));
+
+    assert.equal(loadRunGhost('classic', 1, 222), null);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * @file helpers.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the general helpers: escaping text from level packs before it
+ * is shown as HTML.
+ *
+ * @dependencies
+ * - helpers.js: General utility helpers
+ * - levels.js: Level pack parsing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../js/games/physics-stack-tower/headless.js');
+const Helpers = require('../js/utils/helpers.js');
+const { LEVEL_PACK_VERSION, parseLevelPack } = require('../js/games/physics-stack-tower/levels.js');
+
+test('Helpers.escapeHtml', async (t) => {
+  await t.test('shows markup in a level pack as text', () => {
+    const pack = parseLevelPack(JSON.stringify({
+      version: LEVEL_PACK_VERSION,
+      name: 'Markup Pack',
+      levels: [{
+        name: '<img src=x onerror="alert(1)">',
+        description: "Tom & Jerry's <b>level</b>",
+        blocksToComplete: 3,
+        blockSpeed: 1,
+        blockWidthRange: { min: 100, max: 120 },
+        perfectThreshold: 0.6
+      }]
+    }));
+    const level = pack.levels[0];
+
+    assert.equal(Helpers.escapeHtml(level.name), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    assert.equal(Helpers.escapeHtml(level.description), 'Tom &amp; Jerry&#39;s &lt;b&gt;level&lt;/b&gt;');
+  });
+
+  await t.test('leaves plain text as it is', () => {
+    assert.equal(Helpers.escapeHtml('Gravity Shift'), 'Gravity Shift');
+    assert.equal(Helpers.escapeHtml(42), '42');
+  });
+});
@@ -0,0 +1,402 @@
+/**
+ * @file levels.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for level parameters, endless scaling, level packs and daily
+ * challenges.
+ *
+ * @dependencies
+ * - levels.js: Level configurations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  LEVELS,
+  SPAWN_PATTERNS,
+  LEVEL_PACK_VERSION,
+  ENDLESS_MODE,
+  getLevelConfig,
+  isEndlessMilestone,
+  calculateLevelParameters,
+  applyEndlessScaling,
+  validateLevel,
+  validateLevelPack,
+  parseLevelPack,
+  loadLevelPack,
+  encodeLevelPack,
+  decodeLevelPack,
+  setActiveLevelPack,
+  getActiveLevels,
+  getDateKey,
+  getDailySeed,
+  getDailyChallengeConfig,
+  generateDailyChallenge,
+  isLevelUnlocked,
+  getAvailableLevels,
+  calculateExperience
+} = require('../js/games/physics-stack-tower/levels.js');
+
+const EXAMPLE_PACK = path.join(__dirname, '../games/physics-stack-tower/packs/practice-drills.json');
+
+/**
+ * Builds a valid one-level pack, with changes to its level
+ * @param {Object} changes - Fields to set on the level (default: none)
+ * @returns {Object} Level pack
+ */
+function packWith(changes = {}) {
+  return {
+    version: LEVEL_PACK_VERSION,
+    name: 'Test Pack',
+    levels: [{
+      name: 'Drill',
+      blocksToComplete: 3,
+      blockSpeed: 1,
+      blockWidthRange: { min: 80, max: 120 },
+      perfectThreshold: 0.6,
+      ...changes
+    }]
+  };
+}
+
+test('calculateLevelParameters', async (t) => {
+  await t.test('takes speed, widths and threshold from the level definition', () => {
+    for (const level of LEVELS) {
+      const params = calculateLevelParameters(level.id);
+      assert.equal(params.blockSpeed, level.blockSpeed);
+      assert.deepEqual(params.blockWidthRange, level.blockWidthRange);
+      assert.equal(params.perfectThreshold, level.perfectThreshold);
+      assert.equal(params.pointsPerBlock, 10);
+    }
+  });
+
+  await t.test('leaves the level definitions untouched', () => {
+    const before = JSON.stringify(LEVELS);
+    for (let level = 1; level <= 20; level++) {
+      calculateLevelParameters(level);
+    }
+    assert.equal(JSON.stringify(LEVELS), before);
+  });
+
+  await t.test('returns a synthetic config for levels past the last', () => {
+    const config = getLevelConfig(LEVELS.length + 1);
+    assert.equal(config.id, LEVELS.length + 1);
+    assert.equal(config.name, `Level ${LEVELS.length + 1}`);
+    assert.equal(config.blocksToComplete, ENDLESS_MODE.blocksPerLevel);
+  });
+
+  await t.test('rotates generated levels through the built-in mechanics', () => {
+    const builtIn = LEVELS.map(level => level.mechanics).filter(mechanics => mechanics[0].type !== 'tutorial');
+    const generated = builtIn.map((mechanics, i) => getLevelConfig(LEVELS.length + 1 + i).mechanics);
+
+    assert.deepEqual(generated, builtIn);
+    assert.deepEqual(getLevelConfig(LEVELS.length + 1 + builtIn.length).mechanics, builtIn[0]);
+  });
+});
+
+test('applyEndlessScaling', async (t) => {
+  const base = {
+    blockSpeed: 1.5,
+    blockWidthRange: { min: 50, max: 90 },
+    perfectThreshold: 0.8,
+    pointsPerBlock: 10
+  };
+
+  await t.test('scales speed and points up with the level', () => {
+    const scaled = applyEndlessScaling(base, 15);
+    assert.ok(scaled.blockSpeed > base.blockSpeed);
+    assert.ok(scaled.pointsPerBlock > base.pointsPerBlock);
+    assert.ok(applyEndlessScaling(base, 20).blockSpeed > scaled.blockSpeed);
+  });
+
+  await t.test('keeps block widths above their floors', () => {
+    const scaled = applyEndlessScaling(base, 200);
+    assert.equal(scaled.blockWidthRange.min, 30);
+    assert.equal(scaled.blockWidthRange.max, 60);
+  });
+
+  await t.test('caps the perfect threshold below 1', () => {
+    assert.equal(applyEndlessScaling(base, 200).perfectThreshold, 0.99);
+  });
+
+  await t.test('never makes a generated level easier than its base config', () => {
+    for (let level = LEVELS.length + 1; level <= LEVELS.length + 10; level++) {
+      const scaled = applyEndlessScaling(base, level);
+      assert.ok(scaled.blockSpeed > base.blockSpeed);
+      assert.ok(scaled.perfectThreshold > base.perfectThreshold);
+      assert.ok(scaled.blockWidthRange.min < base.blockWidthRange.min);
+    }
+  });
+
+  await t.test('is applied by calculateLevelParameters past the last level', () => {
+    const level = 15;
+    const unscaled = getLevelConfig(level);
+    assert.ok(calculateLevelParameters(level).blockSpeed > unscaled.blockSpeed);
+  });
+});
+
+test('validateLevelPack', async (t) => {
+  await t.test('accepts the built-in levels as a pack', () => {
+    assert.deepEqual(validateLevelPack({ version: LEVEL_PACK_VERSION, name: 'Built-in', levels: LEVELS }), []);
+  });
+
+  await t.test('accepts a level with only the required fields', () => {
+    assert.deepEqual(validateLevelPack(packWith()), []);
+  });
+
+  await t.test('names each missing or mistyped field with the values it takes', () => {
+    const { name, ...level } = packWith().levels[0];
+    const errors = validateLevel({ ...level, blockSpeed: 'fast', spawnPattern: 'spiral' }, 'levels[0]');
+
+    assert.deepEqual(errors, [
+      'levels[0].name is missing; it must be text',
+      'levels[0].blockSpeed must be a number from 0.05 to 5, got "fast"',
+      'levels[0].spawnPattern must be one of "slide", "alternate", "swing", "scatter", got "spiral"'
+    ]);
+  });
+
+  await t.test('rejects values out of range and inverted width ranges', () => {
+    const errors = validateLevelPack(packWith({ perfectThreshold: 1.5, blockWidthRange: { min: 150, max: 100 } }));
+
+    assert.deepEqual(errors, [
+      'levels[0].perfectThreshold must be a number from 0.05 to 1, got 1.5',
+      'levels[0].blockWidthRange.min (150) must not be larger than its max (100)'
+    ]);
+  });
+
+  await t.test('reports misspelt fields instead of ignoring them', () => {
+    assert.deepEqual(validateLevelPack(packWith({ blockspeed: 2 })), ['levels[0].blockspeed is not a known field']);
+  });
+
+  await t.test('checks each mechanic against its own settings', () => {
+    const errors = validateLevelPack(packWith({
+      mechanics: [
+        { type: 'crane', ropeLength: 1000 },
+        { type: 'wind_effect', gusts: 3 },
+        { type: 'lava' }
+      ]
+    }));
+
+    assert.equal(errors.length, 3);
+    assert.equal(errors[0], 'levels[0].mechanics[0].ropeLength must be a number from 50 to 400, got 1000');
+    assert.equal(errors[1], 'levels[0].mechanics[1].gusts is not a known field');
+    assert.match(errors[2], /^levels\[0\]\.mechanics\[2\]\.type must be one of .*"crane".*, got "lava"$/);
+  });
+
+  await t.test('requires a supported version and at least one level', () => {
+    assert.deepEqual(validateLevelPack({ version: 2, name: 'Future', levels: [] }), [
+      'version must be one of 1, got 2',
+      'levels must list at least one level'
+    ]);
+  });
+
+  await t.test('only lets an id confirm the level\'s position', () => {
+    const pack = packWith({ id: 4 });
+    assert.deepEqual(validateLevelPack(pack), ['levels[0].id must be 1, its position in the pack, got 4']);
+  });
+});
+
+test('parseLevelPack', async (t) => {
+  await t.test('numbers the levels and fills in optional fields and mechanic settings', () => {
+    const pack = parseLevelPack(JSON.stringify(packWith({ mechanics: [{ type: 'crane', ropeLength: 150 }] })));
+    const level = pack.levels[0];
+
+    assert.equal(pack.name, 'Test Pack');
+    assert.equal(level.id, 1);
+    assert.equal(level.spawnPattern, 'slide');
+    assert.deepEqual(level.rewards, { unlockNext: true, bonusPoints: 0 });
+    assert.deepEqual(level.mechanics, [
+      { type: 'crane', ropeLength: 150, swingAngle: 0.6, damping: 0.0003, trolleySpeed: 0.25 }
+    ]);
+  });
+
+  await t.test('lists every problem in the error it throws', () => {
+    const text = JSON.stringify(packWith({ blockSpeed: -1, difficulty: 9 }));
+
+    assert.throws(() => parseLevelPack(text), {
+      message: 'Invalid level pack:\n' +
+        '- levels[0].difficulty must be a whole number from 1 to 5, got 9\n' +
+        '- levels[0].blockSpeed must be a number from 0.05 to 5, got -1'
+    });
+  });
+
+  await t.test('rejects text that is not JSON', () => {
+    assert.throws(() => parseLevelPack('{ levels: '), /^Error: Level pack is not valid JSON/);
+  });
+});
+
+test('loadLevelPack', async (t) => {
+  await t.test('loads the example pack from a file', async () => {
+    const pack = await loadLevelPack(new Blob([fs.readFileSync(EXAMPLE_PACK)]));
+
+    assert.equal(pack.name, 'Practice Drills');
+    assert.deepEqual(pack.levels.map(level => level.id), [1, 2, 3]);
+  });
+
+  await t.test('reports a pack file that cannot be fetched', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 404, statusText: 'Not Found' }));
+
+    await assert.rejects(loadLevelPack('packs/missing.json'), {
+      message: 'Could not load level pack packs/missing.json: 404 Not Found'
+    });
+  });
+});
+
+test('level pack share codes', async (t) => {
+  const pack = parseLevelPack(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+
+  await t.test('decode to the pack they were encoded from', async () => {
+    assert.deepEqual(await decodeLevelPack(await encodeLevelPack(pack)), pack);
+  });
+
+  await t.test('fit in a URL fragment and are shorter than the pack\'s JSON', async () => {
+    const code = await encodeLevelPack(pack);
+
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.ok(code.length < JSON.stringify(pack).length);
+  });
+
+  await t.test('keep text outside ASCII', async () => {
+    const named = { ...pack, name: 'Tour de Blöcke 🏗️' };
+    assert.equal((await decodeLevelPack(await encodeLevelPack(named))).name, 'Tour de Blöcke 🏗️');
+  });
+
+  await t.test('report a damaged code', async () => {
+    const code = await encodeLevelPack(pack);
+
+    await assert.rejects(decodeLevelPack(code.slice(0, 40)), /^Error: Level pack link is damaged/);
+    await assert.rejects(decodeLevelPack('not a code!'), /^Error: Level pack link is damaged/);
+  });
+
+  await t.test('validate the pack they hold', async () => {
+    const code = await encodeLevelPack(packWith({ blockSpeed: 'fast' }));
+
+    await assert.rejects(decodeLevelPack(code), /levels\[0\]\.blockSpeed must be a number from 0\.05 to 5, got "fast"/);
+  });
+});
+
+test('active level pack', async (t) => {
+  const pack = parseLevelPack(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+  t.afterEach(() => setActiveLevelPack(null));
+
+  await t.test('plays the built-in levels until a pack is set', () => {
+    assert.equal(getActiveLevels(), LEVELS);
+  });
+
+  await t.test('takes level configs and parameters from the active pack', () => {
+    setActiveLevelPack(pack);
+
+    assert.equal(getLevelConfig(2).name, 'Shrinking Sprint');
+    assert.equal(calculateLevelParameters(3).blockSpeed, 1.0);
+  });
+
+  await t.test('generates endless levels past the pack\'s last level from its mechanics', () => {
+    setActiveLevelPack(pack);
+    const config = getLevelConfig(pack.levels.length + 1);
+
+    assert.equal(config.name, `Level ${pack.levels.length + 1}`);
+    assert.deepEqual(config.mechanics, pack.levels[0].mechanics);
+    assert.ok(calculateLevelParameters(pack.levels.length + 1).blockSpeed > config.blockSpeed);
+  });
+});
+
+test('isLevelUnlocked', async (t) => {
+  await t.test('always unlocks the first level', () => {
+    assert.equal(isLevelUnlocked(1, 0), true);
+  });
+
+  await t.test('unlocks each level once the one before it is completed', () => {
+    assert.equal(isLevelUnlocked(2, 0), false);
+    assert.equal(isLevelUnlocked(2, 1), true);
+    assert.equal(isLevelUnlocked(5, 3), false);
+    assert.equal(isLevelUnlocked(5, 4), true);
+  });
+
+  await t.test('lists the available levels for the progress made', () => {
+    assert.deepEqual(getAvailableLevels(0), [1]);
+    assert.deepEqual(getAvailableLevels(3), [1, 2, 3, 4]);
+    assert.deepEqual(getAvailableLevels(LEVELS.length), LEVELS.map(level => level.id));
+  });
+});
+
+test('level difficulty', () => {
+  for (const level of LEVELS) {
+    assert.ok(Number.isInteger(level.difficulty) && level.difficulty >= 1 && level.difficulty <= 5, level.name);
+  }
+});
+
+test('level spawn patterns', () => {
+  for (const level of [...LEVELS, getLevelConfig(LEVELS.length + 1)]) {
+    assert.ok(level.spawnPattern in SPAWN_PATTERNS, level.name);
+  }
+});
+
+test('calculateExperience', () => {
+  assert.equal(calculateExperience(1, 0, 0), 10);
+  assert.equal(calculateExperience(3, 450, 2), 30 + 4 + 10);
+});
+
+test('isEndlessMilestone', () => {
+  assert.equal(isEndlessMilestone(ENDLESS_MODE.milestoneInterval), true);
+  assert.equal(isEndlessMilestone(ENDLESS_MODE.milestoneInterval * 2), true);
+  assert.equal(isEndlessMilestone(ENDLESS_MODE.milestoneInterval + 1), false);
+});
+
+test('generateDailyChallenge', async (t) => {
+  await t.test('returns the same challenge for the same day', () => {
+    const morning = generateDailyChallenge(new Date(2025, 5, 1, 8));
+    const evening = generateDailyChallenge(new Date(2025, 5, 1, 22));
+    assert.deepEqual(morning, evening);
+  });
+
+  await t.test('tags the challenge with its day and rewards', () => {
+    const date = new Date(2025, 5, 1);
+    const challenge = generateDailyChallenge(date);
+    assert.equal(challenge.date, date.toDateString());
+    assert.equal(challenge.rewards.bonusPoints, challenge.blocks * 20);
+    assert.equal(challenge.rewards.achievement, `Daily: ${challenge.name}`);
+  });
+
+  await t.test('gives every day of the year its own seed', () => {
+    const seeds = new Set();
+    for (let day = 0; day < 366 * 3; day++) {
+      seeds.add(getDailySeed(new Date(2024, 0, 1 + day)));
+    }
+    assert.equal(seeds.size, 366 * 3);
+  });
+
+  await t.test('carries the seed and date key of its day', () => {
+    const date = new Date(2025, 0, 9);
+    const challenge = generateDailyChallenge(date);
+    assert.equal(challenge.dateKey, '2025-01-09');
+    assert.equal(challenge.seed, 20250109);
+  });
+
+  await t.test('draws different challenges across days', () => {
+    const names = new Set();
+    for (let day = 1; day <= 28; day++) {
+      names.add(generateDailyChallenge(new Date(2025, 1, day)).name);
+    }
+    assert.ok(names.size > 1);
+  });
+});
+
+test('getDailyChallengeConfig', () => {
+  const date = new Date(2025, 5, 1);
+  const daily = generateDailyChallenge(date);
+  const config = getDailyChallengeConfig(daily.seed);
+
+  assert.equal(config.name, `Daily: ${daily.name}`);
+  assert.equal(config.specialRules.blocks, daily.blocks);
+});
+
+test('getDateKey', () => {
+  assert.equal(getDateKey(new Date(2025, 11, 31, 23, 59)), '2025-12-31');
+  assert.equal(getDateKey(new Date(2026, 0, 1, 0, 1)), '2026-01-01');
+});
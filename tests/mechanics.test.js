@@ -0,0 +1,163 @@
+/**
+ * @file mechanics.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for mechanic plugins: registering them, rejecting malformed ones,
+ * and the hooks the core calls while a level that uses them is played.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core
+ * - mechanics.js: Special mechanics and their registry
+ * - levels.js: Level pack parsing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  gameState,
+  initGame,
+  dropBlock,
+  StackTowerCore
+} = require('../js/games/physics-stack-tower/headless.js');
+const { MECHANICS, registerMechanic } = require('../js/games/physics-stack-tower/mechanics.js');
+const { LEVEL_PACK_VERSION, parseLevelPack, setActiveLevelPack } = require('../js/games/physics-stack-tower/levels.js');
+
+const SEED = 12345;
+
+/**
+ * Plays a one-level pack of fixed-width blocks using the given mechanics
+ * @param {Array} mechanics - The level's mechanics list
+ */
+function playLevel(mechanics) {
+  setActiveLevelPack(parseLevelPack(JSON.stringify({
+    version: LEVEL_PACK_VERSION,
+    name: 'Plugin Pack',
+    levels: [{
+      name: 'Plugin Level',
+      blocksToComplete: 5,
+      blockSpeed: 1,
+      blockWidthRange: { min: 100, max: 100 },
+      perfectThreshold: 0.6,
+      mechanics
+    }]
+  })));
+  initGame(1, SEED, 'classic');
+}
+
+/**
+ * Drops the moving block squarely on top of the tower
+ * @returns {Object} Result object from dropBlock
+ */
+function dropOnTop() {
+  const top = gameState.tower[gameState.tower.length - 1];
+  gameState.currentBlock.position.x = top.position.x;
+  return dropBlock();
+}
+
+test('registerMechanic', async (t) => {
+  t.afterEach(() => {
+    delete MECHANICS.test_plugin;
+  });
+
+  await t.test('adds a mechanic level packs can use with its settings checked', () => {
+    registerMechanic('test_plugin', {
+      description: 'Does nothing, slowly',
+      settings: { amount: { default: 1, min: 0, max: 2 } }
+    });
+
+    const level = { name: 'x', blocksToComplete: 1, blockSpeed: 1, blockWidthRange: { min: 50, max: 50 }, perfectThreshold: 0.5 };
+    const pack = mechanics => JSON.stringify({ version: LEVEL_PACK_VERSION, name: 'p', levels: [{ ...level, mechanics }] });
+    assert.doesNotThrow(() => parseLevelPack(pack([{ type: 'test_plugin', amount: 2 }])));
+    assert.throws(() => parseLevelPack(pack([{ type: 'test_plugin', amount: 3 }])), /mechanics\[0\]\.amount must be a number from 0 to 2/);
+  });
+
+  await t.test('refuses a name that is taken or malformed', () => {
+    assert.throws(() => registerMechanic('crane', { description: 'Another crane' }), /"crane" is already registered/);
+    assert.throws(() => registerMechanic('Test Plugin', { description: 'Spaces' }), /lowercase letters, digits and underscores/);
+  });
+
+  await t.test('lists every problem with a malformed plugin', () => {
+    assert.throws(
+      () => registerMechanic('test_plugin', {
+        settings: { type: { default: 0, min: 0, max: 1 }, amount: { default: 5, min: 0, max: 1 } },
+        onLand: () => {},
+        onDrop: 'yes'
+      }),
+      error => {
+        assert.match(error.message, /^Invalid mechanic plugin:/);
+        assert.match(error.message, /- description must be text/);
+        assert.match(error.message, /- settings\.type is reserved/);
+        assert.match(error.message, /- settings\.amount must have numbers min <= default <= max/);
+        assert.match(error.message, /- onLand is not a mechanic hook/);
+        assert.match(error.message, /- onDrop must be a function/);
+        return true;
+      }
+    );
+    assert.equal(MECHANICS.test_plugin, undefined);
+  });
+});
+
+test('mechanic plugin hooks', async (t) => {
+  t.afterEach(() => {
+    delete MECHANICS.test_plugin;
+    setActiveLevelPack(null);
+  });
+
+  await t.test('prepares each new block with its settings', () => {
+    registerMechanic('test_plugin', {
+      description: 'Paints blocks',
+      settings: { shade: { default: 3, min: 0, max: 9 } },
+      onBlockSpawn: (block, settings) => {
+        block.color = `#${settings.shade}${settings.shade}${settings.shade}`;
+      }
+    });
+
+    playLevel([{ type: 'test_plugin', shade: 7 }]);
+    assert.equal(gameState.currentBlock.color, '#777');
+  });
+
+  await t.test('acts on the moving block every simulation step', () => {
+    const steps = [];
+    registerMechanic('test_plugin', {
+      description: 'Counts steps',
+      onBlockUpdate: (block, deltaTime) => steps.push(deltaTime)
+    });
+
+    playLevel([{ type: 'test_plugin' }]);
+    StackTowerCore.tick(3);
+    assert.deepEqual(steps, Array(3).fill(gameState.config.simulationStep));
+  });
+
+  await t.test('adjusts the points of each drop and reports the drop', () => {
+    const drops = [];
+    registerMechanic('test_plugin', {
+      description: 'Doubles points',
+      onScore: points => points * 2,
+      onDrop: (block, drop) => drops.push(drop)
+    });
+
+    playLevel([{ type: 'test_plugin' }]);
+    const result = dropOnTop();
+
+    // Base points of level 1 plus the first perfect drop's bonus, doubled
+    assert.equal(result.points, (15 + 100) * 2);
+    assert.equal(gameState.score, result.points);
+    assert.equal(drops.length, 1);
+    assert.equal(drops[0].perfect, true);
+    assert.equal(drops[0].points, result.points);
+  });
+
+  await t.test('applies score hooks in the order the level lists its mechanics', () => {
+    registerMechanic('test_plugin', {
+      description: 'Adds ten points',
+      onScore: points => points + 10
+    });
+
+    playLevel([{ type: 'test_plugin' }, { type: 'precision_challenge', comboMultiplier: 3 }]);
+    assert.equal(dropOnTop().points, 15 + 300 + 10);
+  });
+});
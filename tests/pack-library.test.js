@@ -0,0 +1,74 @@
+/**
+ * @file pack-library.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the ids, file names and menu entries of the level pack library.
+ *
+ * @dependencies
+ * - headless.js: Node loader providing the level helpers as globals
+ * - levels.js: Level pack parsing
+ * - pack-library.js: Imported level packs and their best scores
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+require('../js/games/physics-stack-tower/headless.js');
+const { parseLevelPack } = require('../js/games/physics-stack-tower/levels.js');
+const {
+  getPackId,
+  getPackFileName,
+  getPackLibraryEntries
+} = require('../js/games/physics-stack-tower/pack-library.js');
+
+const EXAMPLE_PACK = path.join(__dirname, '../games/physics-stack-tower/packs/practice-drills.json');
+
+test('getPackId', async (t) => {
+  const pack = parseLevelPack(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+
+  await t.test('gives a pack the same id when it is imported again', () => {
+    // A shared or downloaded pack is the parsed pack, which parses to itself
+    const reimported = parseLevelPack(JSON.stringify(pack));
+    assert.equal(getPackId(reimported), getPackId(pack));
+  });
+
+  await t.test('tells packs with different levels apart', () => {
+    const changed = { ...pack, levels: pack.levels.slice(1) };
+    assert.notEqual(getPackId(changed), getPackId(pack));
+  });
+});
+
+test('getPackFileName', () => {
+  assert.equal(getPackFileName({ name: 'Practice Drills' }), 'practice-drills.stackpack');
+  assert.equal(getPackFileName({ name: '  Crane & Wind!! ' }), 'crane-wind.stackpack');
+  assert.equal(getPackFileName({ name: '🏗️' }), 'level-pack.stackpack');
+});
+
+test('getPackLibraryEntries', async (t) => {
+  const pack = parseLevelPack(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+  const library = {
+    older: { pack, addedAt: '2025-06-01T10:00:00.000Z', bestScore: 1200, levels: {
+      1: { bestScore: 400, completed: true },
+      2: { bestScore: 300, completed: false }
+    } },
+    newer: { pack, addedAt: '2025-06-03T10:00:00.000Z', bestScore: null, levels: {} }
+  };
+
+  await t.test('lists the newest pack first', () => {
+    assert.deepEqual(getPackLibraryEntries(library).map(entry => entry.id), ['newer', 'older']);
+  });
+
+  await t.test('shows each pack\'s own best score and completed levels', () => {
+    const [newer, older] = getPackLibraryEntries(library);
+
+    assert.equal(newer.bestScore, null);
+    assert.equal(newer.levelsCompleted, 0);
+    assert.equal(older.bestScore, 1200);
+    assert.equal(older.levelsCompleted, 1);
+  });
+});
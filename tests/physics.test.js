@@ -0,0 +1,291 @@
+/**
+ * @file physics.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the rigid-body tower analysis, the toppling simulation,
+ * trimmed overhang debris and the crane rope pendulum.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core and physics engine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Block, PhysicsEngine } = require('../js/games/physics-stack-tower/headless.js');
+
+const STEP = 1000 / 120;
+
+/**
+ * Builds a tower of blocks stacked up from the bottom of the canvas
+ * @param {Array} spans - Left edge and width of each block ([x, width]), from the base up
+ * @returns {Array} Tower blocks
+ */
+function buildTower(spans) {
+  return spans.map(([x, width], index) => {
+    const block = new Block(index, width, x, 900 - (index + 1) * 30);
+    block.place();
+    return block;
+  });
+}
+
+test('analyzeTower', async (t) => {
+  const physics = new PhysicsEngine();
+
+  await t.test('finds a centered stack fully stable', () => {
+    const analysis = physics.analyzeTower(buildTower([[0, 150], [0, 150], [25, 100]]));
+
+    assert.equal(analysis.instability, 0);
+    assert.equal(analysis.topplingIndex, -1);
+  });
+
+  await t.test('measures each joint against the overlap it stands on', () => {
+    const analysis = physics.analyzeTower(buildTower([[0, 150], [50, 150]]));
+    const joint = analysis.joints[1];
+
+    assert.deepEqual(joint.support, { left: 50, right: 150 });
+    assert.equal(joint.edge, 150);
+    assert.equal(joint.instability, 25 / 50);
+    assert.equal(joint.torque, -25 * joint.mass * physics.getGravity(), 'its weight holds it down, 25px inside the edge');
+  });
+
+  await t.test('carries the weight of every block above a joint', () => {
+    // Each block alone is supported, but the top two together lean past the first edge
+    const analysis = physics.analyzeTower(buildTower([[0, 150], [60, 150], [100, 150]]));
+
+    assert.ok(analysis.joints[2].instability <= 1);
+    assert.ok(analysis.joints[1].instability > 1);
+    assert.ok(analysis.joints[1].torque > 0);
+    assert.equal(analysis.topplingIndex, 1);
+  });
+
+  await t.test('topples where the weight of the load tips it over its edge', () => {
+    // The top block's center is 45px past the edge it rests on; below it the load stays inside
+    const analysis = physics.analyzeTower(buildTower([[0, 150], [0, 150], [0, 150], [120, 150]]));
+    const tipping = analysis.joints.filter(joint => joint.torque > 0).map(joint => joint.index);
+
+    assert.equal(analysis.joints[3].torque, 45 * analysis.joints[3].mass * physics.getGravity());
+    assert.deepEqual(tipping, [3]);
+    assert.equal(analysis.topplingIndex, 3);
+  });
+
+  await t.test('topples from the lowest joint that has lost its support', () => {
+    const analysis = physics.analyzeTower(buildTower([[0, 150], [0, 150], [0, 150], [100, 150]]));
+
+    assert.equal(analysis.topplingIndex, 3);
+  });
+});
+
+test('updateTowerStability', async (t) => {
+  const physics = new PhysicsEngine();
+
+  await t.test('reads a straight tower as fully stable', () => {
+    const stability = physics.updateTowerStability(buildTower([[0, 150], [0, 150]]));
+
+    assert.deepEqual(stability, { stability: 1, isStable: true, isWarning: false, tilt: 0 });
+  });
+
+  await t.test('tilts towards the side the least stable joint leans', () => {
+    const right = physics.updateTowerStability(buildTower([[0, 150], [0, 150], [50, 150]]));
+    const left = physics.updateTowerStability(buildTower([[100, 150], [100, 150], [50, 150]]));
+
+    assert.equal(right.tilt, 0.5);
+    assert.equal(left.tilt, -0.5);
+    assert.equal(right.stability, 0.5);
+  });
+
+  await t.test('warns below the stability threshold', () => {
+    const stability = physics.updateTowerStability(buildTower([[0, 150], [70, 150]]));
+
+    assert.ok(stability.stability < physics.config.stabilityThreshold);
+    assert.equal(stability.isWarning, true);
+    assert.equal(stability.isStable, true);
+  });
+
+  await t.test('sways the upper blocks most, in proportion to the tilt', () => {
+    const tower = buildTower([[0, 150], [0, 150], [25, 150]]);
+    const stability = physics.updateTowerStability(tower);
+
+    assert.equal(tower[0].wobbling, false);
+    assert.ok(tower[2].wobbleIntensity > tower[1].wobbleIntensity);
+    assert.equal(tower[2].wobbleIntensity, Math.abs(stability.tilt) * physics.config.maxSway);
+  });
+});
+
+test('falling sections', async (t) => {
+  const physics = new PhysicsEngine();
+
+  await t.test('rotate away from the tower about the supporting edge', () => {
+    const tower = buildTower([[0, 150], [100, 150]]);
+    const joint = physics.analyzeTower(tower).joints[1];
+    const section = physics.createFallingSection(tower.slice(1), joint);
+
+    assert.deepEqual(section.pivot, { x: 150, y: 870 });
+    for (let i = 0; i < 10; i++) {
+      physics.updateFallingSection(section, STEP);
+    }
+
+    // Clockwise on the canvas, tipping over the right-hand edge
+    assert.ok(section.angle > 0);
+    assert.equal(tower[1].angle, section.angle);
+    assert.equal(tower[1].isPlaced, false);
+  });
+
+  await t.test('break into tumbling blocks that land on the ground', () => {
+    const tower = buildTower([[0, 150], [100, 150], [150, 100]]);
+    const joint = physics.analyzeTower(tower).joints[1];
+    const section = physics.createFallingSection(tower.slice(1), joint);
+
+    while (physics.updateFallingSection(section, STEP));
+    const blocks = physics.breakFallingSection(section);
+    assert.equal(blocks.length, 2);
+    blocks.forEach(block => assert.ok(block.velocity.x > 0));
+
+    for (let i = 0; i < 240; i++) {
+      blocks.forEach(block => physics.updateFallingBlock(block, STEP));
+    }
+    blocks.forEach(block => {
+      assert.ok(Math.abs(block.position.y + 15 - 885) < 1, 'rests on the ground');
+      assert.ok(Math.abs(Math.sin(block.angle)) < 0.05, 'lies on a long side');
+    });
+  });
+
+  await t.test('leave play once their lifetime runs out', () => {
+    const block = new Block(1, 100, 300, 870);
+    Object.assign(block, { angle: 0, previousAngle: 0, velocity: { x: 0, y: 0 }, angularVelocity: 0, life: STEP * 2 });
+
+    assert.equal(physics.updateFallingBlock(block, STEP), true);
+    assert.equal(physics.updateFallingBlock(block, STEP), false);
+  });
+});
+
+test('overhang debris', async (t) => {
+  const physics = new PhysicsEngine();
+
+  /**
+   * Creates a resting debris piece
+   * @param {number} x - Left edge of the piece
+   * @param {number} y - Top edge of the piece
+   * @param {number} speed - Horizontal speed of the piece (default: 0)
+   * @returns {Object} Debris piece
+   */
+  function debrisAt(x, y, speed = 0) {
+    const debris = physics.createDebris(new Block(1, 40, x, y), x, x + 40, speed, 1);
+    debris.angularVelocity = 0;
+    return debris;
+  }
+
+  await t.test('is cut from each side of the block that lost its overhang', () => {
+    const block = new Block(1, 100, 50, 840);
+    const [left, right] = physics.cutOverhang(block, 20, 180, 0.4);
+
+    assert.deepEqual([left.position.x, left.width], [20, 30]);
+    assert.deepEqual([right.position.x, right.width], [150, 30]);
+    assert.equal(left.color, block.color);
+    assert.deepEqual(left.velocity, { x: 0.4, y: 0 });
+    assert.ok(left.angularVelocity < 0 && right.angularVelocity > 0);
+  });
+
+  await t.test('is not cut from a block that kept its width', () => {
+    assert.deepEqual(physics.cutOverhang(new Block(1, 100, 50, 840), 50, 150, 0.4), []);
+  });
+
+  await t.test('lands on a ledge of the tower', () => {
+    const tower = buildTower([[0, 150], [0, 80]]);
+    const debris = debrisAt(100, 800);
+
+    for (let i = 0; i < 120; i++) {
+      physics.updateFallingBlock(debris, STEP, tower);
+    }
+    assert.ok(Math.abs(debris.position.y - 840) < 1);
+    assert.equal(debris.position.x, 100);
+  });
+
+  await t.test('bounces off the side of the tower', () => {
+    const tower = buildTower([[0, 150], [0, 80]]);
+    const debris = debrisAt(85, 840, -0.3);
+
+    for (let i = 0; i < 10; i++) {
+      physics.updateFallingBlock(debris, STEP, tower);
+    }
+    assert.ok(debris.velocity.x > 0);
+    assert.ok(debris.position.x >= 80);
+  });
+});
+
+test('crane rope', async (t) => {
+  const physics = new PhysicsEngine();
+  const crane = { ropeLength: 200, swingAngle: 0.6, damping: 0.0003, trolleySpeed: 0.25 };
+
+  /**
+   * Hangs a block from a rope with its trolley at a position
+   * @param {number} anchorX - X position of the trolley
+   * @param {number} speed - Block speed the trolley runs at a fraction of (default: 0)
+   * @returns {Block} Block hanging from the rope
+   */
+  function hangBlock(anchorX, speed = 0) {
+    const block = new Block(1, 100, anchorX - 50, 600, speed, true);
+    block.rope = physics.createRope(block, crane);
+    physics.hangFromRope(block);
+    return block;
+  }
+
+  await t.test('hangs a block swung out in the direction it moves', () => {
+    const block = hangBlock(400, -0.8);
+
+    assert.equal(block.rope.angle, -0.6);
+    assert.equal(block.rope.trolleySpeed, -0.2);
+    assert.equal(block.position.x + 50, 400 - Math.sin(0.6) * 200);
+    assert.equal(block.position.y, 400 + Math.cos(0.6) * 200);
+  });
+
+  await t.test('swings to and fro, losing amplitude to damping', () => {
+    const block = hangBlock(400);
+    const peaks = [];
+    let previous = 0;
+
+    for (let i = 0; i < 2000; i++) {
+      physics.updateRope(block, STEP, 400);
+      const angularVelocity = block.rope.angularVelocity;
+
+      // The swing peaks where it turns back
+      if (previous !== 0 && Math.sign(angularVelocity) !== Math.sign(previous)) {
+        peaks.push(Math.abs(block.rope.angle));
+      }
+      previous = angularVelocity;
+    }
+
+    assert.ok(peaks.length >= 4);
+    assert.ok(peaks[peaks.length - 1] < peaks[0]);
+  });
+
+  await t.test('kicks the swing when the trolley turns at the edge of the screen', () => {
+    const block = hangBlock(749, 1);
+    block.rope.angle = 0;
+    physics.hangFromRope(block);
+
+    physics.updateRope(block, STEP, 400);
+    assert.equal(block.rope.trolleySpeed, -0.25);
+    assert.equal(block.rope.anchor.x, 750);
+    assert.ok(block.rope.angularVelocity > 0, 'the block swings on outwards');
+  });
+
+  await t.test('moves a block with the trolley and the swing', () => {
+    const block = hangBlock(400, 1);
+    Object.assign(block.rope, { angle: 0, angularVelocity: 0.002 });
+
+    assert.deepEqual(physics.getRopeVelocity(block.rope), { x: 0.25 + 0.4, y: -0 });
+  });
+
+  await t.test('predicts how far a released block drifts before it lands', () => {
+    const block = new Block(1, 100, 300, 600);
+    const gravity = physics.getGravity();
+    const landing = physics.predictLanding(block, { x: 0.5, y: 0 }, 800);
+
+    assert.ok(Math.abs(landing.time - Math.sqrt(2 * 200 / gravity)) < 1e-9);
+    assert.ok(Math.abs(landing.drift - 0.5 * landing.time) < 1e-9);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @file profile.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for player ranks and rank progress.
+ *
+ * @dependencies
+ * - profile.js: Experience points and player ranks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PLAYER_RANKS, getPlayerRank, getRankProgress } = require('../js/games/physics-stack-tower/profile.js');
+
+test('PLAYER_RANKS', () => {
+  assert.equal(PLAYER_RANKS[0].xp, 0);
+  for (let i = 1; i < PLAYER_RANKS.length; i++) {
+    assert.ok(PLAYER_RANKS[i].xp > PLAYER_RANKS[i - 1].xp, PLAYER_RANKS[i].name);
+  }
+});
+
+test('getPlayerRank', async (t) => {
+  await t.test('starts new players at the first rank', () => {
+    assert.equal(getPlayerRank(0), PLAYER_RANKS[0]);
+  });
+
+  await t.test('reaches a rank exactly at its threshold', () => {
+    assert.equal(getPlayerRank(PLAYER_RANKS[2].xp - 1), PLAYER_RANKS[1]);
+    assert.equal(getPlayerRank(PLAYER_RANKS[2].xp), PLAYER_RANKS[2]);
+  });
+
+  await t.test('stays at the top rank beyond its threshold', () => {
+    const topRank = PLAYER_RANKS[PLAYER_RANKS.length - 1];
+    assert.equal(getPlayerRank(topRank.xp * 10), topRank);
+  });
+});
+
+test('getRankProgress', async (t) => {
+  await t.test('measures progress between the current and next rank', () => {
+    const [first, second] = PLAYER_RANKS;
+    const progress = getRankProgress((first.xp + second.xp) / 2);
+
+    assert.equal(progress.rank, first);
+    assert.equal(progress.nextRank, second);
+    assert.equal(progress.xpForRank, second.xp - first.xp);
+    assert.equal(progress.progress, 0.5);
+  });
+
+  await t.test('is full at the top rank', () => {
+    const topRank = PLAYER_RANKS[PLAYER_RANKS.length - 1];
+    const progress = getRankProgress(topRank.xp + 500);
+
+    assert.equal(progress.nextRank, null);
+    assert.equal(progress.progress, 1);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @file progress.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the level select entries built from level progress.
+ *
+ * @dependencies
+ * - headless.js: Node loader providing the level helpers as globals
+ * - levels.js: Level definitions
+ * - progress.js: Level progress and unlocks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../js/games/physics-stack-tower/headless.js');
+const { LEVELS } = require('../js/games/physics-stack-tower/levels.js');
+const { getLevelSelectEntries } = require('../js/games/physics-stack-tower/progress.js');
+
+test('getLevelSelectEntries', async (t) => {
+  await t.test('lists every level with only the first unlocked for a new player', () => {
+    const entries = getLevelSelectEntries({ highestCompleted: 0, levels: {} });
+
+    assert.equal(entries.length, LEVELS.length);
+    assert.deepEqual(entries.map(entry => entry.unlocked), LEVELS.map(level => level.id === 1));
+    assert.ok(entries.every(entry => entry.bestScore === null && !entry.completed));
+  });
+
+  await t.test('unlocks the level after the highest completed one', () => {
+    const entries = getLevelSelectEntries({ highestCompleted: 4, levels: {} });
+    const unlocked = entries.filter(entry => entry.unlocked).map(entry => entry.level.id);
+
+    assert.deepEqual(unlocked, [1, 2, 3, 4, 5]);
+  });
+
+  await t.test('shows best scores and completion per level', () => {
+    const entries = getLevelSelectEntries({
+      highestCompleted: 1,
+      levels: {
+        1: { bestScore: 450, completed: true },
+        2: { bestScore: 120, completed: false }
+      }
+    });
+
+    assert.equal(entries[0].bestScore, 450);
+    assert.equal(entries[0].completed, true);
+    assert.equal(entries[1].bestScore, 120);
+    assert.equal(entries[1].completed, false);
+    assert.equal(entries[2].bestScore, null);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @file random.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the seeded random number generator every replay, ghost, daily
+ * challenge and saved game relies on: repeatable sequences, bounds, and
+ * picking a sequence back up from a captured state.
+ *
+ * @dependencies
+ * - random.js: Seeded random number generator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SeededRandom, initRandom, getRandom } = require('../js/utils/random.js');
+
+const SEED = 12345;
+
+/**
+ * Draws the next numbers from a generator
+ * @param {SeededRandom} random - Generator to draw from
+ * @param {number} count - Number of draws
+ * @returns {Array} Drawn numbers
+ */
+function draw(random, count) {
+  return Array.from({ length: count }, () => random.next());
+}
+
+test('SeededRandom', async (t) => {
+  await t.test('gives the same sequence for the same seed', () => {
+    assert.deepEqual(draw(new SeededRandom(SEED), 100), draw(new SeededRandom(SEED), 100));
+    assert.notDeepEqual(draw(new SeededRandom(SEED), 100), draw(new SeededRandom(SEED + 1), 100));
+  });
+
+  await t.test('starts the sequence over when reseeded', () => {
+    const random = new SeededRandom(SEED);
+    const first = draw(random, 10);
+
+    random.reseed(SEED);
+    assert.deepEqual(draw(random, 10), first);
+    assert.equal(random.getSeed(), SEED);
+  });
+
+  await t.test('keeps range within its bounds', () => {
+    const random = new SeededRandom(SEED);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.range(-5, 5);
+      assert.ok(value >= -5 && value < 5, `${value} is outside [-5, 5)`);
+    }
+  });
+
+  await t.test('keeps int within its inclusive bounds and reaches both ends', () => {
+    const random = new SeededRandom(SEED);
+    const seen = new Set();
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.int(1, 6);
+      assert.ok(Number.isInteger(value) && value >= 1 && value <= 6, `${value} is outside 1-6`);
+      seen.add(value);
+    }
+    assert.deepEqual([...seen].sort(), [1, 2, 3, 4, 5, 6]);
+  });
+
+  await t.test('continues the same sequence after setState(getState())', () => {
+    const random = new SeededRandom(SEED);
+    draw(random, 25);
+    const state = random.getState();
+    const expected = draw(random, 50);
+
+    const restored = new SeededRandom(SEED + 1);
+    restored.setState(state);
+    assert.deepEqual(draw(restored, 50), expected);
+
+    random.setState(state);
+    assert.deepEqual(draw(random, 50), expected);
+  });
+});
+
+test('shared generator', async (t) => {
+  await t.test('is replaced by initRandom with a generator for the seed', () => {
+    const random = initRandom(SEED);
+
+    assert.equal(getRandom(), random);
+    assert.equal(getRandom().getSeed(), SEED);
+    assert.deepEqual(draw(getRandom(), 20), draw(new SeededRandom(SEED), 20));
+  });
+});
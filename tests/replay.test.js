@@ -0,0 +1,91 @@
+/**
+ * @file replay.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for the replay recorder: the ghost track it keeps of each run.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core
+ * - replay.js: Replay recording and playback
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  gameState,
+  initGame,
+  dropBlock,
+  getPhysicsEngine,
+  StackTowerCore
+} = require('../js/games/physics-stack-tower/headless.js');
+const { LEVELS } = require('../js/games/physics-stack-tower/levels.js');
+const { ReplayRecorder } = require('../js/games/physics-stack-tower/replay.js');
+
+const SEED = 12345;
+
+/**
+ * Drops the moving block and records the drop, as the game does for live runs
+ * @param {ReplayRecorder} recorder - Recorder of the run
+ * @param {number} offset - Horizontal offset from the top block's left edge
+ */
+function recordDropAt(recorder, offset) {
+  const top = gameState.tower[gameState.tower.length - 1];
+  gameState.currentBlock.position.x = top.position.x + offset;
+  recorder.recordDrop(gameState.tick, dropBlock());
+}
+
+/**
+ * Lets the dropped blocks fall until they have all landed on the tower
+ */
+function landDroppedBlocks() {
+  StackTowerCore.tickUntil(state => !state.tower.some(block => block.isLanding));
+}
+
+test('ReplayRecorder ghost track', async (t) => {
+  await t.test('places each block where it settles on the tower, not where it was let go', () => {
+    const recorder = new ReplayRecorder();
+    initGame(1, SEED);
+    recorder.start(SEED, 1, 'classic');
+
+    recordDropAt(recorder, 10);
+    recordDropAt(recorder, -20);
+    assert.ok(gameState.tower.slice(1).some(block => block.isLanding), 'recorded while blocks were still falling');
+    landDroppedBlocks();
+
+    const placements = recorder.replay.track.placements;
+    assert.deepEqual(
+      placements.map(({ x, y, width }) => ({ x, y, width })),
+      gameState.tower.slice(1).map(block => ({ x: block.position.x, y: block.position.y, width: block.width }))
+    );
+  });
+
+  await t.test('places a crane block where its swing carries it', () => {
+    const craneLevel = LEVELS.find(level => level.mechanics.some(entry => entry.type === 'crane')).id;
+    const recorder = new ReplayRecorder();
+    initGame(craneLevel, SEED);
+    recorder.start(SEED, craneLevel, 'classic');
+    StackTowerCore.tick(200);
+
+    // Move the trolley so the block's drift carries it onto the middle of the tower
+    const block = gameState.currentBlock;
+    const top = gameState.tower[0];
+    const physics = getPhysicsEngine();
+    const landingY = top.position.y - gameState.config.blockHeight;
+    const drift = physics.predictLanding(block, physics.getRopeVelocity(block.rope), landingY).drift;
+    const shift = top.position.x + (top.width - block.width) / 2 - (block.position.x + drift);
+    block.rope.anchor.x += shift;
+    block.position.x += shift;
+    assert.ok(Math.abs(drift) > 1, 'let go mid-swing');
+
+    recorder.recordDrop(gameState.tick, dropBlock());
+    landDroppedBlocks();
+
+    const placed = gameState.tower[1];
+    const { x, y } = recorder.replay.track.placements[0];
+    assert.deepEqual({ x, y }, { x: placed.position.x, y: placed.position.y });
+  });
+});
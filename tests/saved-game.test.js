@@ -0,0 +1,82 @@
+/**
+ * @file saved-game.test.js
+ * @game Stack Hero
+ * @author Tiwalade Adegoke
+ * @date May 16th - October 14th, 2025
+ *
+ * @description
+ * Tests for saved games: the versioned format, turning away saves that
+ * can't be continued, and the main menu's Continue button.
+ *
+ * @dependencies
+ * - headless.js: Node loader for the game core
+ * - saved-game.js: The run in progress, continued from the main menu
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { StackTowerCore } = require('../js/games/physics-stack-tower/headless.js');
+const {
+  SAVED_GAME_VERSION,
+  createSavedGame,
+  readSavedGame,
+  getContinueUrl,
+  describeSavedGame
+} = require('../js/games/physics-stack-tower/saved-game.js');
+
+const EXAMPLE_PACK = path.join(__dirname, '../games/physics-stack-tower/packs/practice-drills.json');
+
+/**
+ * Saves a game as the page stores it, through JSON
+ * @param {Object} run - Page state to keep with the game state
+ * @returns {Object} Stored saved game
+ */
+function saveGame(run) {
+  const state = StackTowerCore.start(3, 12345, 'endless');
+  return JSON.parse(JSON.stringify(createSavedGame(state, run)));
+}
+
+test('readSavedGame', async (t) => {
+  await t.test('accepts a saved game of the current version', () => {
+    const savedGame = saveGame({ launch: '?mode=endless' });
+
+    assert.equal(savedGame.version, SAVED_GAME_VERSION);
+    assert.deepEqual(readSavedGame(savedGame), savedGame);
+  });
+
+  await t.test('turns away missing, older and finished games', () => {
+    const savedGame = saveGame();
+
+    assert.equal(readSavedGame(null), null);
+    assert.equal(readSavedGame(savedGame.state), null, 'a bare state snapshot from before saved games were versioned');
+    assert.equal(readSavedGame({ ...savedGame, version: SAVED_GAME_VERSION + 1 }), null);
+    assert.equal(readSavedGame({ ...savedGame, state: { ...savedGame.state, isActive: false } }), null);
+  });
+
+  await t.test('turns away a game whose level pack is no longer valid', () => {
+    const levelPack = JSON.parse(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+
+    assert.notEqual(readSavedGame(saveGame({ levelPack })), null);
+    assert.equal(readSavedGame(saveGame({ levelPack: { ...levelPack, levels: [] } })), null);
+  });
+});
+
+test('getContinueUrl', () => {
+  assert.equal(getContinueUrl(saveGame()), 'games/physics-stack-tower/index.html?continue=1');
+  assert.equal(
+    getContinueUrl(saveGame({ launch: '?mode=endless' })),
+    'games/physics-stack-tower/index.html?mode=endless&continue=1'
+  );
+});
+
+test('describeSavedGame', () => {
+  const levelPack = JSON.parse(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+
+  assert.deepEqual(
+    { ...describeSavedGame(saveGame({ levelPack })), savedAt: null },
+    { mode: 'endless', level: 3, score: 0, packName: levelPack.name, savedAt: null }
+  );
+});